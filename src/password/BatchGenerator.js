@@ -0,0 +1,504 @@
+/**
+ * BatchGenerator Component
+ *
+ * Generates passwords for a list of site labels in one go. Every row uses
+ * the shared keyword chips plus its label, with optional per-row length and
+ * class overrides, and goes through the same worker pipeline and checks as
+ * the single generator. Results live in memory only and are dropped as soon
+ * as any shared input changes.
+ *
+ * @author NuwaX
+ */
+import { GenerationClient } from './generationClient.js';
+import { runSelfTest } from './selfTest.js';
+import { OUTPUT_MODES } from './generationSettings.js';
+import { parseTemplate } from './templates.js';
+import { getActiveCharacterSets, checkCharacterSetRequirements, findUnmetClasses } from './charsets.js';
+import {
+  BATCH_LIMITS,
+  parseBatchInput,
+  buildRowOptions,
+  buildRowKeywords,
+  formatClasses,
+  toBatchCsv,
+  toBatchJson
+} from './batch.js';
+import { downloadTextFile } from '../utils/download.js';
+import { copyWithFeedback } from '../utils/clipboard.js';
+import { escapeHtml } from '../utils/html.js';
+import { toast } from '../utils/toast.js';
+import { logger } from '../utils/logger.js';
+import { t } from '../utils/i18n.js';
+
+/**
+ * Largest file accepted by the import button, in bytes
+ */
+const MAX_IMPORT_BYTES = 256 * 1024;
+
+/**
+ * BatchGenerator Class
+ *
+ * Batch section with:
+ * - Pasted or imported "label, length, classes" lists (text, CSV or JSON)
+ * - Sequential generation through its own worker client
+ * - Per-row reveal and per-cell copy
+ * - CSV and JSON export of the results
+ */
+export class BatchGenerator {
+  /**
+   * Initialize BatchGenerator with configuration options
+   *
+   * @param {Object} options - Configuration options
+   * @param {Function} options.getKeywords - Returns the shared keyword chips
+   * @param {Function} options.getOptions - Returns the current generator options
+   * @param {Function} options.getSecret - Returns the master secret, or ''
+   * @param {Function} options.describeCharsetError - Translates a character set requirement error
+   */
+  constructor(options = {}) {
+    this.getKeywords = options.getKeywords || (() => []);
+    this.getOptions = options.getOptions || (() => ({}));
+    this.getSecret = options.getSecret || (() => '');
+    this.describeCharsetError = options.describeCharsetError || (() => t('password.generator.errors.generationFailed'));
+
+    this.container = null;
+    this.client = new GenerationClient();
+    this.results = [];
+    this.revealedRows = new Set();
+    this.runToken = 0;
+    this.isRunning = false;
+  }
+
+  /**
+   * Generate HTML structure for the batch section
+   *
+   * @returns {string} HTML string for the batch section
+   */
+  renderBatchGenerator() {
+    return `
+      <details id="batch-generator" class="rounded-lg border border-gray-200 dark:border-gray-600/50 px-3 py-2 mt-4">
+        <summary class="text-sm font-medium text-gray-700 dark:text-gray-300 cursor-pointer select-none">
+          ${t('password.batch.title')}
+        </summary>
+        <div class="mt-3 space-y-3">
+          <p class="text-xs text-gray-500 dark:text-gray-400">${t('password.batch.hint')}</p>
+          <textarea id="batch-input"
+                    class="input-field font-mono text-sm"
+                    rows="5"
+                    placeholder="${t('password.batch.placeholder')}"
+                    autocomplete="off"
+                    autocapitalize="off"
+                    spellcheck="false"></textarea>
+          <div class="flex flex-wrap gap-2">
+            <button type="button" id="batch-generate" class="btn-primary text-sm">
+              ${t('password.batch.generate')}
+            </button>
+            <button type="button" id="batch-import" class="btn-secondary text-sm cursor-pointer">
+              ${t('password.batch.import')}
+            </button>
+            <input type="file" id="batch-import-file" class="hidden" accept=".csv,.txt,.json,text/csv,text/plain,application/json">
+            <button type="button" id="batch-export-csv" class="btn-secondary text-sm cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed" disabled>
+              ${t('password.batch.exportCsv')}
+            </button>
+            <button type="button" id="batch-export-json" class="btn-secondary text-sm cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed" disabled>
+              ${t('password.batch.exportJson')}
+            </button>
+            <button type="button" id="batch-clear" class="btn-secondary text-sm cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed" disabled>
+              ${t('password.batch.clear')}
+            </button>
+          </div>
+          <p id="batch-status" aria-live="polite" class="text-xs text-gray-500 dark:text-gray-400"></p>
+          <ul id="batch-input-errors" class="hidden text-xs text-red-600 dark:text-red-400 space-y-1"></ul>
+          <div id="batch-results" class="overflow-x-auto"></div>
+        </div>
+      </details>
+    `;
+  }
+
+  /**
+   * Bind event listeners once the generator markup is in the DOM
+   *
+   * @param {HTMLElement} container - Element containing the rendered section
+   */
+  attach(container) {
+    this.container = container;
+
+    container.querySelector('#batch-generate').addEventListener('click', () => {
+      if (this.isRunning) {
+        this.stop();
+        this.setStatus(t('password.batch.status.stopped'));
+      } else {
+        this.run();
+      }
+    });
+
+    const fileInput = container.querySelector('#batch-import-file');
+    container.querySelector('#batch-import').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+      const [file] = fileInput.files;
+      fileInput.value = '';
+      if (file) {
+        this.importFile(file);
+      }
+    });
+
+    container.querySelector('#batch-export-csv').addEventListener('click', () => {
+      this.exportResults('csv');
+    });
+
+    container.querySelector('#batch-export-json').addEventListener('click', () => {
+      this.exportResults('json');
+    });
+
+    container.querySelector('#batch-clear').addEventListener('click', () => {
+      this.clearResults();
+      this.setStatus('');
+    });
+
+    container.querySelector('#batch-results').addEventListener('click', (e) => {
+      const button = e.target.closest('[data-batch-action]');
+      if (!button) return;
+
+      const index = parseInt(button.dataset.row, 10);
+      if (button.dataset.batchAction === 'reveal') {
+        this.toggleReveal(index);
+      } else if (button.dataset.batchAction === 'copy') {
+        this.copyCell(index, button.dataset.field);
+      }
+    });
+
+    this.renderResults();
+  }
+
+  /**
+   * Load a list file into the input field
+   *
+   * @param {File} file - Selected file
+   */
+  async importFile(file) {
+    if (file.size > MAX_IMPORT_BYTES) {
+      toast.error(t('password.batch.toasts.fileTooLarge'));
+      return;
+    }
+
+    try {
+      const text = await file.text();
+      this.container.querySelector('#batch-input').value = text;
+      this.showInputErrors(parseBatchInput(text).errors);
+    } catch (error) {
+      logger.error('[BatchGenerator] Failed to read import file:', error);
+      toast.error(t('password.batch.toasts.importFailed'));
+    }
+  }
+
+  /**
+   * Parse the list and generate every row in order
+   */
+  async run() {
+    const keywords = this.getKeywords().filter(keyword => keyword.trim());
+    const options = { ...this.getOptions() };
+    const secret = this.getSecret();
+
+    // The label alone must never be enough: rows need the shared secret chips
+    if (keywords.join('').trim().length < 3) {
+      this.setStatus(t('password.batch.status.needKeywords'));
+      return;
+    }
+    if (options.outputMode === OUTPUT_MODES.TEMPLATE && parseTemplate(options.template, options).error) {
+      this.setStatus(t('password.batch.status.invalidTemplate'));
+      return;
+    }
+
+    if (!(await runSelfTest()).passed) {
+      this.setStatus(t('password.generator.selfTest.title'));
+      return;
+    }
+
+    const { rows, errors } = parseBatchInput(this.container.querySelector('#batch-input').value);
+    this.showInputErrors(errors);
+    if (rows.length === 0) {
+      this.setStatus(t('password.batch.status.noRows'));
+      return;
+    }
+
+    this.clearResults();
+    const token = ++this.runToken;
+    this.isRunning = true;
+    this.updateControls();
+
+    for (const [index, row] of rows.entries()) {
+      this.setStatus(t('password.batch.status.progress', { current: index + 1, total: rows.length }));
+
+      const result = await this.generateRow(keywords, options, secret, row);
+      if (token !== this.runToken) {
+        return;
+      }
+      this.results.push(result);
+      this.renderResults();
+    }
+
+    this.isRunning = false;
+    this.updateControls();
+    const failed = this.results.filter(result => result.error).length;
+    this.setStatus(failed
+      ? t('password.batch.status.doneWithErrors', { count: this.results.length, failed })
+      : t('password.batch.status.done', { count: this.results.length }));
+  }
+
+  /**
+   * Generate one row, applying the same checks as the single generator
+   *
+   * @param {string[]} keywords - Shared keyword chips
+   * @param {Object} options - Generator options captured when the run started
+   * @param {string} secret - Master secret captured when the run started
+   * @param {Object} row - Parsed row
+   * @returns {Promise<Object>} { label, length, classes, password, error }
+   */
+  async generateRow(keywords, options, secret, row) {
+    const rowOptions = buildRowOptions(options, row);
+    const usesCharacterTypes = rowOptions.outputMode === OUTPUT_MODES.PASSWORD;
+    const result = {
+      label: row.label,
+      length: usesCharacterTypes ? rowOptions.length : '',
+      classes: usesCharacterTypes ? formatClasses(rowOptions) : '',
+      password: '',
+      error: null
+    };
+
+    const requirementError = usesCharacterTypes ? checkCharacterSetRequirements(rowOptions).error : null;
+    if (requirementError) {
+      result.error = this.describeCharsetError(requirementError);
+      return result;
+    }
+
+    try {
+      const generated = await this.client.generate(buildRowKeywords(keywords, row), rowOptions, secret);
+      const password = generated?.password || '';
+
+      const isComplete = !usesCharacterTypes || (
+        password.length === rowOptions.length &&
+        findUnmetClasses(password, getActiveCharacterSets(rowOptions).sets).length === 0
+      );
+      if (password && isComplete) {
+        result.password = password;
+      } else if (generated) {
+        logger.error('[BatchGenerator] Generated password failed validation for a row');
+        result.error = t('password.generator.errors.generationFailed');
+      }
+    } catch (error) {
+      logger.error('[BatchGenerator] Row generation error:', error);
+      result.error = t('password.generator.errors.generationFailed');
+    }
+
+    return result;
+  }
+
+  /**
+   * Abort a running batch
+   */
+  stop() {
+    this.runToken++;
+    this.client.cancel();
+    this.isRunning = false;
+    this.updateControls();
+  }
+
+  /**
+   * Drop the results after a shared input changed; they no longer match
+   * what the single generator would produce
+   */
+  invalidate() {
+    if (!this.isRunning && this.results.length === 0) {
+      return;
+    }
+
+    this.stop();
+    this.clearResults();
+    this.setStatus(t('password.batch.status.invalidated'));
+  }
+
+  /**
+   * Forget all results
+   */
+  clearResults() {
+    this.results = [];
+    this.revealedRows.clear();
+    this.renderResults();
+  }
+
+  /**
+   * Toggle whether a row's password is shown in clear text
+   *
+   * @param {number} index - Row index
+   */
+  toggleReveal(index) {
+    if (this.revealedRows.has(index)) {
+      this.revealedRows.delete(index);
+    } else {
+      this.revealedRows.add(index);
+    }
+    this.renderResults();
+  }
+
+  /**
+   * Copy a label or password cell to the clipboard
+   *
+   * @param {number} index - Row index
+   * @param {string} field - 'label' or 'password'
+   */
+  copyCell(index, field) {
+    const result = this.results[index];
+    const isLabel = field === 'label';
+    const value = result?.[isLabel ? 'label' : 'password'];
+    if (!value) return;
+
+    // Labels are not secret, so they skip the concealed hints and auto-clear
+    copyWithFeedback(value, null, {
+      success: isLabel ? t('password.batch.toasts.labelCopied') : t('password.generator.toasts.passwordCopied'),
+      failure: t('password.generator.toasts.copyFailed'),
+      empty: t('password.generator.toasts.noPasswordToCopy')
+    }, { sensitive: !isLabel });
+  }
+
+  /**
+   * Download the generated rows
+   *
+   * @param {string} format - 'csv' or 'json'
+   */
+  exportResults(format) {
+    const rows = this.results.filter(result => result.password);
+    if (rows.length === 0) return;
+
+    if (format === 'json') {
+      downloadTextFile('nuwault-batch.json', toBatchJson(rows), 'application/json');
+    } else {
+      downloadTextFile('nuwault-batch.csv', toBatchCsv(rows), 'text/csv');
+    }
+    toast.warning(t('password.batch.toasts.exported'));
+  }
+
+  /**
+   * Show the status line
+   *
+   * @param {string} message - Status text, or '' to clear it
+   */
+  setStatus(message) {
+    const status = this.container?.querySelector('#batch-status');
+    if (status) {
+      status.textContent = message;
+    }
+  }
+
+  /**
+   * List the input lines that were skipped
+   *
+   * @param {Array} errors - Errors from parseBatchInput
+   */
+  showInputErrors(errors) {
+    const list = this.container?.querySelector('#batch-input-errors');
+    if (!list) return;
+
+    list.innerHTML = errors.map(({ line, code }) => `
+      <li>${t('password.batch.inputErrors.line', {
+        line,
+        message: t(`password.batch.inputErrors.${code}`, { max: BATCH_LIMITS.maxRows })
+      })}</li>
+    `).join('');
+    list.classList.toggle('hidden', errors.length === 0);
+  }
+
+  /**
+   * Sync button states with the run and the results
+   */
+  updateControls() {
+    if (!this.container) return;
+
+    const hasPasswords = this.results.some(result => result.password);
+    this.container.querySelector('#batch-generate').textContent = this.isRunning
+      ? t('password.batch.stop')
+      : t('password.batch.generate');
+    this.container.querySelector('#batch-export-csv').disabled = this.isRunning || !hasPasswords;
+    this.container.querySelector('#batch-export-json').disabled = this.isRunning || !hasPasswords;
+    this.container.querySelector('#batch-clear').disabled = this.isRunning || this.results.length === 0;
+  }
+
+  /**
+   * Render the results table
+   */
+  renderResults() {
+    const table = this.container?.querySelector('#batch-results');
+    if (!table) return;
+
+    this.updateControls();
+
+    if (this.results.length === 0) {
+      table.innerHTML = '';
+      return;
+    }
+
+    const copyIcon = `
+      <svg class="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+        <rect x="9" y="9" width="13" height="13" rx="2" ry="2" stroke-width="2"></rect>
+        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 15H4a2 2 0 01-2-2V4a2 2 0 012-2h9a2 2 0 012 2v1"></path>
+      </svg>
+    `;
+    const eyeIcon = `
+      <svg class="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 12a3 3 0 11-6 0 3 3 0 016 0z"></path>
+        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z"></path>
+      </svg>
+    `;
+    const iconButton = (index, action, field, title, content) => `
+      <button type="button"
+              data-batch-action="${action}"
+              data-row="${index}"
+              ${field ? `data-field="${field}"` : ''}
+              class="w-6 h-6 flex-shrink-0 flex items-center justify-center rounded text-gray-400 hover:text-primary-500 hover:bg-primary-50 dark:text-gray-300 dark:hover:text-primary-400 dark:hover:bg-primary-500/10 transition-all duration-200 cursor-pointer"
+              title="${title}"
+              aria-label="${title}">
+        ${content}
+      </button>
+    `;
+
+    table.innerHTML = `
+      <table class="w-full text-sm">
+        <thead>
+          <tr class="text-left text-xs text-gray-500 dark:text-gray-400">
+            <th class="py-1 pr-2 font-medium">${t('password.batch.columns.label')}</th>
+            <th class="py-1 pr-2 font-medium">${t('password.batch.columns.settings')}</th>
+            <th class="py-1 font-medium">${t('password.batch.columns.password')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${this.results.map((result, index) => {
+            const isRevealed = this.revealedRows.has(index);
+            const settings = result.length ? `${result.length} • ${result.classes}` : '';
+            const passwordCell = result.error
+              ? `<span class="text-xs text-red-600 dark:text-red-400">${escapeHtml(result.error)}</span>`
+              : `
+                <div class="flex items-center gap-1">
+                  <span class="font-mono break-all text-gray-800 dark:text-gray-100">
+                    ${escapeHtml(isRevealed ? result.password : '*'.repeat(result.password.length))}
+                  </span>
+                  ${iconButton(index, 'reveal', '', t(isRevealed ? 'password.batch.hide' : 'password.batch.reveal'), eyeIcon)}
+                  ${iconButton(index, 'copy', 'password', t('password.generator.generatedPassword.copyButton'), copyIcon)}
+                </div>
+              `;
+
+            return `
+              <tr class="border-t border-gray-200 dark:border-gray-600/50 align-top">
+                <td class="py-1 pr-2">
+                  <div class="flex items-center gap-1">
+                    <span class="break-all text-gray-800 dark:text-gray-100">${escapeHtml(result.label)}</span>
+                    ${iconButton(index, 'copy', 'label', t('password.batch.copyLabel'), copyIcon)}
+                  </div>
+                </td>
+                <td class="py-1 pr-2 text-xs text-gray-500 dark:text-gray-400 whitespace-nowrap">${escapeHtml(settings)}</td>
+                <td class="py-1">${passwordCell}</td>
+              </tr>
+            `;
+          }).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+}
@@ -0,0 +1,173 @@
+/**
+ * ClipboardStatus Component
+ *
+ * Clipboard bar of the generator card: the auto-clear delay, a countdown
+ * chip while a copied value is waiting to be cleared, and when something
+ * was last copied. The copied value itself is never shown or kept here.
+ *
+ * @author NuwaX
+ */
+import {
+  CLIPBOARD_CLEAR_OPTIONS,
+  CLIPBOARD_STATES,
+  getClipboardState,
+  subscribeClipboard,
+  setClipboardClearSeconds,
+  clearClipboardNow
+} from '../utils/clipboard.js';
+import { toast } from '../utils/toast.js';
+import { t, formatDate } from '../utils/i18n.js';
+
+/**
+ * Outcomes of a countdown and the toast each one shows
+ */
+const OUTCOME_TOASTS = {
+  [CLIPBOARD_STATES.CLEARED]: { type: 'success', key: 'password.clipboard.toasts.cleared' },
+  [CLIPBOARD_STATES.REPLACED]: { type: 'info', key: 'password.clipboard.toasts.replaced' },
+  [CLIPBOARD_STATES.UNVERIFIED]: { type: 'warning', key: 'password.clipboard.toasts.unverified' }
+};
+
+/**
+ * ClipboardStatus Class
+ *
+ * Clipboard bar with:
+ * - Auto-clear delay selection, remembered between visits
+ * - Countdown chip with a clear-now button
+ * - Time of the last copy
+ */
+export class ClipboardStatus {
+  constructor() {
+    this.container = null;
+    this.unsubscribe = null;
+    this.countdownInterval = null;
+    this.lastStatus = getClipboardState().status;
+  }
+
+  /**
+   * Generate HTML structure for the clipboard bar
+   *
+   * @returns {string} HTML string for the clipboard bar
+   */
+  renderClipboardStatus() {
+    const { clearSeconds } = getClipboardState();
+
+    return `
+      <div id="clipboard-status" class="flex flex-wrap items-center gap-x-4 gap-y-2 text-xs text-gray-600 dark:text-gray-400">
+        <label class="flex items-center gap-2">
+          <span>${t('password.clipboard.autoClear')}</span>
+          <select id="clipboard-clear-seconds" class="select-field !w-auto text-xs">
+            ${CLIPBOARD_CLEAR_OPTIONS.map(seconds => `
+              <option value="${seconds}" ${seconds === clearSeconds ? 'selected' : ''}>
+                ${seconds === 0 ? t('password.clipboard.never') : t('password.clipboard.seconds', { seconds })}
+              </option>
+            `).join('')}
+          </select>
+        </label>
+        <div id="clipboard-countdown" class="hidden">
+          <div class="inline-flex items-center gap-2 rounded-full bg-amber-100 dark:bg-amber-500/15 px-2.5 py-0.5 font-medium text-amber-800 dark:text-amber-300">
+            <span id="clipboard-countdown-text"></span>
+            <button type="button" id="clipboard-clear-now" class="underline cursor-pointer">
+              ${t('password.clipboard.clearNow')}
+            </button>
+          </div>
+        </div>
+        <span id="clipboard-audit" class="hidden"></span>
+        ${window.isSecureContext ? '' : `
+          <p class="w-full text-amber-600 dark:text-amber-400">${t('password.clipboard.insecureContext')}</p>
+        `}
+      </div>
+    `;
+  }
+
+  /**
+   * Bind event listeners once the generator markup is in the DOM
+   *
+   * @param {HTMLElement} container - Element containing the rendered bar
+   */
+  attach(container) {
+    this.container = container;
+
+    container.querySelector('#clipboard-clear-seconds').addEventListener('change', (e) => {
+      setClipboardClearSeconds(parseInt(e.target.value, 10));
+    });
+
+    container.querySelector('#clipboard-clear-now').addEventListener('click', async () => {
+      if (!await clearClipboardNow()) {
+        toast.error(t('password.clipboard.toasts.clearFailed'));
+      }
+    });
+
+    this.unsubscribe = subscribeClipboard((clipboardState) => this.handleStateChange(clipboardState));
+    this.update(getClipboardState());
+  }
+
+  /**
+   * React to a clipboard state change. A bar that was replaced by a
+   * re-render (e.g. after a language change) unsubscribes itself.
+   *
+   * @param {Object} clipboardState - State from getClipboardState()
+   */
+  handleStateChange(clipboardState) {
+    if (!this.container?.isConnected) {
+      this.unsubscribe?.();
+      clearInterval(this.countdownInterval);
+      return;
+    }
+
+    const wasWaiting = this.lastStatus === CLIPBOARD_STATES.PENDING ||
+                       this.lastStatus === CLIPBOARD_STATES.WAITING_FOCUS;
+    const outcome = OUTCOME_TOASTS[clipboardState.status];
+    if (wasWaiting && outcome) {
+      toast[outcome.type](t(outcome.key));
+    }
+
+    this.update(clipboardState);
+  }
+
+  /**
+   * Show the countdown chip and the last copy time
+   *
+   * @param {Object} clipboardState - State from getClipboardState()
+   */
+  update(clipboardState) {
+    this.lastStatus = clipboardState.status;
+
+    const countdown = this.container?.querySelector('#clipboard-countdown');
+    const audit = this.container?.querySelector('#clipboard-audit');
+    if (!countdown || !audit) return;
+
+    const isPending = clipboardState.status === CLIPBOARD_STATES.PENDING;
+    const isWaiting = isPending || clipboardState.status === CLIPBOARD_STATES.WAITING_FOCUS;
+    countdown.classList.toggle('hidden', !isWaiting);
+
+    clearInterval(this.countdownInterval);
+    this.countdownInterval = null;
+    if (isPending) {
+      this.updateCountdown(clipboardState.expiresAt);
+      // The chip is not a live region, so screen readers are not told every second
+      this.countdownInterval = setInterval(() => this.updateCountdown(clipboardState.expiresAt), 1000);
+    } else if (isWaiting) {
+      this.container.querySelector('#clipboard-countdown-text').textContent = t('password.clipboard.waitingFocus');
+    }
+
+    if (clipboardState.lastCopiedAt) {
+      audit.textContent = t('password.clipboard.lastCopied', {
+        time: formatDate(clipboardState.lastCopiedAt, { timeStyle: 'medium' })
+      });
+      audit.classList.remove('hidden');
+    }
+  }
+
+  /**
+   * Refresh the seconds left on the countdown chip
+   *
+   * @param {number} expiresAt - Time the clipboard is cleared, in milliseconds
+   */
+  updateCountdown(expiresAt) {
+    const text = this.container?.querySelector('#clipboard-countdown-text');
+    if (!text) return;
+
+    const seconds = Math.max(0, Math.ceil((expiresAt - Date.now()) / 1000));
+    text.textContent = t('password.clipboard.clearsIn', { seconds });
+  }
+}
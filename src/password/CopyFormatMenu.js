@@ -0,0 +1,250 @@
+/**
+ * CopyFormatMenu Component
+ *
+ * Dropdown half of the password copy split button. Copies the password
+ * escaped for a shell command, JSON, a URL, an XML attribute or a .env
+ * line; the .env variable name is remembered between visits.
+ *
+ * @author NuwaX
+ */
+import { COPY_FORMATS, DEFAULT_ENV_KEY, ENV_KEY_MAX_LENGTH, isValidEnvKey, formatForCopy } from '../utils/copyFormats.js';
+import { copyWithFeedback } from '../utils/clipboard.js';
+import { escapeHtml } from '../utils/html.js';
+import { toast } from '../utils/toast.js';
+import { logger } from '../utils/logger.js';
+import { t } from '../utils/i18n.js';
+
+const STORAGE_KEY = 'nuwault-copy-env-key';
+
+/**
+ * CopyFormatMenu Class
+ *
+ * Copy-as menu with:
+ * - One entry per escaped format
+ * - Editable variable name for the .env line
+ * - Keyboard navigation (arrow keys, Escape)
+ */
+export class CopyFormatMenu {
+  /**
+   * Initialize CopyFormatMenu with configuration options
+   *
+   * @param {Object} options - Configuration options
+   * @param {Function} options.getValue - Returns the value to copy
+   * @param {Function} options.onCopied - Called after a successful copy
+   */
+  constructor(options = {}) {
+    this.getValue = options.getValue || (() => '');
+    this.onCopied = options.onCopied || (() => {});
+
+    this.container = null;
+    this.envKey = this.loadEnvKey();
+    this.handleOutsideClick = (e) => {
+      if (!this.container?.querySelector('#copy-format-group')?.contains(e.target)) {
+        this.close();
+      }
+    };
+  }
+
+  /**
+   * Load the .env variable name from localStorage
+   *
+   * @returns {string} Saved variable name or the default
+   */
+  loadEnvKey() {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      if (isValidEnvKey(saved)) {
+        return saved;
+      }
+    } catch (error) {
+      logger.warn('[CopyFormatMenu] Failed to load .env variable name:', error);
+    }
+    return DEFAULT_ENV_KEY;
+  }
+
+  /**
+   * Save the .env variable name to localStorage
+   */
+  saveEnvKey() {
+    try {
+      localStorage.setItem(STORAGE_KEY, this.envKey);
+    } catch (error) {
+      logger.warn('[CopyFormatMenu] Failed to save .env variable name:', error);
+    }
+  }
+
+  /**
+   * Generate HTML structure for the menu toggle and the menu
+   *
+   * @returns {string} HTML string for the copy-as menu
+   */
+  renderCopyFormatMenu() {
+    return `
+      <button type="button" id="copy-format-toggle"
+              class="px-2 bg-primary-500 hover:bg-primary-400 dark:bg-primary-600 dark:hover:bg-primary-700 text-white rounded-r-md border-l border-primary-400 dark:border-primary-700 transition-all duration-200 shadow-sm flex items-center justify-center cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+              aria-haspopup="menu" aria-expanded="false" aria-controls="copy-format-menu"
+              title="${t('password.copyFormats.toggle')}" aria-label="${t('password.copyFormats.toggle')}">
+        <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 9l-7 7-7-7"></path>
+        </svg>
+      </button>
+      <div id="copy-format-menu" role="menu" aria-label="${t('password.copyFormats.title')}"
+           class="hidden absolute right-0 top-full mt-1 z-20 w-72 rounded-md border border-gray-200 dark:border-gray-600 bg-white dark:bg-gray-800 shadow-lg py-1">
+        ${Object.values(COPY_FORMATS).map(format => `
+          <button type="button" role="menuitem" tabindex="-1" data-copy-format="${format}"
+                  class="w-full text-left px-3 py-2 text-sm text-gray-800 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700 focus:bg-gray-100 dark:focus:bg-gray-700 focus:outline-none cursor-pointer">
+            <span class="block font-medium">${t(`password.copyFormats.formats.${format}.label`)}</span>
+            <span class="block text-xs font-mono text-gray-500 dark:text-gray-400">${escapeHtml(t(`password.copyFormats.formats.${format}.example`))}</span>
+          </button>
+        `).join('')}
+        <div class="px-3 pt-2 pb-1 border-t border-gray-200 dark:border-gray-600">
+          <label for="copy-format-env-key" class="block text-xs text-gray-600 dark:text-gray-400 mb-1">${t('password.copyFormats.envKey')}</label>
+          <input type="text" id="copy-format-env-key" class="input-field font-mono text-sm py-1"
+                 maxlength="${ENV_KEY_MAX_LENGTH}" autocomplete="off" spellcheck="false">
+          <p id="copy-format-env-key-error" class="hidden mt-1 text-xs text-red-600 dark:text-red-400">${t('password.copyFormats.errors.invalidEnvKey')}</p>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Bind event listeners once the generator markup is in the DOM
+   *
+   * @param {HTMLElement} container - Element containing the rendered menu
+   */
+  attach(container) {
+    this.container = container;
+
+    const toggle = container.querySelector('#copy-format-toggle');
+    const menu = container.querySelector('#copy-format-menu');
+    const envKeyInput = container.querySelector('#copy-format-env-key');
+    envKeyInput.value = this.envKey;
+
+    toggle.addEventListener('click', () => {
+      if (menu.classList.contains('hidden')) {
+        this.open();
+      } else {
+        this.close();
+      }
+    });
+
+    toggle.addEventListener('keydown', (e) => {
+      if (e.key === 'ArrowDown' && !toggle.disabled) {
+        e.preventDefault();
+        this.open();
+      }
+    });
+
+    menu.querySelectorAll('[data-copy-format]').forEach(item => {
+      item.addEventListener('click', () => {
+        this.copyAs(item.dataset.copyFormat);
+      });
+    });
+
+    menu.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        this.close();
+        toggle.focus();
+      } else if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && e.target !== envKeyInput) {
+        e.preventDefault();
+        this.moveFocus(e.key === 'ArrowDown' ? 1 : -1);
+      }
+    });
+
+    envKeyInput.addEventListener('input', () => {
+      const isValid = isValidEnvKey(envKeyInput.value);
+      container.querySelector('#copy-format-env-key-error').classList.toggle('hidden', isValid);
+      envKeyInput.setAttribute('aria-invalid', String(!isValid));
+      if (isValid) {
+        this.envKey = envKeyInput.value;
+        this.saveEnvKey();
+      }
+    });
+  }
+
+  /**
+   * Enable or disable the menu together with the main copy button
+   *
+   * @param {boolean} disabled - True when there is nothing to copy
+   */
+  setDisabled(disabled) {
+    const toggle = this.container?.querySelector('#copy-format-toggle');
+    if (!toggle) return;
+
+    toggle.disabled = disabled;
+    if (disabled) {
+      this.close();
+    }
+  }
+
+  /**
+   * Show the menu and focus its first entry
+   */
+  open() {
+    const toggle = this.container?.querySelector('#copy-format-toggle');
+    const menu = this.container?.querySelector('#copy-format-menu');
+    if (!toggle || !menu || toggle.disabled) return;
+
+    menu.classList.remove('hidden');
+    toggle.setAttribute('aria-expanded', 'true');
+    menu.querySelector('[data-copy-format]').focus();
+    document.addEventListener('click', this.handleOutsideClick);
+  }
+
+  /**
+   * Hide the menu
+   */
+  close() {
+    document.removeEventListener('click', this.handleOutsideClick);
+
+    const toggle = this.container?.querySelector('#copy-format-toggle');
+    const menu = this.container?.querySelector('#copy-format-menu');
+    if (!toggle || !menu) return;
+
+    menu.classList.add('hidden');
+    toggle.setAttribute('aria-expanded', 'false');
+  }
+
+  /**
+   * Move focus between menu entries, wrapping around at either end
+   *
+   * @param {number} step - 1 for the next entry, -1 for the previous one
+   */
+  moveFocus(step) {
+    const items = Array.from(this.container.querySelectorAll('#copy-format-menu [data-copy-format]'));
+    const index = items.indexOf(document.activeElement);
+    const next = index === -1 ? 0 : (index + step + items.length) % items.length;
+    items[next].focus();
+  }
+
+  /**
+   * Copy the value in one of the escaped formats
+   *
+   * @param {string} format - One of COPY_FORMATS
+   */
+  async copyAs(format) {
+    const value = this.getValue();
+    if (!value) {
+      toast.warning(t('password.generator.toasts.noPasswordToCopy'));
+      return;
+    }
+
+    const { text, error } = formatForCopy(value, format, { envKey: this.envKey });
+    if (error) {
+      toast.error(t(`password.copyFormats.errors.${error}`));
+      return;
+    }
+
+    this.close();
+    const copied = await copyWithFeedback(text, this.container.querySelector('#copy-format-toggle'), {
+      success: t('password.copyFormats.toasts.copied', { format: t(`password.copyFormats.formats.${format}.label`) }),
+      failure: t('password.generator.toasts.copyFailed'),
+      empty: t('password.generator.toasts.noPasswordToCopy')
+    });
+    if (copied) {
+      this.container.querySelector('#copy-format-toggle').focus();
+      this.onCopied();
+    }
+  }
+}
@@ -8,13 +8,54 @@
  * 
  * @author NuwaX
  */
-import { generatePassword } from '@nuwax-io/nuwault-core';
 import { SECURITY_CONFIG, DEFAULT_PASSWORD_OPTIONS, CHARACTER_SETS, KEYWORD_MANAGEMENT_OPTIONS } from '../utils/config.js';
 import { toast } from '../utils/toast.js';
 import { logger } from '../utils/logger.js';
 import { KeywordChips } from './KeywordChips.js';
 import { PasswordStrength } from './PasswordStrength.js';
-import { t } from '../utils/i18n.js';
+import { ProfileManager } from './ProfileManager.js';
+import { MasterSecretInput } from './MasterSecretInput.js';
+import { BatchGenerator } from './BatchGenerator.js';
+import { RecipeSharing } from './RecipeSharing.js';
+import { UsernameOutput } from './UsernameOutput.js';
+import { SecurityAnswerOutput } from './SecurityAnswerOutput.js';
+import { RecoveryCodesOutput } from './RecoveryCodesOutput.js';
+import { ClipboardStatus } from './ClipboardStatus.js';
+import { CopyFormatMenu } from './CopyFormatMenu.js';
+import { PasswordReadout } from './PasswordReadout.js';
+import { PasswordQrTransfer } from './PasswordQrTransfer.js';
+import { SecureDisplay } from './SecureDisplay.js';
+import {
+  applyStoredGenerationSettings,
+  getDefaultGenerationSettings,
+  COUNTER_LIMITS,
+  OUTPUT_MODES,
+  KEYWORD_ORDERS,
+  ALGORITHM_VERSIONS,
+  CURRENT_ALGORITHM_VERSION
+} from './generationSettings.js';
+import { getStrengthContext } from './generationPipeline.js';
+import { GenerationClient } from './generationClient.js';
+import { WORDLISTS, PASSPHRASE_LIMITS, PASSPHRASE_SEPARATORS, PASSPHRASE_CAPITALIZATION, PASSPHRASE_SUFFIXES } from './passphrase.js';
+import { parseTemplate, calculateTemplateEntropy, TEMPLATE_PRESETS, TEMPLATE_LIMITS } from './templates.js';
+import {
+  CHARACTER_CLASSES,
+  CHARSET_LIMITS,
+  DEFAULT_CHARSET_SETTINGS,
+  getActiveCharacterSets,
+  checkCharacterSetRequirements,
+  findUnmetClasses,
+  sanitizeCharacterSet
+} from './charsets.js';
+import { KDF_ALGORITHMS, KDF_LIMITS, getIterationLimits, getDefaultKdfIterations } from './kdf.js';
+import { NORMALIZATION_FORMS } from './normalization.js';
+import { renderIdenticon } from './fingerprint.js';
+import { createVerifier, checkVerifier } from './verifier.js';
+import { runSelfTest } from './selfTest.js';
+import { escapeHtml } from '../utils/html.js';
+import { copyWithFeedback } from '../utils/clipboard.js';
+import { maskSecret } from '../utils/mask.js';
+import { t, SUPPORTED_LANGUAGES } from '../utils/i18n.js';
 
 /**
  * PasswordGenerator Class
@@ -23,8 +64,15 @@ import { t } from '../utils/i18n.js';
  * - Keyword-based password generation with salt integration
  * - Real-time animated password generation with smooth transitions
  * - Configurable character sets and length constraints
+ * - Runtime character set editor with ambiguous-character exclusion
+ * - Rotation counter for deterministic password versions
+ * - Optional PBKDF2 / Argon2id key stretching with selectable cost
+ * - Passphrase output mode with bundled per-locale wordlists
+ * - Template masks for site-specific password formats
  * - Auto-generation with debouncing and validation
+ * - Generation in a Web Worker with cancellation of superseded requests
  * - Password masking and strength analysis
+ * - Per-site generation profiles for non-secret settings
  * - Mobile-optimized touch interactions and responsive design
  * - Debug utilities for mobile touch events
  */
@@ -42,11 +90,17 @@ export class PasswordGenerator {
       includeUppercase: DEFAULT_PASSWORD_OPTIONS.includeUppercase,
       includeLowercase: DEFAULT_PASSWORD_OPTIONS.includeLowercase,
       includeNumbers: DEFAULT_PASSWORD_OPTIONS.includeNumbers,
-      includeSymbols: DEFAULT_PASSWORD_OPTIONS.includeSymbols
+      includeSymbols: DEFAULT_PASSWORD_OPTIONS.includeSymbols,
+      ...getDefaultGenerationSettings()
     };
     this.element = null;
     this.isAnimating = false;
     this.animationFrameId = null;
+    this.animationToken = 0;
+    this.animatingRevision = null;
+    // Bumped on every chip or option change; a result is only shown for the latest revision
+    this.inputRevision = 0;
+    this.displayedRevision = 0;
     this.autoGenerateTimeout = null;
     this.lengthSliderTimeout = null;
     this.debounceDelay = 50;
@@ -63,6 +117,71 @@ export class PasswordGenerator {
     });
     
     this.passwordStrength = new PasswordStrength();
+    
+    this.profileManager = new ProfileManager({
+      getOptions: () => this.options,
+      onApply: (profile) => this.applyProfile(profile),
+      getVerifier: () => (this.originalPassword && !this.isOutputStale())
+        ? createVerifier(this.originalPassword)
+        : null,
+      onProfilesChange: () => this.updateVerifierBadge()
+    });
+    this.verifierToken = 0;
+    
+    this.masterSecret = new MasterSecretInput({
+      onChange: () => this.autoGeneratePassword(),
+      onForget: ({ expired }) => this.handleMasterSecretForgotten(expired)
+    });
+    
+    this.batchGenerator = new BatchGenerator({
+      getKeywords: () => this.keywordChips.getKeywords(),
+      getOptions: () => this.options,
+      getSecret: () => this.masterSecret.getSecret(),
+      describeCharsetError: (error) => this.getCharsetErrorMessage(error)
+    });
+    
+    this.usernameOutput = new UsernameOutput({
+      onChange: () => this.autoGeneratePassword()
+    });
+    
+    this.securityAnswerOutput = new SecurityAnswerOutput({
+      onChange: () => this.autoGeneratePassword()
+    });
+    
+    this.recoveryCodesOutput = new RecoveryCodesOutput({
+      onChange: () => this.autoGeneratePassword()
+    });
+    
+    this.clipboardStatus = new ClipboardStatus();
+    
+    this.passwordReadout = new PasswordReadout({
+      masked: this.maskPassword
+    });
+    
+    this.passwordQrTransfer = new PasswordQrTransfer();
+    
+    this.secureDisplay = new SecureDisplay({
+      onToggle: () => {
+        this.updatePasswordDisplay();
+        if (this.originalPassword && this.secureDisplay.isEnabled()) {
+          this.secureDisplay.startClearTimer();
+        }
+      },
+      onExpire: () => this.clearSecurePassword(),
+      onRegenerate: () => this.performPasswordGeneration()
+    });
+    
+    this.copyFormatMenu = new CopyFormatMenu({
+      getValue: () => this.originalPassword,
+      onCopied: () => this.clearAfterCopy()
+    });
+    
+    this.recipeSharing = new RecipeSharing({
+      getOptions: () => this.options,
+      onApply: (settings) => this.applyRecipe(settings)
+    });
+    
+    this.generationClient = new GenerationClient();
   }
 
   /**
@@ -110,14 +229,464 @@ export class PasswordGenerator {
     }
   }
 
+  /**
+   * Apply a stored generation profile to the current options
+   * 
+   * @param {Object} profile - Profile selected in the profile manager
+   */
+  applyProfile(profile) {
+    this.applySettings(profile.settings);
+  }
+
+  /**
+   * Apply confirmed recipe settings to the current options
+   * 
+   * @param {Object} settings - Settings parsed from a recipe
+   */
+  applyRecipe(settings) {
+    this.profileManager.clearActiveProfile();
+    this.applySettings(settings);
+  }
+
+  /**
+   * Apply stored generation settings, refresh the controls and regenerate
+   * 
+   * @param {Object} settings - Stored generation settings
+   */
+  applySettings(settings) {
+    applyStoredGenerationSettings(this.options, settings);
+    this.savePasswordLength(this.options.length);
+    this.syncOptionControls();
+    this.updateValidationState();
+    this.autoGeneratePassword();
+  }
+
+  /**
+   * Update the rotation counter and regenerate
+   * 
+   * @param {number|string} value - Requested counter value
+   */
+  setCounter(value) {
+    let counter = parseInt(value, 10);
+    if (isNaN(counter)) {
+      counter = this.options.counter;
+    }
+    counter = Math.min(COUNTER_LIMITS.max, Math.max(COUNTER_LIMITS.min, counter));
+    
+    const hasChanged = counter !== this.options.counter;
+    this.options.counter = counter;
+    this.updateCounterControls();
+    
+    if (hasChanged) {
+      this.profileManager.clearActiveProfile();
+      this.autoGeneratePassword();
+    }
+  }
+
+  /**
+   * Switch between order-sensitive and order-insensitive keywords and regenerate
+   * 
+   * @param {string} keywordOrder - One of KEYWORD_ORDERS
+   */
+  setKeywordOrder(keywordOrder) {
+    if (!Object.values(KEYWORD_ORDERS).includes(keywordOrder) || keywordOrder === this.options.keywordOrder) {
+      return;
+    }
+    
+    this.options.keywordOrder = keywordOrder;
+    this.updateKeywordOrderControls();
+    this.profileManager.clearActiveProfile();
+    this.autoGeneratePassword();
+  }
+
+  /**
+   * Reflect the keyword order mode and show the reorder warning when a drag
+   * changed the password in order-sensitive mode
+   */
+  updateKeywordOrderControls() {
+    const checkbox = this.element?.querySelector('#keyword-order-insensitive');
+    const notice = this.element?.querySelector('#keyword-order-notice');
+    if (!checkbox || !notice) return;
+    
+    const isInsensitive = this.options.keywordOrder === KEYWORD_ORDERS.INSENSITIVE;
+    checkbox.checked = isInsensitive;
+    notice.classList.toggle('hidden', isInsensitive || !this.keywordChips.getOrderBeforeReorder());
+  }
+
+  /**
+   * Update one keyword normalization setting and regenerate
+   * 
+   * @param {string} key - unicodeNormalization, caseInsensitive or collapseWhitespace
+   * @param {string|boolean} value - New value
+   */
+  setNormalizationOption(key, value) {
+    if (this.options[key] === value) {
+      return;
+    }
+    
+    this.options[key] = value;
+    this.profileManager.clearActiveProfile();
+    this.autoGeneratePassword();
+  }
+
+  /**
+   * Reflect the keyword normalization settings in their controls
+   */
+  updateNormalizationControls() {
+    const formSelect = this.element?.querySelector('#unicode-normalization');
+    const caseCheckbox = this.element?.querySelector('#case-insensitive');
+    const whitespaceCheckbox = this.element?.querySelector('#collapse-whitespace');
+    
+    if (formSelect) formSelect.value = this.options.unicodeNormalization;
+    if (caseCheckbox) caseCheckbox.checked = this.options.caseInsensitive;
+    if (whitespaceCheckbox) whitespaceCheckbox.checked = this.options.collapseWhitespace;
+  }
+
+  /**
+   * Reflect the rotation counter in its input and stepper buttons
+   */
+  updateCounterControls() {
+    const counterInput = this.element.querySelector('#counter-input');
+    const decrementButton = this.element.querySelector('#counter-decrement');
+    const incrementButton = this.element.querySelector('#counter-increment');
+    
+    if (counterInput) counterInput.value = this.options.counter;
+    if (decrementButton) decrementButton.disabled = this.options.counter <= COUNTER_LIMITS.min;
+    if (incrementButton) incrementButton.disabled = this.options.counter >= COUNTER_LIMITS.max;
+  }
+
+  /**
+   * Pin the algorithm version and regenerate
+   * 
+   * @param {number|string} value - Requested algorithm version
+   */
+  setAlgorithmVersion(value) {
+    const version = parseInt(value, 10);
+    if (!ALGORITHM_VERSIONS.includes(version) || version === this.options.algorithmVersion) {
+      this.updateAlgorithmControls();
+      return;
+    }
+    
+    this.options.algorithmVersion = version;
+    this.updateAlgorithmControls();
+    this.profileManager.clearActiveProfile();
+    this.autoGeneratePassword();
+  }
+
+  /**
+   * Reflect the pinned algorithm version and flag legacy versions
+   */
+  updateAlgorithmControls() {
+    const select = this.element?.querySelector('#algorithm-version');
+    const notice = this.element?.querySelector('#algorithm-legacy-notice');
+    if (!select || !notice) return;
+    
+    select.value = String(this.options.algorithmVersion);
+    notice.classList.toggle('hidden', this.options.algorithmVersion === CURRENT_ALGORITHM_VERSION);
+  }
+
+  /**
+   * Show the self-test result. A failure blocks generation, so it is shown
+   * prominently above everything else.
+   * 
+   * @param {Object} result - Result from runSelfTest
+   */
+  showSelfTestResult(result) {
+    const banner = this.element?.querySelector('#self-test-failure');
+    if (!banner) return;
+    
+    if (result.passed) {
+      banner.classList.add('hidden');
+      return;
+    }
+    
+    banner.querySelector('#self-test-failure-details').textContent = t('password.generator.selfTest.details', {
+      failed: result.failures.length,
+      total: result.total,
+      names: result.failures.map(failure => failure.name).join(', ')
+    });
+    banner.classList.remove('hidden');
+  }
+
+  /**
+   * Switch the key derivation function, resetting its cost to the configured default
+   * 
+   * @param {string} kdf - One of KDF_ALGORITHMS
+   */
+  setKdf(kdf) {
+    if (!Object.values(KDF_ALGORITHMS).includes(kdf) || kdf === this.options.kdf) {
+      return;
+    }
+    
+    this.options.kdf = kdf;
+    this.options.kdfIterations = getDefaultKdfIterations(kdf);
+    this.updateKdfControls();
+    this.profileManager.clearActiveProfile();
+    this.autoGeneratePassword();
+  }
+
+  /**
+   * Reflect the key derivation settings in the KDF controls
+   */
+  updateKdfControls() {
+    if (!this.element) return;
+    
+    const { kdf } = this.options;
+    const limits = getIterationLimits(kdf);
+    const algorithmSelect = this.element.querySelector('#kdf-algorithm');
+    const iterationsInput = this.element.querySelector('#kdf-iterations');
+    const memoryInput = this.element.querySelector('#kdf-memory');
+    
+    if (algorithmSelect) algorithmSelect.value = kdf;
+    if (iterationsInput) {
+      iterationsInput.min = limits.min;
+      iterationsInput.max = limits.max;
+      iterationsInput.value = this.options.kdfIterations;
+    }
+    if (memoryInput) memoryInput.value = this.options.kdfMemory;
+    
+    this.element.querySelector('#kdf-cost')?.classList.toggle('hidden', kdf === KDF_ALGORITHMS.NONE);
+    this.element.querySelector('#kdf-memory-field')?.classList.toggle('hidden', kdf !== KDF_ALGORITHMS.ARGON2ID);
+  }
+
+  /**
+   * Get a human readable label for a passphrase separator
+   * 
+   * @param {string} separator - Separator character
+   * @returns {string} Display label
+   */
+  getSeparatorLabel(separator) {
+    switch (separator) {
+      case ' ':
+        return t('password.generator.passphrase.separators.space');
+      case '':
+        return t('password.generator.passphrase.separators.none');
+      default:
+        return separator;
+    }
+  }
+
+  /**
+   * Switch between password, passphrase and template output
+   * 
+   * @param {string} mode - One of OUTPUT_MODES
+   */
+  setOutputMode(mode) {
+    if (!Object.values(OUTPUT_MODES).includes(mode) || mode === this.options.outputMode) {
+      return;
+    }
+    
+    this.options.outputMode = mode;
+    this.updateOutputModeControls();
+    this.profileManager.clearActiveProfile();
+    this.updateValidationState();
+    this.autoGeneratePassword();
+  }
+
+  /**
+   * Reflect the output mode in the mode toggle and settings panels
+   */
+  updateOutputModeControls() {
+    const { outputMode } = this.options;
+    
+    this.element.querySelectorAll('[data-output-mode]').forEach(button => {
+      const isActive = button.dataset.outputMode === this.options.outputMode;
+      button.classList.toggle('active', isActive);
+      button.setAttribute('aria-checked', isActive.toString());
+    });
+    
+    this.element.querySelector('#password-settings')?.classList.toggle('hidden', outputMode !== OUTPUT_MODES.PASSWORD);
+    this.element.querySelector('#passphrase-settings')?.classList.toggle('hidden', outputMode !== OUTPUT_MODES.PASSPHRASE);
+    this.element.querySelector('#template-settings')?.classList.toggle('hidden', outputMode !== OUTPUT_MODES.TEMPLATE);
+  }
+
+  /**
+   * Show the size of the active character pool or why it cannot be used
+   */
+  updateCharsetStatus() {
+    const status = this.element?.querySelector('#charset-status');
+    if (!status) return;
+    
+    const { sets, error } = checkCharacterSetRequirements(this.options);
+    const message = error ? this.getCharsetErrorMessage(error) : null;
+    
+    const poolSize = new Set(sets.flatMap(set => set.chars)).size;
+    status.textContent = message || t('password.generator.charsets.summary', { count: poolSize });
+    status.classList.toggle('text-red-600', !!message);
+    status.classList.toggle('dark:text-red-400', !!message);
+    status.classList.toggle('text-gray-500', !message);
+    status.classList.toggle('dark:text-gray-400', !message);
+  }
+
+  /**
+   * Translate a character set requirement error for display
+   * 
+   * @param {Object} error - Error returned by checkCharacterSetRequirements
+   * @returns {string} Localized message
+   */
+  getCharsetErrorMessage(error) {
+    return t(`password.generator.charsets.errors.${error.code}`, {
+      charClass: error.charClass ? t(`password.generator.characterTypes.${error.charClass}`) : '',
+      required: error.required,
+      length: error.length
+    });
+  }
+
+  /**
+   * Show or clear the message explaining why no password was generated
+   * 
+   * @param {string|null} message - Message to show, or null to hide it
+   */
+  showGenerationError(message) {
+    const errorElement = this.element?.querySelector('#generation-error');
+    if (!errorElement) return;
+    
+    errorElement.textContent = message || '';
+    errorElement.classList.toggle('hidden', !message);
+  }
+
+  /**
+   * Refresh dependent UI and regenerate after a charset editor change
+   */
+  onCharsetChange() {
+    this.profileManager.clearActiveProfile();
+    this.updateCharsetStatus();
+    this.updateTemplateValidation();
+    this.autoGeneratePassword();
+  }
+
+  /**
+   * Reflect the character set options in the charset editor
+   */
+  syncCharsetControls() {
+    if (!this.element) return;
+    
+    CHARACTER_CLASSES.forEach(({ key, charsKey, minKey }) => {
+      const charsInput = this.element.querySelector(`[data-charset-chars="${key}"]`);
+      const minInput = this.element.querySelector(`[data-charset-min="${key}"]`);
+      if (charsInput) charsInput.value = this.options[charsKey];
+      if (minInput) minInput.value = this.options[minKey];
+    });
+    
+    const siteSymbols = this.element.querySelector('#charset-site-symbols');
+    if (siteSymbols) siteSymbols.value = this.options.siteSymbols;
+    
+    const excludeAmbiguous = this.element.querySelector('#exclude-ambiguous');
+    if (excludeAmbiguous) excludeAmbiguous.checked = this.options.excludeAmbiguous;
+    
+    this.updateCharsetStatus();
+  }
+
+  /**
+   * Update the template from user input and show its validation result
+   * 
+   * @param {string} template - Template pattern
+   */
+  setTemplate(template) {
+    const templateInput = this.element.querySelector('#template-input');
+    if (templateInput && templateInput.value !== template) {
+      templateInput.value = template;
+    }
+    
+    const hasChanged = template !== this.options.template;
+    this.options.template = template;
+    this.updateTemplateValidation();
+    
+    if (hasChanged) {
+      this.profileManager.clearActiveProfile();
+      this.autoGeneratePassword();
+    }
+  }
+
+  /**
+   * Show whether the current template is valid, with its length and entropy
+   */
+  updateTemplateValidation() {
+    const validation = this.element?.querySelector('#template-validation');
+    const templateInput = this.element?.querySelector('#template-input');
+    if (!validation) return;
+    
+    const { tokens, error } = parseTemplate(this.options.template, this.options);
+    
+    validation.classList.toggle('text-red-600', !!error);
+    validation.classList.toggle('dark:text-red-400', !!error);
+    validation.classList.toggle('text-gray-500', !error);
+    validation.classList.toggle('dark:text-gray-400', !error);
+    templateInput?.setAttribute('aria-invalid', (!!error).toString());
+    
+    validation.textContent = error
+      ? t(`password.generator.template.errors.${error.code}`, {
+          position: error.position,
+          max: error.code === 'patternTooLong' ? TEMPLATE_LIMITS.maxPatternLength : TEMPLATE_LIMITS.maxOutputLength
+        })
+      : t('password.generator.template.summary', {
+          length: tokens.length,
+          bits: Math.floor(calculateTemplateEntropy(tokens))
+        });
+  }
+
+  /**
+   * Reflect the current options in the generation setting controls
+   */
+  syncOptionControls() {
+    if (!this.element) return;
+    
+    this.updateCounterControls();
+    this.updateKeywordOrderControls();
+    this.updateNormalizationControls();
+    this.updateOutputModeControls();
+    this.updateKdfControls();
+    this.updateAlgorithmControls();
+    
+    const passphraseControls = {
+      '#passphrase-words': this.options.passphraseWords,
+      '#passphrase-separator': this.options.passphraseSeparator,
+      '#passphrase-capitalization': this.options.passphraseCapitalization,
+      '#passphrase-suffix': this.options.passphraseSuffix,
+      '#passphrase-wordlist': this.options.wordlist,
+      '#template-input': this.options.template
+    };
+    Object.entries(passphraseControls).forEach(([selector, value]) => {
+      const control = this.element.querySelector(selector);
+      if (control) control.value = value;
+    });
+    this.updateTemplateValidation();
+    
+    const lengthSlider = this.element.querySelector('#length-slider');
+    const lengthInput = this.element.querySelector('#length-input');
+    if (lengthSlider) lengthSlider.value = this.options.length;
+    if (lengthInput) lengthInput.value = this.options.length;
+    
+    ['uppercase', 'lowercase', 'numbers', 'symbols'].forEach(type => {
+      const checkbox = this.element.querySelector(`#${type}`);
+      if (checkbox) {
+        checkbox.checked = this.options[`include${type.charAt(0).toUpperCase() + type.slice(1)}`];
+      }
+    });
+    
+    this.syncCharsetControls();
+  }
+
   /**
    * Generate complete HTML structure for password generator interface
    * 
    * @returns {HTMLElement} The rendered password generator component
    */
   render() {
+    const { outputMode } = this.options;
+    
     const html = `
       <div class="card-bg rounded-xl shadow-lg p-6 space-y-6">
+        <div id="self-test-failure" role="alert" class="hidden rounded-lg border-2 border-red-500 bg-red-50 dark:bg-red-500/10 px-4 py-3">
+          <p class="text-sm font-semibold text-red-700 dark:text-red-300">${t('password.generator.selfTest.title')}</p>
+          <p class="mt-1 text-sm text-red-700 dark:text-red-300">${t('password.generator.selfTest.message')}</p>
+          <p id="self-test-failure-details" class="mt-1 text-xs text-red-600 dark:text-red-400"></p>
+        </div>
+
+        ${this.profileManager.renderProfileManager()}
+
+        ${this.recipeSharing.renderRecipeSharing()}
+
         <div class="space-y-4">
           <form id="keyword-form" class="flex gap-3" action="javascript:void(0);">
             <input type="text" 
@@ -154,50 +723,310 @@ export class PasswordGenerator {
                 ${!KEYWORD_MANAGEMENT_OPTIONS.autoGeneratePassword ? `<span class="text-xs text-gray-500 dark:text-gray-400 ml-1">${t('password.generator.options.autoGenerateDisabled')}</span>` : ''}
               </span>
             </label>
+            <label class="flex items-center space-x-2 cursor-pointer" title="${t('password.generator.keywordOrder.hint')}">
+              <input type="checkbox" id="keyword-order-insensitive" ${this.options.keywordOrder === KEYWORD_ORDERS.INSENSITIVE ? 'checked' : ''}
+                     class="w-4 h-4 text-primary-600 bg-gray-100 border-gray-300 rounded focus:ring-primary-500 dark:focus:ring-primary-600 dark:ring-offset-gray-800 focus:ring-2 dark:bg-gray-700 dark:border-gray-600">
+              <span class="text-gray-700 dark:text-gray-300">${t('password.generator.keywordOrder.insensitive')}</span>
+            </label>
+          </div>
+          <div id="keyword-order-notice" role="status" class="hidden">
+            <div class="flex flex-wrap items-center justify-between gap-2 rounded-md border border-amber-300 bg-amber-50 px-3 py-2 text-sm text-amber-800 dark:border-amber-500/40 dark:bg-amber-500/10 dark:text-amber-300">
+              <span>${t('password.generator.keywordOrder.changed')}</span>
+              <button type="button" id="keyword-order-restore" class="btn-secondary text-sm cursor-pointer">
+                ${t('password.generator.keywordOrder.restore')}
+              </button>
+            </div>
           </div>
+          <details id="normalization-editor" class="rounded-lg border border-gray-200 dark:border-gray-600/50 px-3 py-2">
+            <summary class="text-sm font-medium text-gray-700 dark:text-gray-300 cursor-pointer select-none">
+              ${t('password.generator.normalization.title')}
+            </summary>
+            <div class="mt-3 space-y-3">
+              <div class="flex items-center justify-between gap-2">
+                <label for="unicode-normalization" class="text-sm text-gray-800 dark:text-gray-300">
+                  ${t('password.generator.normalization.unicode')}
+                </label>
+                <select id="unicode-normalization" class="select-field !w-auto">
+                  ${Object.values(NORMALIZATION_FORMS).map(form => `
+                    <option value="${form}" ${this.options.unicodeNormalization === form ? 'selected' : ''}>
+                      ${t(`password.generator.normalization.forms.${form}`)}
+                    </option>
+                  `).join('')}
+                </select>
+              </div>
+              <label class="flex items-center space-x-2 cursor-pointer">
+                <input type="checkbox" id="case-insensitive" ${this.options.caseInsensitive ? 'checked' : ''}
+                       class="w-4 h-4 text-primary-600 bg-gray-100 border-gray-300 rounded focus:ring-primary-500 dark:focus:ring-primary-600 dark:ring-offset-gray-800 focus:ring-2 dark:bg-gray-700 dark:border-gray-600">
+                <span class="text-sm text-gray-800 dark:text-gray-300">${t('password.generator.normalization.caseInsensitive')}</span>
+              </label>
+              <label class="flex items-center space-x-2 cursor-pointer">
+                <input type="checkbox" id="collapse-whitespace" ${this.options.collapseWhitespace ? 'checked' : ''}
+                       class="w-4 h-4 text-primary-600 bg-gray-100 border-gray-300 rounded focus:ring-primary-500 dark:focus:ring-primary-600 dark:ring-offset-gray-800 focus:ring-2 dark:bg-gray-700 dark:border-gray-600">
+                <span class="text-sm text-gray-800 dark:text-gray-300">${t('password.generator.normalization.collapseWhitespace')}</span>
+              </label>
+              <p class="text-xs text-gray-500 dark:text-gray-400">${t('password.generator.normalization.hint')}</p>
+            </div>
+          </details>
         </div>
 
+        ${this.masterSecret.renderMasterSecret()}
+
         <div class="space-y-2">
+          <label class="text-sm font-medium text-gray-800 dark:text-gray-300">
+            ${t('password.generator.outputMode.title')}
+          </label>
+          <div class="grid grid-cols-3 gap-2" role="radiogroup">
+            ${Object.values(OUTPUT_MODES).map(mode => `
+              <button type="button" data-output-mode="${mode}" role="radio"
+                      class="output-mode-option ${outputMode === mode ? 'active' : ''}"
+                      aria-checked="${outputMode === mode}">
+                ${t(`password.generator.outputMode.${mode}`)}
+              </button>
+            `).join('')}
+          </div>
+        </div>
+
+        <div id="password-settings" class="space-y-6 ${outputMode !== OUTPUT_MODES.PASSWORD ? 'hidden' : ''}">
+          <div class="space-y-2">
+            <div class="flex justify-between items-center">
+              <label class="text-sm font-medium text-gray-700 dark:text-gray-300">
+                ${t('password.generator.options.passwordLength')}
+              </label>
+              <input type="number" id="length-input" 
+                     min="${SECURITY_CONFIG.minPasswordLength}" 
+                     max="${SECURITY_CONFIG.maxPasswordLength}" 
+                     value="${this.options.length}" 
+                     autocomplete="off"
+                     class="input-field !w-16 text-center [appearance:textfield] [&::-webkit-outer-spin-button]:appearance-none [&::-webkit-inner-spin-button]:appearance-none">
+            </div>
+            <input type="range" id="length-slider" min="${SECURITY_CONFIG.minPasswordLength}" max="${SECURITY_CONFIG.maxPasswordLength}" value="${this.options.length}" 
+                   class="w-full h-2 rounded-lg appearance-none cursor-pointer bg-gray-200 dark:bg-gray-700">
+          </div>
+          <div class="space-y-2">
+            <label class="text-sm font-medium text-gray-800 dark:text-gray-300">
+              ${t('password.generator.characterTypes.title')}
+            </label>
+            <div class="grid grid-cols-2 gap-3">
+              <label class="flex items-center space-x-2 cursor-pointer">
+                <input type="checkbox" id="uppercase" ${this.options.includeUppercase ? 'checked' : ''} 
+                       class="w-4 h-4 text-primary-600 bg-gray-100 border-gray-300 rounded focus:ring-primary-500 dark:focus:ring-primary-600 dark:ring-offset-gray-800 focus:ring-2 dark:bg-gray-700 dark:border-gray-600">
+                <span class="text-sm text-gray-800 dark:text-gray-300">${t('password.generator.characterTypes.uppercase')}</span>
+              </label>
+              <label class="flex items-center space-x-2 cursor-pointer">
+                <input type="checkbox" id="lowercase" ${this.options.includeLowercase ? 'checked' : ''} 
+                       class="w-4 h-4 text-primary-600 bg-gray-100 border-gray-300 rounded focus:ring-primary-500 dark:focus:ring-primary-600 dark:ring-offset-gray-800 focus:ring-2 dark:bg-gray-700 dark:border-gray-600">
+                <span class="text-sm text-gray-800 dark:text-gray-300">${t('password.generator.characterTypes.lowercase')}</span>
+              </label>
+              <label class="flex items-center space-x-2 cursor-pointer">
+                <input type="checkbox" id="numbers" ${this.options.includeNumbers ? 'checked' : ''} 
+                       class="w-4 h-4 text-primary-600 bg-gray-100 border-gray-300 rounded focus:ring-primary-500 dark:focus:ring-primary-600 dark:ring-offset-gray-800 focus:ring-2 dark:bg-gray-700 dark:border-gray-600">
+                <span class="text-sm text-gray-800 dark:text-gray-300">${t('password.generator.characterTypes.numbers')}</span>
+              </label>
+              <label class="flex items-center space-x-2 cursor-pointer">
+                <input type="checkbox" id="symbols" ${this.options.includeSymbols ? 'checked' : ''} 
+                       class="w-4 h-4 text-primary-600 bg-gray-100 border-gray-300 rounded focus:ring-primary-500 dark:focus:ring-primary-600 dark:ring-offset-gray-800 focus:ring-2 dark:bg-gray-700 dark:border-gray-600">
+                <span class="text-sm text-gray-800 dark:text-gray-300">${t('password.generator.characterTypes.symbols')}</span>
+              </label>
+            </div>
+          </div>
+          <details id="charset-editor" class="rounded-lg border border-gray-200 dark:border-gray-600/50 px-3 py-2">
+            <summary class="text-sm font-medium text-gray-700 dark:text-gray-300 cursor-pointer select-none">
+              ${t('password.generator.charsets.title')}
+            </summary>
+            <div class="mt-3 space-y-3">
+              ${CHARACTER_CLASSES.map(({ key, charsKey, minKey }) => `
+                <div class="flex items-end gap-2">
+                  <label class="flex-1 min-w-0 space-y-1">
+                    <span class="block text-xs font-medium text-gray-600 dark:text-gray-400">${t(`password.generator.charsets.allowed.${key}`)}</span>
+                    <input type="text" data-charset-chars="${key}"
+                           value="${escapeHtml(this.options[charsKey])}"
+                           maxlength="${CHARSET_LIMITS.maxCharacters}"
+                           autocomplete="off" autocapitalize="off" spellcheck="false"
+                           class="input-field font-mono text-sm">
+                  </label>
+                  <label class="space-y-1">
+                    <span class="block text-xs font-medium text-gray-600 dark:text-gray-400">${t('password.generator.charsets.minimum')}</span>
+                    <input type="number" data-charset-min="${key}"
+                           min="0" max="${CHARSET_LIMITS.maxMinimum}"
+                           value="${this.options[minKey]}"
+                           autocomplete="off"
+                           class="input-field !w-16 text-center [appearance:textfield] [&::-webkit-outer-spin-button]:appearance-none [&::-webkit-inner-spin-button]:appearance-none">
+                  </label>
+                </div>
+              `).join('')}
+              <label class="block space-y-1">
+                <span class="block text-xs font-medium text-gray-600 dark:text-gray-400">${t('password.generator.charsets.siteSymbols')}</span>
+                <input type="text" id="charset-site-symbols"
+                       value="${escapeHtml(this.options.siteSymbols)}"
+                       maxlength="${CHARSET_LIMITS.maxCharacters}"
+                       placeholder="${t('password.generator.charsets.siteSymbolsPlaceholder')}"
+                       autocomplete="off" autocapitalize="off" spellcheck="false"
+                       class="input-field font-mono text-sm">
+              </label>
+              <label class="flex items-center space-x-2 cursor-pointer">
+                <input type="checkbox" id="exclude-ambiguous" ${this.options.excludeAmbiguous ? 'checked' : ''}
+                       class="w-4 h-4 text-primary-600 bg-gray-100 border-gray-300 rounded focus:ring-primary-500 dark:focus:ring-primary-600 dark:ring-offset-gray-800 focus:ring-2 dark:bg-gray-700 dark:border-gray-600">
+                <span class="text-sm text-gray-800 dark:text-gray-300">${t('password.generator.charsets.excludeAmbiguous')}</span>
+              </label>
+              <div class="flex items-center justify-between gap-2">
+                <p id="charset-status" class="text-xs" aria-live="polite"></p>
+                <button type="button" id="charset-reset" class="btn-secondary !px-3 !py-1 text-xs cursor-pointer">
+                  ${t('password.generator.charsets.reset')}
+                </button>
+              </div>
+            </div>
+          </details>
+        </div>
+
+        <div id="passphrase-settings" class="space-y-3 ${outputMode !== OUTPUT_MODES.PASSPHRASE ? 'hidden' : ''}">
           <div class="flex justify-between items-center">
-            <label class="text-sm font-medium text-gray-700 dark:text-gray-300">
-              ${t('password.generator.options.passwordLength')}
+            <label for="passphrase-words" class="text-sm font-medium text-gray-700 dark:text-gray-300">
+              ${t('password.generator.passphrase.wordCount')}
             </label>
-            <input type="number" id="length-input" 
-                   min="${SECURITY_CONFIG.minPasswordLength}" 
-                   max="${SECURITY_CONFIG.maxPasswordLength}" 
-                   value="${this.options.length}" 
+            <input type="number" id="passphrase-words"
+                   min="${PASSPHRASE_LIMITS.minWords}"
+                   max="${PASSPHRASE_LIMITS.maxWords}"
+                   value="${this.options.passphraseWords}"
                    autocomplete="off"
                    class="input-field !w-16 text-center [appearance:textfield] [&::-webkit-outer-spin-button]:appearance-none [&::-webkit-inner-spin-button]:appearance-none">
           </div>
-          <input type="range" id="length-slider" min="${SECURITY_CONFIG.minPasswordLength}" max="${SECURITY_CONFIG.maxPasswordLength}" value="${this.options.length}" 
-                 class="w-full h-2 rounded-lg appearance-none cursor-pointer bg-gray-200 dark:bg-gray-700">
+          <div class="grid grid-cols-2 gap-3">
+            <label class="space-y-1">
+              <span class="block text-xs font-medium text-gray-600 dark:text-gray-400">${t('password.generator.passphrase.separator')}</span>
+              <select id="passphrase-separator" class="select-field">
+                ${PASSPHRASE_SEPARATORS.map(separator => `
+                  <option value="${separator}" ${this.options.passphraseSeparator === separator ? 'selected' : ''}>${this.getSeparatorLabel(separator)}</option>
+                `).join('')}
+              </select>
+            </label>
+            <label class="space-y-1">
+              <span class="block text-xs font-medium text-gray-600 dark:text-gray-400">${t('password.generator.passphrase.capitalization.title')}</span>
+              <select id="passphrase-capitalization" class="select-field">
+                ${Object.values(PASSPHRASE_CAPITALIZATION).map(style => `
+                  <option value="${style}" ${this.options.passphraseCapitalization === style ? 'selected' : ''}>${t(`password.generator.passphrase.capitalization.${style}`)}</option>
+                `).join('')}
+              </select>
+            </label>
+            <label class="space-y-1">
+              <span class="block text-xs font-medium text-gray-600 dark:text-gray-400">${t('password.generator.passphrase.suffix.title')}</span>
+              <select id="passphrase-suffix" class="select-field">
+                ${Object.values(PASSPHRASE_SUFFIXES).map(suffix => `
+                  <option value="${suffix}" ${this.options.passphraseSuffix === suffix ? 'selected' : ''}>${t(`password.generator.passphrase.suffix.${suffix}`)}</option>
+                `).join('')}
+              </select>
+            </label>
+            <label class="space-y-1">
+              <span class="block text-xs font-medium text-gray-600 dark:text-gray-400">${t('password.generator.passphrase.wordlist')}</span>
+              <select id="passphrase-wordlist" class="select-field">
+                ${Object.keys(WORDLISTS).map(id => `
+                  <option value="${id}" ${this.options.wordlist === id ? 'selected' : ''}>${SUPPORTED_LANGUAGES[id]?.nativeName || id}</option>
+                `).join('')}
+              </select>
+            </label>
+          </div>
         </div>
-        <div class="space-y-2">
-          <label class="text-sm font-medium text-gray-800 dark:text-gray-300">
-            ${t('password.generator.characterTypes.title')}
+
+        <div id="template-settings" class="space-y-2 ${outputMode !== OUTPUT_MODES.TEMPLATE ? 'hidden' : ''}">
+          <label for="template-input" class="text-sm font-medium text-gray-700 dark:text-gray-300">
+            ${t('password.generator.template.title')}
           </label>
-          <div class="grid grid-cols-2 gap-3">
-            <label class="flex items-center space-x-2 cursor-pointer">
-              <input type="checkbox" id="uppercase" ${this.options.includeUppercase ? 'checked' : ''} 
-                     class="w-4 h-4 text-primary-600 bg-gray-100 border-gray-300 rounded focus:ring-primary-500 dark:focus:ring-primary-600 dark:ring-offset-gray-800 focus:ring-2 dark:bg-gray-700 dark:border-gray-600">
-              <span class="text-sm text-gray-800 dark:text-gray-300">${t('password.generator.characterTypes.uppercase')}</span>
+          <input type="text" id="template-input"
+                 value="${escapeHtml(this.options.template)}"
+                 maxlength="${TEMPLATE_LIMITS.maxPatternLength}"
+                 placeholder="${t('password.generator.template.placeholder')}"
+                 autocomplete="off" autocapitalize="off" spellcheck="false"
+                 aria-describedby="template-validation"
+                 class="input-field font-mono">
+          <p id="template-validation" class="text-xs" aria-live="polite"></p>
+          <p class="text-xs text-gray-500 dark:text-gray-400">${t('password.generator.template.syntax')}</p>
+          <div class="flex flex-wrap items-center gap-2">
+            <span class="text-xs font-medium text-gray-600 dark:text-gray-400">${t('password.generator.template.presets.title')}</span>
+            ${TEMPLATE_PRESETS.map(preset => `
+              <button type="button" data-template-preset="${preset.id}"
+                      class="btn-secondary !px-3 !py-1 text-xs cursor-pointer"
+                      title="${escapeHtml(preset.template)}">
+                ${t(`password.generator.template.presets.${preset.id}`)}
+              </button>
+            `).join('')}
+          </div>
+        </div>
+
+        <div class="space-y-1">
+          <div class="flex justify-between items-center">
+            <label for="counter-input" class="text-sm font-medium text-gray-700 dark:text-gray-300">
+              ${t('password.generator.options.counter')}
             </label>
-            <label class="flex items-center space-x-2 cursor-pointer">
-              <input type="checkbox" id="lowercase" ${this.options.includeLowercase ? 'checked' : ''} 
-                     class="w-4 h-4 text-primary-600 bg-gray-100 border-gray-300 rounded focus:ring-primary-500 dark:focus:ring-primary-600 dark:ring-offset-gray-800 focus:ring-2 dark:bg-gray-700 dark:border-gray-600">
-              <span class="text-sm text-gray-800 dark:text-gray-300">${t('password.generator.characterTypes.lowercase')}</span>
+            <div class="flex items-center gap-2">
+              <button type="button" id="counter-decrement"
+                      class="btn-secondary !px-3 !py-1 text-sm cursor-pointer"
+                      title="${t('password.generator.options.counterDecrement')}"
+                      aria-label="${t('password.generator.options.counterDecrement')}">&minus;</button>
+              <input type="number" id="counter-input"
+                     min="${COUNTER_LIMITS.min}"
+                     max="${COUNTER_LIMITS.max}"
+                     value="${this.options.counter}"
+                     autocomplete="off"
+                     class="input-field !w-16 text-center [appearance:textfield] [&::-webkit-outer-spin-button]:appearance-none [&::-webkit-inner-spin-button]:appearance-none">
+              <button type="button" id="counter-increment"
+                      class="btn-secondary !px-3 !py-1 text-sm cursor-pointer"
+                      title="${t('password.generator.options.counterIncrement')}"
+                      aria-label="${t('password.generator.options.counterIncrement')}">+</button>
+            </div>
+          </div>
+          <p class="text-xs text-gray-500 dark:text-gray-400">${t('password.generator.options.counterHint')}</p>
+        </div>
+
+        <div class="space-y-2">
+          <div class="flex justify-between items-center gap-3">
+            <label for="kdf-algorithm" class="text-sm font-medium text-gray-700 dark:text-gray-300">
+              ${t('password.generator.kdf.title')}
             </label>
-            <label class="flex items-center space-x-2 cursor-pointer">
-              <input type="checkbox" id="numbers" ${this.options.includeNumbers ? 'checked' : ''} 
-                     class="w-4 h-4 text-primary-600 bg-gray-100 border-gray-300 rounded focus:ring-primary-500 dark:focus:ring-primary-600 dark:ring-offset-gray-800 focus:ring-2 dark:bg-gray-700 dark:border-gray-600">
-              <span class="text-sm text-gray-800 dark:text-gray-300">${t('password.generator.characterTypes.numbers')}</span>
+            <select id="kdf-algorithm" class="select-field !w-auto">
+              ${Object.values(KDF_ALGORITHMS).map(kdf => `
+                <option value="${kdf}" ${this.options.kdf === kdf ? 'selected' : ''}>${t(`password.generator.kdf.algorithms.${kdf}`)}</option>
+              `).join('')}
+            </select>
+          </div>
+          <div id="kdf-cost" class="grid grid-cols-2 gap-3 ${this.options.kdf === KDF_ALGORITHMS.NONE ? 'hidden' : ''}">
+            <label class="space-y-1">
+              <span class="block text-xs font-medium text-gray-600 dark:text-gray-400">${t('password.generator.kdf.iterations')}</span>
+              <input type="number" id="kdf-iterations"
+                     min="${getIterationLimits(this.options.kdf).min}"
+                     max="${getIterationLimits(this.options.kdf).max}"
+                     value="${this.options.kdfIterations}"
+                     autocomplete="off"
+                     class="input-field text-center [appearance:textfield] [&::-webkit-outer-spin-button]:appearance-none [&::-webkit-inner-spin-button]:appearance-none">
             </label>
-            <label class="flex items-center space-x-2 cursor-pointer">
-              <input type="checkbox" id="symbols" ${this.options.includeSymbols ? 'checked' : ''} 
-                     class="w-4 h-4 text-primary-600 bg-gray-100 border-gray-300 rounded focus:ring-primary-500 dark:focus:ring-primary-600 dark:ring-offset-gray-800 focus:ring-2 dark:bg-gray-700 dark:border-gray-600">
-              <span class="text-sm text-gray-800 dark:text-gray-300">${t('password.generator.characterTypes.symbols')}</span>
+            <label id="kdf-memory-field" class="space-y-1 ${this.options.kdf === KDF_ALGORITHMS.ARGON2ID ? '' : 'hidden'}">
+              <span class="block text-xs font-medium text-gray-600 dark:text-gray-400">${t('password.generator.kdf.memory')}</span>
+              <input type="number" id="kdf-memory"
+                     min="${KDF_LIMITS.argon2Memory.min}"
+                     max="${KDF_LIMITS.argon2Memory.max}"
+                     value="${this.options.kdfMemory}"
+                     autocomplete="off"
+                     class="input-field text-center [appearance:textfield] [&::-webkit-outer-spin-button]:appearance-none [&::-webkit-inner-spin-button]:appearance-none">
             </label>
           </div>
+          <p class="text-xs text-gray-500 dark:text-gray-400">${t('password.generator.kdf.hint')}</p>
+        </div>
+
+        <div class="space-y-2">
+          <div class="flex justify-between items-center gap-3">
+            <label for="algorithm-version" class="text-sm font-medium text-gray-700 dark:text-gray-300">
+              ${t('password.generator.algorithm.title')}
+            </label>
+            <select id="algorithm-version" class="select-field !w-auto">
+              ${ALGORITHM_VERSIONS.map(version => `
+                <option value="${version}" ${this.options.algorithmVersion === version ? 'selected' : ''}>
+                  ${t(version === CURRENT_ALGORITHM_VERSION ? 'password.generator.algorithm.current' : 'password.generator.algorithm.legacy', { version })}
+                </option>
+              `).join('')}
+            </select>
+          </div>
+          <p id="algorithm-legacy-notice" class="${this.options.algorithmVersion === CURRENT_ALGORITHM_VERSION ? 'hidden' : ''} text-xs text-amber-600 dark:text-amber-400">
+            ${t('password.generator.algorithm.legacyNotice')}
+          </p>
+          <p class="text-xs text-gray-500 dark:text-gray-400">${t('password.generator.algorithm.hint')}</p>
         </div>
 
         <div class="space-y-2">
@@ -209,17 +1038,31 @@ export class PasswordGenerator {
               <textarea id="password-output" readonly rows="1"
                         class="input-field font-mono password-output-field resize-none" 
                         placeholder="${t('password.generator.generatedPassword.placeholder.default')}" autocomplete="off"></textarea>
+              ${this.secureDisplay.renderSecureDisplayCanvas()}
+            </div>
+            <div id="copy-format-group" class="relative flex">
+              <button id="copy-password" 
+                      class="px-4 py-2 bg-primary-500 hover:bg-primary-400 dark:bg-primary-600 dark:hover:bg-primary-700 text-white rounded-l-md text-sm font-medium transition-all duration-200 shadow-sm hover:shadow-md dark:hover:shadow-lg flex items-center justify-center h-auto cursor-pointer whitespace-nowrap disabled:opacity-50 disabled:cursor-not-allowed"
+                      title="${t('password.generator.generatedPassword.copyButton')}">
+                <svg class="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <rect x="9" y="9" width="13" height="13" rx="2" ry="2" stroke-width="2"></rect>
+                  <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 15H4a2 2 0 01-2-2V4a2 2 0 012-2h9a2 2 0 012 2v1"></path>
+                </svg>
+                ${t('password.generator.generatedPassword.copyButton')}
+              </button>
+              ${this.copyFormatMenu.renderCopyFormatMenu()}
             </div>
-            <button id="copy-password" 
-                    class="px-4 py-2 bg-primary-500 hover:bg-primary-400 dark:bg-primary-600 dark:hover:bg-primary-700 text-white rounded-md text-sm font-medium transition-all duration-200 shadow-sm hover:shadow-md dark:hover:shadow-lg flex items-center justify-center h-auto cursor-pointer whitespace-nowrap disabled:opacity-50 disabled:cursor-not-allowed"
-                    title="${t('password.generator.generatedPassword.copyButton')}">
-              <svg class="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <rect x="9" y="9" width="13" height="13" rx="2" ry="2" stroke-width="2"></rect>
-                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 15H4a2 2 0 01-2-2V4a2 2 0 012-2h9a2 2 0 012 2v1"></path>
-              </svg>
-              ${t('password.generator.generatedPassword.copyButton')}
-            </button>
           </div>
+          <div id="keyword-fingerprint" class="hidden mt-2" title="${t('password.generator.fingerprint.hint')}">
+            <div class="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-400">
+              <span id="keyword-fingerprint-icon" class="flex-shrink-0"></span>
+              <span class="text-xs">${t('password.generator.fingerprint.label')}</span>
+              <span id="keyword-fingerprint-words" class="font-mono font-medium text-gray-800 dark:text-gray-200"></span>
+            </div>
+          </div>
+          <div id="profile-verifier" class="hidden mt-2" aria-live="polite"></div>
+          <p id="generation-error" role="alert" class="hidden mt-2 text-sm text-red-600 dark:text-red-400"></p>
+          <p id="password-stale" aria-live="polite" class="hidden mt-2 text-xs text-amber-600 dark:text-amber-400"></p>
           
           <div class="flex flex-wrap gap-4 text-sm mt-2">
             <label class="flex items-center space-x-2 cursor-pointer">
@@ -227,6 +1070,11 @@ export class PasswordGenerator {
                      class="w-4 h-4 text-primary-600 bg-gray-100 border-gray-300 rounded focus:ring-primary-500 dark:focus:ring-primary-600 dark:ring-offset-gray-800 focus:ring-2 dark:bg-gray-700 dark:border-gray-600">
               <span class="text-gray-700 dark:text-gray-300">${t('password.generator.generatedPassword.maskPassword')}</span>
             </label>
+            ${this.secureDisplay.renderSecureDisplayOptions()}
+          </div>
+          
+          <div class="mt-2">
+            ${this.clipboardStatus.renderClipboardStatus()}
           </div>
           
           ${this.passwordStrength.renderPasswordStrengthMeter()}
@@ -239,6 +1087,18 @@ export class PasswordGenerator {
               <span>${t('password.generator.generatedPassword.generateButton')}</span>
             </button>
           </div>
+          
+          ${this.passwordReadout.renderPasswordReadout()}
+          
+          ${this.passwordQrTransfer.renderQrTransfer()}
+          
+          ${this.usernameOutput.renderUsernameOutput()}
+          
+          ${this.securityAnswerOutput.renderSecurityAnswer()}
+          
+          ${this.recoveryCodesOutput.renderRecoveryCodes()}
+          
+          ${this.batchGenerator.renderBatchGenerator()}
         </div>
       </div>
     `;
@@ -248,6 +1108,21 @@ export class PasswordGenerator {
     this.element = tempDiv.firstElementChild;
     
     this.attachEventListeners();
+    this.profileManager.attach(this.element);
+    this.masterSecret.attach(this.element);
+    this.batchGenerator.attach(this.element);
+    this.recipeSharing.attach(this.element);
+    this.usernameOutput.attach(this.element);
+    this.securityAnswerOutput.attach(this.element);
+    this.recoveryCodesOutput.attach(this.element);
+    this.clipboardStatus.attach(this.element);
+    this.copyFormatMenu.attach(this.element);
+    this.passwordReadout.attach(this.element);
+    this.passwordQrTransfer.attach(this.element);
+    this.secureDisplay.attach(this.element);
+    runSelfTest().then(result => this.showSelfTestResult(result));
+    this.updateTemplateValidation();
+    this.updateCharsetStatus();
     
     const keywordsContainer = this.element.querySelector('#keywords-container');
     this.keywordChips.updateKeywordChips(keywordsContainer, false);
@@ -257,7 +1132,7 @@ export class PasswordGenerator {
       this.updateAddButtonState();
       this.updateCopyButtonState();
       this.updateManualGenerateButtonVisibility();
-
+      this.updateCounterControls();
     }, 0);
     
     return this.element;
@@ -269,6 +1144,9 @@ export class PasswordGenerator {
    * @param {Array} keywords - Updated array of keywords
    */
   handleKeywordChange(keywords) {
+    this.markInputsChanged();
+    this.updateKeywordOrderControls();
+    
     if (KEYWORD_MANAGEMENT_OPTIONS.autoGeneratePassword && this.autoGenerate) {
       if (this.autoGenerateTimeout) {
         clearTimeout(this.autoGenerateTimeout);
@@ -279,6 +1157,21 @@ export class PasswordGenerator {
     }
   }
 
+  /**
+   * Clear the output once the master secret is forgotten. The shown password
+   * depended on it, and silently regenerating from the keywords alone would
+   * hand out a weaker password.
+   * 
+   * @param {boolean} expired - True when the retention time ran out
+   */
+  handleMasterSecretForgotten(expired) {
+    this.markInputsChanged();
+    this.commitPassword('', this.inputRevision);
+    if (expired) {
+      toast.info(t('password.generator.masterSecret.expired'));
+    }
+  }
+
   /**
    * Attach comprehensive event listeners for all interactive elements
    * Includes advanced touch handling, keyboard navigation, and mobile optimization
@@ -357,13 +1250,11 @@ export class PasswordGenerator {
         
         // Save the new length value to localStorage
         this.savePasswordLength(currentValue);
+        this.updateCharsetStatus();
+        this.profileManager.clearActiveProfile();
         
-        // Show visual feedback that generation is pending
-        const passwordOutput = this.element.querySelector('#password-output');
-        if (passwordOutput && passwordOutput.value.trim()) {
-          passwordOutput.style.opacity = '0.6';
-          passwordOutput.style.transition = 'opacity 0.2s ease';
-        }
+        // Flag the shown password as stale while generation is pending
+        this.markInputsChanged();
         
         // Clear any existing timeout
         if (this.lengthSliderTimeout) {
@@ -372,10 +1263,6 @@ export class PasswordGenerator {
         
         // Set a longer delay for length slider changes
         this.lengthSliderTimeout = setTimeout(() => {
-          // Restore opacity before generating
-          if (passwordOutput) {
-            passwordOutput.style.opacity = '1';
-          }
           this.autoGeneratePassword();
         }, this.lengthSliderDelay);
       }
@@ -405,6 +1292,9 @@ export class PasswordGenerator {
       
       // Save the new length value to localStorage
       this.savePasswordLength(inputValue);
+      this.updateCharsetStatus();
+      this.profileManager.clearActiveProfile();
+      this.markInputsChanged();
       
       // Clear any existing timeout
       if (this.lengthSliderTimeout) {
@@ -439,6 +1329,8 @@ export class PasswordGenerator {
       
       // Save the final validated length value to localStorage
       this.savePasswordLength(inputValue);
+      this.updateCharsetStatus();
+      this.markInputsChanged();
       
       // Clear any existing timeout
       if (this.lengthSliderTimeout) {
@@ -451,16 +1343,157 @@ export class PasswordGenerator {
       }, this.lengthSliderDelay);
     });
 
+    this.element.querySelectorAll('[data-output-mode]').forEach(button => {
+      button.addEventListener('click', () => {
+        this.setOutputMode(button.dataset.outputMode);
+      });
+    });
+    
+    const passphraseWordsInput = this.element.querySelector('#passphrase-words');
+    passphraseWordsInput.addEventListener('change', (e) => {
+      let words = parseInt(e.target.value, 10);
+      if (isNaN(words)) {
+        words = this.options.passphraseWords;
+      }
+      words = Math.min(PASSPHRASE_LIMITS.maxWords, Math.max(PASSPHRASE_LIMITS.minWords, words));
+      e.target.value = words;
+      
+      if (words !== this.options.passphraseWords) {
+        this.options.passphraseWords = words;
+        this.profileManager.clearActiveProfile();
+        this.autoGeneratePassword();
+      }
+    });
+    
+    passphraseWordsInput.addEventListener('focus', (e) => {
+      e.target.select();
+    });
+    
+    const passphraseSelects = {
+      '#passphrase-separator': 'passphraseSeparator',
+      '#passphrase-capitalization': 'passphraseCapitalization',
+      '#passphrase-suffix': 'passphraseSuffix',
+      '#passphrase-wordlist': 'wordlist'
+    };
+    Object.entries(passphraseSelects).forEach(([selector, optionKey]) => {
+      this.element.querySelector(selector).addEventListener('change', (e) => {
+        this.options[optionKey] = e.target.value;
+        this.profileManager.clearActiveProfile();
+        this.autoGeneratePassword();
+      });
+    });
+    
+    this.element.querySelector('#template-input').addEventListener('input', (e) => {
+      this.setTemplate(e.target.value);
+    });
+    
+    this.element.querySelectorAll('[data-template-preset]').forEach(button => {
+      button.addEventListener('click', () => {
+        const preset = TEMPLATE_PRESETS.find(item => item.id === button.dataset.templatePreset);
+        if (preset) {
+          this.setTemplate(preset.template);
+        }
+      });
+    });
+    
+    this.element.querySelector('#algorithm-version').addEventListener('change', (e) => {
+      this.setAlgorithmVersion(e.target.value);
+    });
+
+    this.element.querySelector('#kdf-algorithm').addEventListener('change', (e) => {
+      this.setKdf(e.target.value);
+    });
+    
+    const kdfCostInputs = {
+      '#kdf-iterations': ['kdfIterations', () => getIterationLimits(this.options.kdf)],
+      '#kdf-memory': ['kdfMemory', () => KDF_LIMITS.argon2Memory]
+    };
+    Object.entries(kdfCostInputs).forEach(([selector, [optionKey, getLimits]]) => {
+      this.element.querySelector(selector).addEventListener('change', (e) => {
+        const { min, max } = getLimits();
+        let value = parseInt(e.target.value, 10);
+        if (isNaN(value)) {
+          value = this.options[optionKey];
+        }
+        value = Math.min(max, Math.max(min, value));
+        e.target.value = value;
+        
+        if (value !== this.options[optionKey]) {
+          this.options[optionKey] = value;
+          this.profileManager.clearActiveProfile();
+          this.autoGeneratePassword();
+        }
+      });
+    });
+    
+    const counterInput = this.element.querySelector('#counter-input');
+    
+    this.element.querySelector('#counter-decrement').addEventListener('click', () => {
+      this.setCounter(this.options.counter - 1);
+    });
+    
+    this.element.querySelector('#counter-increment').addEventListener('click', () => {
+      this.setCounter(this.options.counter + 1);
+    });
+    
+    counterInput.addEventListener('change', (e) => {
+      this.setCounter(e.target.value);
+    });
+    
+    counterInput.addEventListener('focus', (e) => {
+      e.target.select();
+    });
+
     const checkboxes = ['uppercase', 'lowercase', 'numbers', 'symbols'];
     checkboxes.forEach(type => {
       this.element.querySelector(`#${type}`).addEventListener('change', (e) => {
         this.options[`include${type.charAt(0).toUpperCase() + type.slice(1)}`] = e.target.checked;
+        this.profileManager.clearActiveProfile();
         
+        this.updateCharsetStatus();
         this.updateValidationState();
         this.autoGeneratePassword();
       });
     });
 
+    CHARACTER_CLASSES.forEach(({ key, charsKey, minKey }) => {
+      this.element.querySelector(`[data-charset-chars="${key}"]`).addEventListener('change', (e) => {
+        const chars = sanitizeCharacterSet(e.target.value);
+        e.target.value = chars;
+        this.options[charsKey] = chars;
+        this.onCharsetChange();
+      });
+      
+      this.element.querySelector(`[data-charset-min="${key}"]`).addEventListener('change', (e) => {
+        let min = parseInt(e.target.value, 10);
+        if (isNaN(min)) {
+          min = this.options[minKey];
+        }
+        min = Math.min(CHARSET_LIMITS.maxMinimum, Math.max(0, min));
+        e.target.value = min;
+        this.options[minKey] = min;
+        this.onCharsetChange();
+      });
+    });
+    
+    this.element.querySelector('#charset-site-symbols').addEventListener('change', (e) => {
+      const chars = sanitizeCharacterSet(e.target.value);
+      e.target.value = chars;
+      this.options.siteSymbols = chars;
+      this.onCharsetChange();
+    });
+    
+    this.element.querySelector('#exclude-ambiguous').addEventListener('change', (e) => {
+      this.options.excludeAmbiguous = e.target.checked;
+      this.onCharsetChange();
+    });
+    
+    this.element.querySelector('#charset-reset').addEventListener('click', () => {
+      Object.assign(this.options, DEFAULT_CHARSET_SETTINGS);
+      this.syncCharsetControls();
+      this.onCharsetChange();
+    });
+
     this.element.querySelector('#copy-password').addEventListener('click', () => {
       this.copyPassword();
     });
@@ -534,6 +1567,33 @@ export class PasswordGenerator {
       this.keywordChips.updateKeywordChips(keywordsContainer, false);
     });
 
+    this.element.querySelector('#keyword-order-insensitive').addEventListener('change', (e) => {
+      this.setKeywordOrder(e.target.checked ? KEYWORD_ORDERS.INSENSITIVE : KEYWORD_ORDERS.SENSITIVE);
+    });
+
+    this.element.querySelector('#unicode-normalization').addEventListener('change', (e) => {
+      if (Object.values(NORMALIZATION_FORMS).includes(e.target.value)) {
+        this.setNormalizationOption('unicodeNormalization', e.target.value);
+      }
+    });
+
+    Object.entries({ 'case-insensitive': 'caseInsensitive', 'collapse-whitespace': 'collapseWhitespace' }).forEach(([id, key]) => {
+      this.element.querySelector(`#${id}`).addEventListener('change', (e) => {
+        this.setNormalizationOption(key, e.target.checked);
+      });
+    });
+
+    this.element.querySelector('#profile-verifier').addEventListener('click', (e) => {
+      if (e.target.closest('[data-verifier-action="save"]')) {
+        this.saveProfileVerifier();
+      }
+    });
+
+    this.element.querySelector('#keyword-order-restore').addEventListener('click', () => {
+      const keywordsContainer = this.element.querySelector('#keywords-container');
+      this.keywordChips.restoreOrder(keywordsContainer);
+    });
+
     const autoGenerateCheckbox = this.element.querySelector('#auto-generate');
     autoGenerateCheckbox.addEventListener('change', (e) => {
       if (!KEYWORD_MANAGEMENT_OPTIONS.autoGeneratePassword) {
@@ -547,6 +1607,8 @@ export class PasswordGenerator {
       this.updateManualGenerateButtonVisibility();
       if (this.autoGenerate) {
         this.autoGeneratePassword();
+      } else {
+        this.updateStaleState();
       }
     });
 
@@ -559,6 +1621,7 @@ export class PasswordGenerator {
     maskPasswordCheckbox.addEventListener('change', (e) => {
       this.maskPassword = e.target.checked;
       this.updatePasswordDisplay();
+      this.passwordReadout.setMasked(this.maskPassword);
     });
     
     window.addEventListener('resize', () => {
@@ -670,7 +1733,10 @@ export class PasswordGenerator {
     
     const hasPassword = this.originalPassword && this.originalPassword.trim().length > 0;
     
-    if (hasPassword) {
+    // A stale password no longer matches the chips and options, so it must not be copied
+    const canCopy = hasPassword && !this.isOutputStale();
+    this.copyFormatMenu.setDisabled(!canCopy);
+    if (canCopy) {
       copyButton.disabled = false;
       copyButton.classList.remove('opacity-50', 'cursor-not-allowed');
       copyButton.classList.add('cursor-pointer', 'hover:bg-primary-400', 'hover:shadow-md', 'dark:hover:bg-primary-700', 'dark:hover:shadow-lg');
@@ -682,14 +1748,239 @@ export class PasswordGenerator {
   }
 
   /**
-   * Auto-generate password with debouncing to prevent excessive calls
+   * Record that chips or options changed. Work started for older inputs is
+   * cancelled and the shown password is flagged stale until a result for the
+   * current inputs replaces it.
    */
-  autoGeneratePassword() {
-    if (!KEYWORD_MANAGEMENT_OPTIONS.autoGeneratePassword || !this.autoGenerate) {
+  markInputsChanged() {
+    this.inputRevision++;
+    this.generationClient.cancel();
+    this.batchGenerator.invalidate();
+    this.cancelAnimation();
+    this.updateStaleState();
+  }
+
+  /**
+   * Check whether the shown password was generated for older inputs
+   * 
+   * @returns {boolean} True when a newer result is pending
+   */
+  isOutputStale() {
+    return this.displayedRevision !== this.inputRevision;
+  }
+
+  /**
+   * Reflect the stale state on the output field, notice and copy button
+   */
+  updateStaleState() {
+    const passwordOutput = this.element?.querySelector('#password-output');
+    const staleNotice = this.element?.querySelector('#password-stale');
+    if (!passwordOutput || !staleNotice) return;
+    
+    // The animation of the current result already shows what is coming
+    const isRevealing = this.isAnimating && this.animatingRevision === this.inputRevision;
+    const isStale = Boolean(this.originalPassword) && this.isOutputStale() && !isRevealing;
+    
+    passwordOutput.classList.toggle('password-output-stale', isStale);
+    this.element.querySelector('#keyword-fingerprint')?.classList.toggle('opacity-50', isStale);
+    passwordOutput.setAttribute('aria-busy', String(isStale));
+    this.usernameOutput.setStale(isStale);
+    this.securityAnswerOutput.setStale(isStale);
+    this.recoveryCodesOutput.setStale(isStale);
+    this.passwordReadout.setStale(isStale);
+    this.passwordQrTransfer.setStale(isStale);
+    this.secureDisplay.setStale(isStale);
+    staleNotice.textContent = isStale
+      ? t(this.autoGenerate
+        ? 'password.generator.generatedPassword.stale.pending'
+        : 'password.generator.generatedPassword.stale.manual')
+      : '';
+    staleNotice.classList.toggle('hidden', !isStale);
+    
+    this.updateCopyButtonState();
+    this.updateVerifierBadge();
+  }
+
+  /**
+   * Compare the shown password with the verifier stored in the last applied
+   * or created profile, and offer to store one when the profile has none
+   */
+  async updateVerifierBadge() {
+    const badge = this.element?.querySelector('#profile-verifier');
+    if (!badge) return;
+    
+    const token = ++this.verifierToken;
+    const profile = this.profileManager.getVerificationProfile();
+    const password = this.originalPassword;
+    
+    if (!profile || !password || this.isOutputStale()) {
+      badge.classList.add('hidden');
+      badge.innerHTML = '';
       return;
     }
     
-    if (this.isAnimating) {
+    const name = escapeHtml(profile.name);
+    // Only offer to store a check while the output uses the profile's own settings
+    const canSave = this.profileManager.getActiveProfile()?.id === profile.id;
+    const saveButton = (labelKey) => !canSave ? '' : `
+      <button type="button" data-verifier-action="save" class="btn-secondary text-xs py-1 cursor-pointer">
+        ${t(labelKey)}
+      </button>
+    `;
+    
+    if (!profile.verifier) {
+      if (!canSave) {
+        badge.classList.add('hidden');
+        badge.innerHTML = '';
+        return;
+      }
+      badge.innerHTML = `
+        <div class="flex flex-wrap items-center gap-2 text-sm text-gray-600 dark:text-gray-400">
+          <span>${t('password.profiles.verifier.missing', { name })}</span>
+          ${saveButton('password.profiles.verifier.save')}
+        </div>
+      `;
+      badge.classList.remove('hidden');
+      return;
+    }
+    
+    const matches = await checkVerifier(password, profile.verifier);
+    // Inputs or profiles may have changed while the check ran
+    if (token !== this.verifierToken) return;
+    
+    badge.innerHTML = matches
+      ? `
+        <div class="flex items-center gap-2 text-sm text-green-700 dark:text-green-400">
+          <svg class="w-4 h-4 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 13l4 4L19 7"></path>
+          </svg>
+          <span>${t('password.profiles.verifier.matches', { name })}</span>
+        </div>
+      `
+      : `
+        <div class="flex flex-wrap items-center gap-2 text-sm text-red-600 dark:text-red-400">
+          <svg class="w-4 h-4 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"></path>
+          </svg>
+          <span>${t('password.profiles.verifier.mismatch', { name })}</span>
+          ${saveButton('password.profiles.verifier.update')}
+        </div>
+      `;
+    badge.classList.remove('hidden');
+  }
+
+  /**
+   * Store a verifier of the shown password with the verification profile
+   */
+  async saveProfileVerifier() {
+    const profile = this.profileManager.getActiveProfile();
+    const password = this.originalPassword;
+    if (!profile || profile.id !== this.profileManager.getVerificationProfile()?.id ||
+        !password || this.isOutputStale()) return;
+    
+    const verifier = await createVerifier(password);
+    if (password !== this.originalPassword) return;
+    await this.profileManager.saveVerifier(profile.id, verifier);
+  }
+
+  /**
+   * Stop a running animation and put the last shown password back
+   */
+  cancelAnimation() {
+    this.animationToken++;
+    if (this.animationFrameId) {
+      cancelAnimationFrame(this.animationFrameId);
+      this.animationFrameId = null;
+    }
+    // Also covers the short pause between the last frame and the commit
+    if (!this.isAnimating && this.animatingRevision === null) return;
+    
+    this.isAnimating = false;
+    this.animatingRevision = null;
+    
+    const passwordOutput = this.element?.querySelector('#password-output');
+    if (passwordOutput) {
+      this.writeOutput(this.maskPassword
+        ? this.maskPasswordString(this.originalPassword)
+        : this.originalPassword);
+      this.autoResizeTextarea(passwordOutput);
+      if (!this.originalPassword) {
+        this.updateValidationState();
+      }
+    }
+  }
+
+  /**
+   * Show or hide the keyword fingerprint for the current inputs
+   * 
+   * @param {Object|null} fingerprint - Fingerprint from the generation result, or null to hide it
+   */
+  showFingerprint(fingerprint) {
+    const container = this.element?.querySelector('#keyword-fingerprint');
+    if (!container) return;
+    
+    if (!fingerprint) {
+      container.classList.add('hidden');
+      return;
+    }
+    
+    container.querySelector('#keyword-fingerprint-icon').innerHTML = renderIdenticon(fingerprint);
+    container.querySelector('#keyword-fingerprint-words').textContent = fingerprint.words.join(' ');
+    container.classList.remove('hidden');
+  }
+
+  /**
+   * Show a result only if it was generated for the current inputs
+   * 
+   * @param {string} password - Generated password, or '' to clear the output
+   * @param {number} revision - Input revision the password was generated for
+   * @returns {boolean} True when the password was shown
+   */
+  commitPassword(password, revision) {
+    if (revision !== this.inputRevision) {
+      return false;
+    }
+    
+    this.displayedRevision = revision;
+    this.secureDisplay.setCleared(false);
+    if (!password) {
+      this.showFingerprint(null);
+      this.usernameOutput.showUsername(null);
+      this.securityAnswerOutput.showAnswer(null);
+      this.recoveryCodesOutput.showCodes(null);
+    }
+    this.setPassword(password);
+    this.passwordReadout.setPassword(password);
+    this.passwordQrTransfer.setPassword(password);
+    if (password && this.secureDisplay.isEnabled()) {
+      this.secureDisplay.startClearTimer();
+    }
+    this.updateStaleState();
+    return true;
+  }
+
+  /**
+   * Reveal a fresh result. When it equals the password already shown (e.g. an
+   * option was toggled back) the animation is skipped and the result committed.
+   * 
+   * @param {string} password - Generated password
+   * @param {number} revision - Input revision the password was generated for
+   */
+  async revealPassword(password, revision) {
+    if (password === this.originalPassword) {
+      this.commitPassword(password, revision);
+      return;
+    }
+    await this.animatePasswordGeneration(password, revision);
+  }
+
+  /**
+   * Auto-generate password with debouncing to prevent excessive calls
+   */
+  autoGeneratePassword() {
+    this.markInputsChanged();
+    
+    if (!KEYWORD_MANAGEMENT_OPTIONS.autoGeneratePassword || !this.autoGenerate) {
       return;
     }
     
@@ -713,9 +2004,9 @@ export class PasswordGenerator {
    * Core password generation function with validation and error handling
    */
   async performPasswordGeneration() {
-    if (this.isAnimating) {
-      return;
-    }
+    // Requests are coalesced: anything started for an older revision bails out after each await
+    const revision = this.inputRevision;
+    this.cancelAnimation();
     
     try {
       const keywords = this.keywordChips.getKeywords();
@@ -724,58 +2015,87 @@ export class PasswordGenerator {
       const totalCharacters = validKeywords.join('').trim().length;
       const hasMinimumLength = totalCharacters >= 3;
       
-      // Validate that at least one character type is selected
-      const hasValidCharacterTypes = this.options.includeUppercase || 
-                                    this.options.includeLowercase || 
-                                    this.options.includeNumbers || 
-                                    this.options.includeSymbols;
+      // Passphrases and templates define their own alphabet and skip character validation
+      const usesCharacterTypes = this.options.outputMode === OUTPUT_MODES.PASSWORD;
+      const hasValidTemplate = this.options.outputMode !== OUTPUT_MODES.TEMPLATE ||
+                               !parseTemplate(this.options.template, this.options).error;
+      
+      // Requirements no password can meet (e.g. minimum counts above the length) are reported, not retried
+      const requirementError = usesCharacterTypes ? checkCharacterSetRequirements(this.options).error : null;
+      const hasValidKeywords = validKeywords.length > 0 && hasMinimumLength;
       
-      if (validKeywords.length > 0 && hasMinimumLength && hasValidCharacterTypes) {
-        // Generate password with current options
-        const password = await generatePassword(validKeywords, this.options);
+      if (hasValidKeywords && requirementError) {
+        this.showGenerationError(this.getCharsetErrorMessage(requirementError));
+        this.commitPassword('', revision);
+      } else if (hasValidKeywords && hasValidTemplate) {
+        this.showGenerationError(null);
         
-        // Validate the generated password
-        if (password && password.length === this.options.length) {
-          // Check if password contains required character types
-          let hasUppercase = false, hasLowercase = false, hasNumbers = false, hasSymbols = false;
-          
-          if (this.options.includeUppercase) {
-            hasUppercase = /[A-Z]/.test(password);
-          }
-          if (this.options.includeLowercase) {
-            hasLowercase = /[a-z]/.test(password);
-          }
-          if (this.options.includeNumbers) {
-            hasNumbers = /[0-9]/.test(password);
+        // Nothing is generated until the known-answer vectors passed
+        const selfTest = await runSelfTest();
+        if (revision !== this.inputRevision) {
+          return;
+        }
+        if (!selfTest.passed) {
+          this.commitPassword('', revision);
+          return;
+        }
+        
+        // Generate password with current options off the main thread
+        const result = await this.generationClient.generate(
+          validKeywords,
+          this.options,
+          this.masterSecret.getSecret(),
+          {
+            username: this.usernameOutput.getRequest(),
+            answer: this.securityAnswerOutput.getRequest(),
+            recoveryCodes: this.recoveryCodesOutput.getRequest()
           }
-          if (this.options.includeSymbols) {
-            hasSymbols = /[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?]/.test(password);
+        );
+        if (result === null || revision !== this.inputRevision) {
+          // Superseded by a newer request while deriving
+          return;
+        }
+        
+        // The fingerprint and extra outputs describe the inputs, so they can be shown before the password is revealed
+        const { password, fingerprint, username, answer, recoveryCodes } = result;
+        this.showFingerprint(password ? fingerprint : null);
+        this.usernameOutput.showUsername(password ? username : null);
+        this.securityAnswerOutput.showAnswer(password ? answer : null);
+        this.recoveryCodesOutput.showCodes(password ? recoveryCodes : null);
+        
+        if (!usesCharacterTypes) {
+          if (password) {
+            await this.revealPassword(password, revision);
+          } else {
+            this.commitPassword('', revision);
           }
+        } else if (password && Array.from(password).length === this.options.length) {
+          // The pipeline guarantees class coverage, so a miss here means an engine bug
+          const { sets } = getActiveCharacterSets(this.options);
+          const unmetClasses = findUnmetClasses(password, sets);
           
-          const isValidPassword = (!this.options.includeUppercase || hasUppercase) &&
-                                 (!this.options.includeLowercase || hasLowercase) &&
-                                 (!this.options.includeNumbers || hasNumbers) &&
-                                 (!this.options.includeSymbols || hasSymbols);
-          
-          if (isValidPassword && !this.isAnimating) {
-            await this.animatePasswordGeneration(password);
+          if (unmetClasses.length > 0) {
+            logger.error('[PasswordGenerator] Generated password misses required classes:', unmetClasses);
+            this.showGenerationError(t('password.generator.errors.generationFailed'));
+            this.commitPassword('', revision);
           } else {
-            // Retry generation if password doesn't meet requirements
-            logger.warn('[PasswordGenerator] Generated password does not meet requirements, retrying...');
-            setTimeout(() => {
-              this.performPasswordGeneration();
-            }, 100);
+            await this.revealPassword(password, revision);
           }
         } else {
-          logger.error('[PasswordGenerator] Generated password length mismatch:', password?.length, 'expected:', this.options.length);
-          this.setPassword('');
+          logger.error('[PasswordGenerator] Generated password length mismatch:', password && Array.from(password).length, 'expected:', this.options.length);
+          this.commitPassword('', revision);
         }
       } else {
-        this.setPassword('');
+        this.showGenerationError(null);
+        this.commitPassword('', revision);
       }
     } catch (error) {
+      if (revision !== this.inputRevision) {
+        return;
+      }
       logger.error('[PasswordGenerator] Password generation error:', error);
-      this.setPassword('');
+      this.showGenerationError(t('password.generator.errors.generationFailed'));
+      this.commitPassword('', revision);
     }
   }
 
@@ -814,29 +2134,32 @@ export class PasswordGenerator {
    * Create animated password generation with smooth character transitions
    * 
    * @param {string} finalPassword - The final password to reveal
+   * @param {number} revision - Input revision the password was generated for
    */
-  async animatePasswordGeneration(finalPassword) {
-    if (this.isAnimating) {
-      if (this.animationFrameId) {
-        cancelAnimationFrame(this.animationFrameId);
-      }
-    }
+  async animatePasswordGeneration(finalPassword, revision) {
+    this.cancelAnimation();
+    const animationToken = this.animationToken;
 
     this.isAnimating = true;
+    this.animatingRevision = revision;
+    this.updateStaleState();
     const passwordOutput = this.element.querySelector('#password-output');
     
-    passwordOutput.value = '';
+    this.writeOutput('');
     passwordOutput.placeholder = '';
     
-    await this.setTextareaForAnimation(passwordOutput, finalPassword);
+    // The canvas sizes itself; measuring the textarea would put the password into the DOM
+    if (!this.secureDisplay.isEnabled()) {
+      await this.setTextareaForAnimation(passwordOutput, finalPassword);
+      if (animationToken !== this.animationToken) {
+        // Cancelled by newer inputs while the field was being sized
+        return;
+      }
+    }
     
-    let availableChars = '';
-    if (this.options.includeUppercase) availableChars += CHARACTER_SETS.UPPERCASE;
-    if (this.options.includeLowercase) availableChars += CHARACTER_SETS.LOWERCASE;
-    if (this.options.includeNumbers) availableChars += CHARACTER_SETS.NUMBERS;
-    if (this.options.includeSymbols) availableChars += CHARACTER_SETS.SYMBOLS;
+    let availableChars = getActiveCharacterSets(this.options).sets.flatMap(set => set.chars);
     
-    if (!availableChars) {
+    if (availableChars.length === 0) {
       availableChars = CHARACTER_SETS.LOWERCASE;
     }
 
@@ -845,12 +2168,31 @@ export class PasswordGenerator {
     const totalFrames = Math.floor(animationDuration / (1000 / frameRate));
     let currentFrame = 0;
 
-    const getRandomChar = () => {
-      return availableChars[Math.floor(Math.random() * availableChars.length)];
+    if (this.options.outputMode === OUTPUT_MODES.PASSPHRASE) {
+      availableChars = CHARACTER_SETS.LOWERCASE;
+    }
+    
+    // Keep passphrase separators in place so the word structure stays visible
+    const fixedChar = this.options.outputMode === OUTPUT_MODES.PASSPHRASE
+      ? this.options.passphraseSeparator
+      : null;
+    
+    // Template literals stay in place and every other position scrambles within its own set
+    const templateTokens = this.options.outputMode === OUTPUT_MODES.TEMPLATE
+      ? parseTemplate(this.options.template, this.options).tokens
+      : null;
+
+    const isFixedChar = (index) => {
+      return (fixedChar && finalPassword[index] === fixedChar) || !!templateTokens?.[index]?.literal;
+    };
+
+    const getRandomChar = (index) => {
+      const chars = templateTokens?.[index]?.chars || availableChars;
+      return chars[Math.floor(Math.random() * chars.length)];
     };
 
     const animate = () => {
-      if (!this.isAnimating) return;
+      if (animationToken !== this.animationToken) return;
 
       const progress = currentFrame / totalFrames;
       const revealedCount = Math.floor(progress * finalPassword.length);
@@ -858,14 +2200,14 @@ export class PasswordGenerator {
       let animatedPassword = '';
       
       for (let i = 0; i < finalPassword.length; i++) {
-        if (i < revealedCount) {
+        if (i < revealedCount || isFixedChar(i)) {
           animatedPassword += finalPassword[i];
         } else {
-          animatedPassword += getRandomChar();
+          animatedPassword += getRandomChar(i);
         }
       }
       
-      passwordOutput.value = animatedPassword;
+      this.writeOutput(animatedPassword);
       
       currentFrame++;
       
@@ -876,7 +2218,10 @@ export class PasswordGenerator {
         this.animationFrameId = null;
         
         setTimeout(() => {
-          this.setPassword(finalPassword);
+          if (animationToken === this.animationToken) {
+            this.animatingRevision = null;
+            this.commitPassword(finalPassword, revision);
+          }
         }, 50);
       }
     };
@@ -953,32 +2298,42 @@ export class PasswordGenerator {
   /**
    * Copy the original password to clipboard with visual feedback
    */
-  copyPassword() {
+  async copyPassword() {
     const copyButton = this.element.querySelector('#copy-password');
 
     if (copyButton.disabled) {
       return;
     }
 
-    if (this.originalPassword && this.originalPassword.trim().length > 0) {
-      navigator.clipboard.writeText(this.originalPassword).then(() => {
-        const originalStyle = copyButton.style.backgroundColor;
-        
-        copyButton.style.backgroundColor = '#10b981';
-        
-        toast.success(t('password.generator.toasts.passwordCopied'));
-        
-        setTimeout(() => {
-          copyButton.style.backgroundColor = originalStyle;
-        }, 1000);
-      }).catch(() => {
-        toast.error(t('password.generator.toasts.copyFailed'));
-      });
-    } else {
-      toast.warning(t('password.generator.toasts.noPasswordToCopy'));
+    const copied = await copyWithFeedback(this.originalPassword, copyButton, {
+      success: t('password.generator.toasts.passwordCopied'),
+      failure: t('password.generator.toasts.copyFailed'),
+      empty: t('password.generator.toasts.noPasswordToCopy')
+    });
+    if (copied) {
+      this.clearAfterCopy();
     }
   }
 
+  /**
+   * Drop the password once it was copied while secure display is on
+   */
+  clearAfterCopy() {
+    if (this.secureDisplay.isEnabled()) {
+      this.clearSecurePassword();
+    }
+  }
+
+  /**
+   * Clear the shown password and everything derived with it from the page
+   * and from memory, leaving a notice to generate it again
+   */
+  clearSecurePassword() {
+    this.cancelAnimation();
+    this.commitPassword('', this.inputRevision);
+    this.secureDisplay.setCleared(true);
+  }
+
   /**
    * Validate keywords for minimum length requirements
    * 
@@ -1054,9 +2409,9 @@ export class PasswordGenerator {
       passwordOutput.style.transition = 'height 0.2s ease-out, min-height 0.2s ease-out';
       
       if (this.maskPassword) {
-        passwordOutput.value = this.maskPasswordString(this.originalPassword);
+        this.writeOutput(this.maskPasswordString(this.originalPassword));
       } else {
-        passwordOutput.value = this.originalPassword;
+        this.writeOutput(this.originalPassword);
       }
       
       this.autoResizeTextarea(passwordOutput);
@@ -1074,9 +2429,28 @@ export class PasswordGenerator {
    * @returns {string} Masked password string
    */
   maskPasswordString(password) {
-    if (!password) return '';
+    return maskSecret(password);
+  }
+
+  /**
+   * Put text into the password output: the textarea, or the secure display
+   * canvas while secure display is on. The textarea then stays empty and is
+   * only shown, with its placeholder, when there is nothing to draw.
+   * 
+   * @param {string} text - Text to show, already masked when needed
+   */
+  writeOutput(text) {
+    const passwordOutput = this.element?.querySelector('#password-output');
+    if (!passwordOutput) return;
     
-    return '*'.repeat(password.length);
+    if (this.secureDisplay.isEnabled()) {
+      passwordOutput.value = '';
+      passwordOutput.classList.toggle('hidden', Boolean(text));
+      this.secureDisplay.show(text);
+    } else {
+      passwordOutput.classList.remove('hidden');
+      passwordOutput.value = text;
+    }
   }
 
   /**
@@ -1095,9 +2469,9 @@ export class PasswordGenerator {
     const currentPassword = password;
     
     if (this.maskPassword) {
-      passwordOutput.value = this.maskPasswordString(currentPassword);
+      this.writeOutput(this.maskPasswordString(currentPassword));
     } else {
-      passwordOutput.value = currentPassword;
+      this.writeOutput(currentPassword);
     }
     
     this.autoResizeTextarea(passwordOutput);
@@ -1116,7 +2490,7 @@ export class PasswordGenerator {
     
     requestAnimationFrame(() => {
       if (this.originalPassword === currentPassword) {
-        this.passwordStrength.updatePasswordStrength(currentPassword, this.element);
+        this.passwordStrength.updatePasswordStrength(currentPassword, this.element, getStrengthContext(this.options));
         this.updateCopyButtonState();
       }
     });
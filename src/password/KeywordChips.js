@@ -9,6 +9,7 @@
  */
 import { toast } from '../utils/toast.js';
 import { t } from '../utils/i18n.js';
+import { findSuspiciousCharacters } from './normalization.js';
 
 /**
  * KeywordChips Class
@@ -34,6 +35,8 @@ export class KeywordChips {
     this.maskKeywords = options.maskKeywords || false;
     this.editingIndex = -1;
     this.onKeywordChange = options.onKeywordChange || (() => {});
+    // Chip order before the first drag since the last add/edit/remove, for one-click restore
+    this.orderBeforeReorder = null;
     
     this.draggedIndex = -1;
     this.draggedElement = null;
@@ -71,6 +74,26 @@ export class KeywordChips {
     this.isDropping = false;
   }
 
+  /**
+   * Describe invisible or look-alike characters in a keyword.
+   * Uses code points only, so nothing is revealed for masked keywords.
+   * 
+   * @param {string} keyword - Keyword to check
+   * @returns {string} Warning text, or '' when the keyword looks clean
+   */
+  getKeywordWarning(keyword) {
+    const { invisible, confusable } = findSuspiciousCharacters(keyword);
+    const warnings = [];
+    
+    if (invisible.length > 0) {
+      warnings.push(t('password.generator.normalization.flags.invisible', { chars: invisible.join(', ') }));
+    }
+    if (confusable.length > 0) {
+      warnings.push(t('password.generator.normalization.flags.confusable', { chars: confusable.join(', ') }));
+    }
+    return warnings.join(' ');
+  }
+
   /**
    * Render keyword chips HTML with conditional editing state
    * 
@@ -121,8 +144,10 @@ export class KeywordChips {
         `;
       }
 
+      const warning = this.getKeywordWarning(keyword);
+
       return `
-        <div class="keyword-chip inline-flex items-center bg-gray-50 dark:bg-gray-700/30 border border-gray-200 dark:border-gray-500/40 rounded-lg px-3 py-2 group hover:bg-gray-100 dark:hover:bg-gray-600/40 hover:border-gray-300 dark:hover:border-gray-400/50 transition-all duration-200 shadow-sm drop-zone"
+        <div class="keyword-chip ${warning ? 'keyword-chip-flagged' : ''} inline-flex items-center bg-gray-50 dark:bg-gray-700/30 border border-gray-200 dark:border-gray-500/40 rounded-lg px-3 py-2 group hover:bg-gray-100 dark:hover:bg-gray-600/40 hover:border-gray-300 dark:hover:border-gray-400/50 transition-all duration-200 shadow-sm drop-zone"
              draggable="true" 
              data-keyword-index="${index}">
           <div class="flex items-center flex-1">
@@ -131,6 +156,13 @@ export class KeywordChips {
             </svg>
             <span class="text-xs font-medium text-gray-500 dark:text-gray-400 mr-2 min-w-[14px] text-center">${index + 1}.</span>
             <span class="text-sm font-medium text-gray-700 dark:text-gray-100 select-none">${displayText}</span>
+            ${warning ? `
+              <span class="keyword-chip-warning ml-2 text-amber-600 dark:text-amber-400" role="img" title="${warning}" aria-label="${warning}">
+                <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 9v2m0 4h.01M10.29 3.86L1.82 18a2 2 0 001.71 3h16.94a2 2 0 001.71-3L13.71 3.86a2 2 0 00-3.42 0z"></path>
+                </svg>
+              </span>
+            ` : ''}
           </div>
           <div class="flex items-center">
             <button type="button" 
@@ -336,6 +368,7 @@ export class KeywordChips {
         duplicateCount++;
       } else {
         this.keywords.push(keyword);
+        this.orderBeforeReorder = null;
         addedCount++;
       }
     });
@@ -368,6 +401,7 @@ export class KeywordChips {
     if (keyword.length >= 1) {
       if (!this.keywords.includes(keyword)) {
         this.keywords.push(keyword);
+        this.orderBeforeReorder = null;
         this.updateKeywordChips(container);
         toast.success(t('password.generator.toasts.keywordAdded'));
         return true;
@@ -406,6 +440,7 @@ export class KeywordChips {
         const isDuplicate = this.keywords.some((keyword, i) => i !== index && keyword === newValue);
         if (!isDuplicate) {
           this.keywords[index] = newValue;
+          this.orderBeforeReorder = null;
           this.editingIndex = -1;
           this.updateKeywordChips(container);
         } else {
@@ -436,6 +471,7 @@ export class KeywordChips {
    */
   removeKeyword(index, container) {
     this.keywords.splice(index, 1);
+    this.orderBeforeReorder = null;
     this.editingIndex = -1;
     this.updateKeywordChips(container);
     toast.success(t('password.generator.toasts.keywordRemoved'));
@@ -454,10 +490,51 @@ export class KeywordChips {
       return;
     }
     
+    if (!this.getOrderBeforeReorder()) {
+      this.orderBeforeReorder = [...this.keywords];
+    }
+    
     const movedKeyword = this.keywords.splice(fromIndex, 1)[0];
     this.keywords.splice(toIndex, 0, movedKeyword);
   }
 
+  /**
+   * Get the chip order from before the last drag reorder.
+   * Only valid while the chips are still the same set in a different order;
+   * once a keyword is added, edited or removed there is nothing to restore.
+   * 
+   * @returns {string[]|null} Previous order, or null when there is none
+   */
+  getOrderBeforeReorder() {
+    const previous = this.orderBeforeReorder;
+    if (!previous || previous.length !== this.keywords.length) {
+      return null;
+    }
+    
+    const current = [...this.keywords].sort();
+    const isSameSet = [...previous].sort().every((keyword, index) => keyword === current[index]);
+    const isSameOrder = previous.every((keyword, index) => keyword === this.keywords[index]);
+    return isSameSet && !isSameOrder ? [...previous] : null;
+  }
+
+  /**
+   * Put the chips back in the order they had before the last drag reorder
+   * 
+   * @param {Element} container - Container element for keyword chips
+   * @returns {boolean} True when an order was restored
+   */
+  restoreOrder(container) {
+    const previous = this.getOrderBeforeReorder();
+    if (!previous) {
+      return false;
+    }
+    
+    this.keywords = previous;
+    this.orderBeforeReorder = null;
+    this.updateKeywordChips(container);
+    return true;
+  }
+
   /**
    * Set keywords from external source
    * 
@@ -465,6 +542,7 @@ export class KeywordChips {
    */
   setKeywords(keywords) {
     this.keywords = [...keywords];
+    this.orderBeforeReorder = null;
   }
 
   /**
@@ -0,0 +1,312 @@
+/**
+ * MasterSecretInput Component
+ *
+ * Optional master secret that is combined with the keyword chips before
+ * generation. The secret lives in memory only: it is never written to
+ * storage, profiles or the rendered markup, is masked by default and is
+ * forgotten automatically a chosen number of minutes after the last edit.
+ *
+ * @author NuwaX
+ */
+import { PasswordStrength } from './PasswordStrength.js';
+import {
+  MASTER_SECRET_REMEMBER_MINUTES,
+  DEFAULT_REMEMBER_MINUTES
+} from './masterSecret.js';
+import { logger } from '../utils/logger.js';
+import { t } from '../utils/i18n.js';
+
+/**
+ * MasterSecretInput Class
+ *
+ * Master secret field with:
+ * - Masked input with a show/hide toggle
+ * - Its own strength meter
+ * - In-memory retention for a selectable number of minutes, with countdown
+ * - One-click forget
+ */
+export class MasterSecretInput {
+  /**
+   * Initialize MasterSecretInput with configuration options
+   *
+   * @param {Object} options - Configuration options
+   * @param {Function} options.onChange - Called when the secret is edited or cleared
+   * @param {Function} options.onForget - Called with { expired } when the secret is forgotten
+   */
+  constructor(options = {}) {
+    this.onChange = options.onChange || (() => {});
+    this.onForget = options.onForget || (() => {});
+
+    this.container = null;
+    this.secret = '';
+    this.isRevealed = false;
+    this.rememberMinutes = this.loadRememberMinutes();
+    this.expiresAt = 0;
+    this.expiryTimeout = null;
+    this.countdownInterval = null;
+    this.strength = new PasswordStrength();
+  }
+
+  /**
+   * Load the retention preference. Only the duration is stored, never the secret.
+   *
+   * @returns {number} Retention time in minutes
+   */
+  loadRememberMinutes() {
+    try {
+      const saved = parseInt(localStorage.getItem('nuwault-master-secret-minutes'), 10);
+      if (MASTER_SECRET_REMEMBER_MINUTES.includes(saved)) {
+        return saved;
+      }
+    } catch (error) {
+      logger.warn('[MasterSecretInput] Failed to load retention preference:', error);
+    }
+    return DEFAULT_REMEMBER_MINUTES;
+  }
+
+  /**
+   * Save the retention preference
+   *
+   * @param {number} minutes - Retention time in minutes
+   */
+  saveRememberMinutes(minutes) {
+    try {
+      localStorage.setItem('nuwault-master-secret-minutes', String(minutes));
+    } catch (error) {
+      logger.warn('[MasterSecretInput] Failed to save retention preference:', error);
+    }
+  }
+
+  /**
+   * Generate HTML structure for the master secret field.
+   * The value is never part of the markup; attach() restores it.
+   *
+   * @returns {string} HTML string for the master secret section
+   */
+  renderMasterSecret() {
+    return `
+      <div id="master-secret" class="space-y-2">
+        <div class="flex justify-between items-center">
+          <label for="master-secret-input" class="text-sm font-medium text-gray-800 dark:text-gray-300">
+            ${t('password.generator.masterSecret.title')}
+          </label>
+          <span id="master-secret-strength-text" class="text-xs font-medium"></span>
+        </div>
+        <div class="flex gap-2">
+          <input type="password"
+                 id="master-secret-input"
+                 class="input-field flex-1 font-mono"
+                 placeholder="${t('password.generator.masterSecret.placeholder')}"
+                 autocomplete="off"
+                 autocapitalize="off"
+                 spellcheck="false"
+                 data-lpignore="true"
+                 data-1p-ignore>
+          <button type="button"
+                  id="master-secret-toggle"
+                  class="btn-secondary text-sm whitespace-nowrap cursor-pointer"
+                  aria-pressed="false">
+            ${t('password.generator.masterSecret.show')}
+          </button>
+        </div>
+        <div class="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-1 overflow-hidden">
+          <div id="master-secret-strength-bar" class="h-full rounded-full transition-all duration-500 ease-out" style="width: 0%;"></div>
+        </div>
+        <div class="flex flex-wrap items-center gap-2 text-sm">
+          <label for="master-secret-remember" class="text-gray-700 dark:text-gray-300">
+            ${t('password.generator.masterSecret.remember')}
+          </label>
+          <select id="master-secret-remember" class="input-field w-auto py-1">
+            ${MASTER_SECRET_REMEMBER_MINUTES.map(minutes => `
+              <option value="${minutes}" ${minutes === this.rememberMinutes ? 'selected' : ''}>
+                ${t('password.generator.masterSecret.minutes', { count: minutes })}
+              </option>
+            `).join('')}
+          </select>
+          <button type="button"
+                  id="master-secret-forget"
+                  class="btn-secondary text-sm cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+                  disabled>
+            ${t('password.generator.masterSecret.forget')}
+          </button>
+          <span id="master-secret-status" class="text-xs text-gray-500 dark:text-gray-400"></span>
+        </div>
+        <p class="text-xs text-gray-500 dark:text-gray-400">${t('password.generator.masterSecret.hint')}</p>
+      </div>
+    `;
+  }
+
+  /**
+   * Bind event listeners once the generator markup is in the DOM
+   *
+   * @param {HTMLElement} container - Element containing the rendered field
+   */
+  attach(container) {
+    this.container = container;
+
+    const input = container.querySelector('#master-secret-input');
+    input.value = this.secret;
+
+    input.addEventListener('input', (e) => {
+      this.setSecret(e.target.value);
+    });
+
+    container.querySelector('#master-secret-toggle').addEventListener('click', () => {
+      this.isRevealed = !this.isRevealed;
+      this.updateRevealState();
+    });
+
+    container.querySelector('#master-secret-remember').addEventListener('change', (e) => {
+      const minutes = parseInt(e.target.value, 10);
+      if (!MASTER_SECRET_REMEMBER_MINUTES.includes(minutes)) return;
+
+      this.rememberMinutes = minutes;
+      this.saveRememberMinutes(minutes);
+      if (this.secret) {
+        this.scheduleExpiry();
+      }
+    });
+
+    container.querySelector('#master-secret-forget').addEventListener('click', () => {
+      this.forget();
+      this.onForget({ expired: false });
+    });
+
+    this.updateRevealState();
+    this.updateStrength();
+    this.updateStatus();
+  }
+
+  /**
+   * Get the current master secret
+   *
+   * @returns {string} Master secret, or '' when none is set
+   */
+  getSecret() {
+    return this.secret;
+  }
+
+  /**
+   * Replace the secret after an edit and restart its retention time
+   *
+   * @param {string} secret - New master secret
+   */
+  setSecret(secret) {
+    this.secret = secret || '';
+
+    if (this.secret) {
+      this.scheduleExpiry();
+    } else {
+      this.clearExpiry();
+    }
+
+    this.updateStrength();
+    this.updateStatus();
+    this.onChange(this.secret);
+  }
+
+  /**
+   * Drop the secret from memory and the input field
+   */
+  forget() {
+    this.secret = '';
+    this.isRevealed = false;
+    this.clearExpiry();
+
+    const input = this.container?.querySelector('#master-secret-input');
+    if (input) {
+      input.value = '';
+    }
+
+    this.updateRevealState();
+    this.updateStrength();
+    this.updateStatus();
+  }
+
+  /**
+   * Start (or restart) the retention timer
+   */
+  scheduleExpiry() {
+    this.clearExpiry();
+
+    this.expiresAt = Date.now() + this.rememberMinutes * 60 * 1000;
+    this.expiryTimeout = setTimeout(() => {
+      this.forget();
+      this.onForget({ expired: true });
+    }, this.rememberMinutes * 60 * 1000);
+    this.countdownInterval = setInterval(() => this.updateStatus(), 1000);
+    this.updateStatus();
+  }
+
+  /**
+   * Stop the retention timer
+   */
+  clearExpiry() {
+    if (this.expiryTimeout) {
+      clearTimeout(this.expiryTimeout);
+      this.expiryTimeout = null;
+    }
+    if (this.countdownInterval) {
+      clearInterval(this.countdownInterval);
+      this.countdownInterval = null;
+    }
+    this.expiresAt = 0;
+  }
+
+  /**
+   * Sync the input type and toggle label with the reveal state
+   */
+  updateRevealState() {
+    const input = this.container?.querySelector('#master-secret-input');
+    const toggle = this.container?.querySelector('#master-secret-toggle');
+    if (!input || !toggle) return;
+
+    input.type = this.isRevealed ? 'text' : 'password';
+    toggle.textContent = this.isRevealed
+      ? t('password.generator.masterSecret.hide')
+      : t('password.generator.masterSecret.show');
+    toggle.setAttribute('aria-pressed', String(this.isRevealed));
+  }
+
+  /**
+   * Score the secret with the shared character-based strength analysis
+   */
+  updateStrength() {
+    const bar = this.container?.querySelector('#master-secret-strength-bar');
+    const text = this.container?.querySelector('#master-secret-strength-text');
+    if (!bar || !text) return;
+
+    const analysis = this.strength.analyzePasswordStrength(this.secret);
+    if (analysis.level === 'empty') {
+      bar.style.width = '0%';
+      text.textContent = '';
+      return;
+    }
+
+    bar.className = `h-full rounded-full transition-all duration-500 ease-out ${analysis.color}`;
+    bar.style.width = `${analysis.width}%`;
+    text.textContent = analysis.text;
+    text.className = `text-xs font-medium ${this.strength.getTextColorClass(analysis.level)}`;
+  }
+
+  /**
+   * Show how long the secret stays in memory and toggle the forget button
+   */
+  updateStatus() {
+    const status = this.container?.querySelector('#master-secret-status');
+    const forgetButton = this.container?.querySelector('#master-secret-forget');
+    if (!status || !forgetButton) return;
+
+    forgetButton.disabled = !this.secret;
+
+    if (!this.secret || !this.expiresAt) {
+      status.textContent = '';
+      return;
+    }
+
+    const remaining = Math.max(0, Math.ceil((this.expiresAt - Date.now()) / 1000));
+    const minutes = Math.floor(remaining / 60);
+    const seconds = String(remaining % 60).padStart(2, '0');
+    status.textContent = t('password.generator.masterSecret.expiresIn', { time: `${minutes}:${seconds}` });
+  }
+}
@@ -0,0 +1,269 @@
+/**
+ * PasswordQrTransfer Component
+ *
+ * Shows the generated password, or a Wi-Fi payload when a network name is
+ * entered, as an offline QR code on a canvas so a phone can scan it. The
+ * code is drawn only on request, hides itself after a short time and
+ * whenever the page is hidden, and is never turned into an image, cached
+ * or written to storage; hiding clears the canvas pixels.
+ *
+ * @author NuwaX
+ */
+import { encodeQr, drawQrCanvas } from '../utils/qrCode.js';
+import { WIFI_SSID_MAX_BYTES, validateSsid, checkWifiPassword, buildWifiPayload } from './wifiPayload.js';
+import { toast } from '../utils/toast.js';
+import { t } from '../utils/i18n.js';
+
+/**
+ * Seconds the QR code stays visible
+ */
+const QR_VISIBLE_SECONDS = 30;
+
+/**
+ * PasswordQrTransfer Class
+ *
+ * QR transfer section with:
+ * - Optional Wi-Fi network name for a WIFI: payload
+ * - Show/hide button with a countdown
+ * - Automatic hiding on timeout, page hide and password change
+ */
+export class PasswordQrTransfer {
+  constructor() {
+    this.container = null;
+    this.password = '';
+    this.isStale = false;
+    this.hideTimeout = null;
+    this.countdownInterval = null;
+    this.expiresAt = 0;
+    this.handleVisibilityChange = () => {
+      if (document.hidden) {
+        this.hide();
+      }
+    };
+    this.handlePageHide = () => this.hide();
+  }
+
+  /**
+   * Generate HTML structure for the QR transfer section
+   *
+   * @returns {string} HTML string for the QR transfer section
+   */
+  renderQrTransfer() {
+    return `
+      <details id="password-qr" class="mt-3 rounded-lg border border-gray-200 dark:border-gray-600/50 px-3 py-2">
+        <summary class="text-sm font-medium text-gray-700 dark:text-gray-300 cursor-pointer select-none">
+          ${t('password.qrTransfer.title')}
+        </summary>
+        <div class="mt-3 space-y-3">
+          <p class="text-xs text-gray-500 dark:text-gray-400">${t('password.qrTransfer.hint', { seconds: QR_VISIBLE_SECONDS })}</p>
+          <div>
+            <label for="password-qr-ssid" class="block text-sm text-gray-700 dark:text-gray-300 mb-1">${t('password.qrTransfer.ssid')}</label>
+            <input type="text"
+                   id="password-qr-ssid"
+                   class="input-field text-sm"
+                   placeholder="${t('password.qrTransfer.ssidPlaceholder')}"
+                   autocomplete="off"
+                   spellcheck="false">
+            <p id="password-qr-warning" class="hidden mt-1 text-xs text-amber-600 dark:text-amber-400"></p>
+          </div>
+          <button type="button" id="password-qr-toggle" class="btn-secondary text-sm cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed" aria-expanded="false" disabled>
+            ${t('password.qrTransfer.show')}
+          </button>
+          <div id="password-qr-panel" class="hidden">
+            <div class="flex flex-col items-center gap-2">
+              <canvas id="password-qr-canvas" class="max-w-full h-auto rounded" role="img" aria-label="${t('password.qrTransfer.qrLabel')}"></canvas>
+              <p id="password-qr-countdown" class="text-xs text-gray-500 dark:text-gray-400"></p>
+            </div>
+          </div>
+        </div>
+      </details>
+    `;
+  }
+
+  /**
+   * Bind event listeners once the generator markup is in the DOM
+   *
+   * @param {HTMLElement} container - Element containing the rendered section
+   */
+  attach(container) {
+    this.container = container;
+
+    container.querySelector('#password-qr').addEventListener('toggle', (e) => {
+      if (!e.target.open) {
+        this.hide();
+      }
+    });
+
+    container.querySelector('#password-qr-ssid').addEventListener('input', () => {
+      // The code on screen no longer matches the entered network
+      this.hide();
+      this.updateWarning();
+    });
+
+    container.querySelector('#password-qr-toggle').addEventListener('click', () => {
+      if (this.isVisible()) {
+        this.hide();
+      } else {
+        this.show();
+      }
+    });
+
+    this.updateControls();
+  }
+
+  /**
+   * Follow the generated password; a new password hides the QR code
+   *
+   * @param {string} password - Generated password, or '' when there is none
+   */
+  setPassword(password) {
+    if (password !== this.password) {
+      this.hide();
+    }
+    this.password = password || '';
+    this.updateControls();
+  }
+
+  /**
+   * Mark the shown password as generated for older inputs
+   *
+   * @param {boolean} isStale - True while a newer result is pending
+   */
+  setStale(isStale) {
+    this.isStale = isStale;
+    if (isStale) {
+      this.hide();
+    }
+    this.updateControls();
+  }
+
+  /**
+   * Check whether the QR code is on screen
+   *
+   * @returns {boolean} True while the QR code is shown
+   */
+  isVisible() {
+    const panel = this.container?.querySelector('#password-qr-panel');
+    return Boolean(panel) && !panel.classList.contains('hidden');
+  }
+
+  /**
+   * Payload for the QR code: the Wi-Fi payload when a network name is
+   * entered, otherwise the password itself
+   *
+   * @returns {Object} { payload: string|null, error: string|null }
+   */
+  getPayload() {
+    const ssid = this.container.querySelector('#password-qr-ssid').value;
+    if (!ssid) {
+      return { payload: this.password, error: null };
+    }
+
+    const error = validateSsid(ssid);
+    if (error) {
+      return { payload: null, error };
+    }
+    return { payload: buildWifiPayload(ssid, this.password), error: null };
+  }
+
+  /**
+   * Draw the QR code and start the hide countdown
+   */
+  show() {
+    if (!this.password || this.isStale) return;
+
+    const { payload, error } = this.getPayload();
+    if (error) {
+      toast.error(t(`password.qrTransfer.errors.${error}`, { max: WIFI_SSID_MAX_BYTES }));
+      return;
+    }
+
+    const qr = encodeQr(payload);
+    if (!qr) {
+      toast.error(t('password.qrTransfer.errors.tooLong'));
+      return;
+    }
+
+    drawQrCanvas(this.container.querySelector('#password-qr-canvas'), qr, { moduleSize: 6 });
+    this.container.querySelector('#password-qr-panel').classList.remove('hidden');
+    this.updateToggle(true);
+
+    this.expiresAt = Date.now() + QR_VISIBLE_SECONDS * 1000;
+    this.hideTimeout = setTimeout(() => this.hide(), QR_VISIBLE_SECONDS * 1000);
+    this.updateCountdown();
+    this.countdownInterval = setInterval(() => this.updateCountdown(), 1000);
+    document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    // Hidden before the page can be kept in the back/forward cache
+    window.addEventListener('pagehide', this.handlePageHide);
+  }
+
+  /**
+   * Remove the QR code and clear its pixels
+   */
+  hide() {
+    clearTimeout(this.hideTimeout);
+    clearInterval(this.countdownInterval);
+    this.hideTimeout = null;
+    this.countdownInterval = null;
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    window.removeEventListener('pagehide', this.handlePageHide);
+
+    const canvas = this.container?.querySelector('#password-qr-canvas');
+    if (!canvas) return;
+
+    canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+    // Resizing drops the backing store as well
+    canvas.width = 0;
+    canvas.height = 0;
+    this.container.querySelector('#password-qr-panel').classList.add('hidden');
+    this.updateToggle(false);
+  }
+
+  /**
+   * Refresh the seconds left before the QR code hides
+   */
+  updateCountdown() {
+    const countdown = this.container?.querySelector('#password-qr-countdown');
+    if (!countdown) return;
+
+    const seconds = Math.max(0, Math.ceil((this.expiresAt - Date.now()) / 1000));
+    countdown.textContent = t('password.qrTransfer.hidesIn', { seconds });
+  }
+
+  /**
+   * Reflect the visibility on the toggle button
+   *
+   * @param {boolean} isVisible - True while the QR code is shown
+   */
+  updateToggle(isVisible) {
+    const toggle = this.container?.querySelector('#password-qr-toggle');
+    if (!toggle) return;
+
+    toggle.textContent = isVisible ? t('password.qrTransfer.hide') : t('password.qrTransfer.show');
+    toggle.setAttribute('aria-expanded', String(isVisible));
+  }
+
+  /**
+   * Enable the toggle only for a current password and refresh the warning
+   */
+  updateControls() {
+    const toggle = this.container?.querySelector('#password-qr-toggle');
+    if (!toggle) return;
+
+    toggle.disabled = !this.password || this.isStale;
+    this.updateWarning();
+  }
+
+  /**
+   * Warn when the password cannot be used as a WPA passphrase
+   */
+  updateWarning() {
+    const warning = this.container?.querySelector('#password-qr-warning');
+    if (!warning) return;
+
+    const ssid = this.container.querySelector('#password-qr-ssid').value;
+    const code = ssid && this.password ? checkWifiPassword(this.password) : null;
+    warning.textContent = code ? t(`password.qrTransfer.warnings.${code}`) : '';
+    warning.classList.toggle('hidden', !code);
+  }
+}
@@ -0,0 +1,315 @@
+/**
+ * PasswordReadout Component
+ *
+ * Readout view of the generated password for typing it on another device:
+ * fixed-size groups, colors per character class and a spoken name for
+ * every character. The step-by-step mode highlights one group at a time;
+ * while the password is masked it is the only way the groups are shown.
+ * Nothing is rendered while the view is closed.
+ *
+ * @author NuwaX
+ */
+import {
+  READOUT_GROUP_SIZES,
+  DEFAULT_READOUT_GROUP_SIZE,
+  READOUT_KINDS,
+  groupReadout
+} from './readout.js';
+import { escapeHtml } from '../utils/html.js';
+import { logger } from '../utils/logger.js';
+import { t } from '../utils/i18n.js';
+
+const STORAGE_KEY = 'nuwault-readout-group-size';
+
+/**
+ * Text colors per character kind
+ */
+const KIND_COLORS = {
+  [READOUT_KINDS.UPPERCASE]: 'text-blue-600 dark:text-blue-400',
+  [READOUT_KINDS.LOWERCASE]: 'text-gray-800 dark:text-gray-100',
+  [READOUT_KINDS.NUMBERS]: 'text-amber-600 dark:text-amber-400',
+  [READOUT_KINDS.SYMBOLS]: 'text-fuchsia-600 dark:text-fuchsia-400'
+};
+
+/**
+ * PasswordReadout Class
+ *
+ * Readout section with:
+ * - Group size selection, remembered between visits
+ * - Color legend and spoken names (NATO alphabet, translated symbol names)
+ * - Step-by-step mode with previous/next buttons and arrow keys
+ */
+export class PasswordReadout {
+  /**
+   * Initialize PasswordReadout with configuration options
+   *
+   * @param {Object} options - Configuration options
+   * @param {boolean} options.masked - Whether the password starts out masked
+   */
+  constructor(options = {}) {
+    this.container = null;
+    this.password = '';
+    this.masked = Boolean(options.masked);
+    this.isStale = false;
+    this.stepMode = false;
+    this.currentGroup = 0;
+    this.groupSize = this.loadGroupSize();
+  }
+
+  /**
+   * Load the group size from localStorage
+   *
+   * @returns {number} Saved group size or the default
+   */
+  loadGroupSize() {
+    try {
+      const saved = parseInt(localStorage.getItem(STORAGE_KEY), 10);
+      if (READOUT_GROUP_SIZES.includes(saved)) {
+        return saved;
+      }
+    } catch (error) {
+      logger.warn('[PasswordReadout] Failed to load group size:', error);
+    }
+    return DEFAULT_READOUT_GROUP_SIZE;
+  }
+
+  /**
+   * Save the group size to localStorage
+   */
+  saveGroupSize() {
+    try {
+      localStorage.setItem(STORAGE_KEY, String(this.groupSize));
+    } catch (error) {
+      logger.warn('[PasswordReadout] Failed to save group size:', error);
+    }
+  }
+
+  /**
+   * Generate HTML structure for the readout section
+   *
+   * @returns {string} HTML string for the readout section
+   */
+  renderPasswordReadout() {
+    return `
+      <details id="password-readout" class="mt-3 rounded-lg border border-gray-200 dark:border-gray-600/50 px-3 py-2">
+        <summary class="text-sm font-medium text-gray-700 dark:text-gray-300 cursor-pointer select-none">
+          ${t('password.readout.title')}
+        </summary>
+        <div class="mt-3 space-y-3">
+          <p class="text-xs text-gray-500 dark:text-gray-400">${t('password.readout.hint')}</p>
+          <div class="flex flex-wrap items-center gap-4 text-sm">
+            <label class="flex items-center gap-2">
+              <span class="text-gray-700 dark:text-gray-300">${t('password.readout.groupSize')}</span>
+              <select id="readout-group-size" class="select-field !w-auto">
+                ${READOUT_GROUP_SIZES.map(size => `
+                  <option value="${size}" ${size === this.groupSize ? 'selected' : ''}>${size}</option>
+                `).join('')}
+              </select>
+            </label>
+            <label class="flex items-center space-x-2 cursor-pointer">
+              <input type="checkbox" id="readout-step-mode"
+                     class="w-4 h-4 text-primary-600 bg-gray-100 border-gray-300 rounded focus:ring-primary-500 dark:focus:ring-primary-600 dark:ring-offset-gray-800 focus:ring-2 dark:bg-gray-700 dark:border-gray-600">
+              <span class="text-gray-700 dark:text-gray-300">${t('password.readout.stepMode')}</span>
+            </label>
+          </div>
+          <div class="flex flex-wrap gap-3 text-xs font-medium">
+            ${Object.values(READOUT_KINDS).map(kind => `
+              <span class="${KIND_COLORS[kind]}">${t(`password.readout.kinds.${kind}`)}</span>
+            `).join('')}
+          </div>
+          <p id="readout-masked-hint" class="hidden text-xs text-amber-600 dark:text-amber-400">${t('password.readout.maskedHint')}</p>
+          <p id="readout-empty" class="text-sm text-gray-500 dark:text-gray-400">${t('password.readout.empty')}</p>
+          <ol id="readout-groups" class="flex flex-wrap gap-3" tabindex="0" aria-label="${t('password.readout.groupsLabel')}"></ol>
+          <div id="readout-steps" class="hidden">
+            <div class="flex items-center gap-3">
+              <button type="button" id="readout-prev" class="btn-secondary text-sm cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed">
+                ${t('password.readout.previous')}
+              </button>
+              <span id="readout-position" class="text-sm text-gray-700 dark:text-gray-300"></span>
+              <button type="button" id="readout-next" class="btn-secondary text-sm cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed">
+                ${t('password.readout.next')}
+              </button>
+            </div>
+          </div>
+        </div>
+      </details>
+    `;
+  }
+
+  /**
+   * Bind event listeners once the generator markup is in the DOM
+   *
+   * @param {HTMLElement} container - Element containing the rendered section
+   */
+  attach(container) {
+    this.container = container;
+
+    container.querySelector('#password-readout').addEventListener('toggle', () => this.update());
+
+    container.querySelector('#readout-group-size').addEventListener('change', (e) => {
+      this.groupSize = parseInt(e.target.value, 10);
+      this.currentGroup = 0;
+      this.saveGroupSize();
+      this.update();
+    });
+
+    container.querySelector('#readout-step-mode').addEventListener('change', (e) => {
+      this.stepMode = e.target.checked;
+      this.currentGroup = 0;
+      this.update();
+    });
+
+    container.querySelector('#readout-prev').addEventListener('click', () => this.step(-1));
+    container.querySelector('#readout-next').addEventListener('click', () => this.step(1));
+
+    container.querySelector('#readout-groups').addEventListener('keydown', (e) => {
+      if (e.key === 'ArrowRight' || e.key === 'ArrowLeft') {
+        e.preventDefault();
+        this.step(e.key === 'ArrowRight' ? 1 : -1);
+      }
+    });
+
+    this.update();
+  }
+
+  /**
+   * Show a new password, starting again at the first group
+   *
+   * @param {string} password - Generated password, or '' when there is none
+   */
+  setPassword(password) {
+    if (password !== this.password) {
+      this.password = password || '';
+      this.currentGroup = 0;
+    }
+    this.update();
+  }
+
+  /**
+   * Follow the generator's mask setting
+   *
+   * @param {boolean} masked - True while the password is masked
+   */
+  setMasked(masked) {
+    this.masked = masked;
+    this.update();
+  }
+
+  /**
+   * Mark the shown password as generated for older inputs
+   *
+   * @param {boolean} isStale - True while a newer result is pending
+   */
+  setStale(isStale) {
+    this.isStale = isStale;
+    this.update();
+  }
+
+  /**
+   * Move to the previous or next group in step-by-step mode
+   *
+   * @param {number} direction - -1 for the previous group, 1 for the next one
+   */
+  step(direction) {
+    const groupCount = groupReadout(this.password, this.groupSize).length;
+    const next = this.currentGroup + direction;
+    if (!this.isStepping() || next < 0 || next >= groupCount) return;
+
+    this.currentGroup = next;
+    this.update();
+  }
+
+  /**
+   * Step-by-step mode is always on while the password is masked
+   *
+   * @returns {boolean} True when only the current group is highlighted
+   */
+  isStepping() {
+    return this.stepMode || this.masked;
+  }
+
+  /**
+   * Spoken name of a character
+   *
+   * @param {Object} entry - Character description from groupReadout()
+   * @returns {string} Translated name
+   */
+  spell(entry) {
+    if (entry.kind === READOUT_KINDS.UPPERCASE || entry.kind === READOUT_KINDS.LOWERCASE) {
+      return t(`password.readout.spoken.${entry.kind}`, { name: entry.nato ?? entry.char });
+    }
+    if (entry.nameKey) {
+      return entry.kind === READOUT_KINDS.NUMBERS
+        ? t(`password.readout.digits.${entry.nameKey}`)
+        : t(`password.readout.symbols.${entry.nameKey}`);
+    }
+    return t('password.readout.spoken.other', { char: entry.char, code: entry.codePoint });
+  }
+
+  /**
+   * Generate HTML for one group
+   *
+   * @param {Array<Object>} group - Character descriptions
+   * @param {number} index - Group index
+   * @returns {string} HTML string for the group
+   */
+  renderGroup(group, index) {
+    const isStepping = this.isStepping();
+    const isCurrent = isStepping && index === this.currentGroup;
+    // While masked only the current group is revealed
+    const isRevealed = !this.masked || isCurrent;
+    const isDimmed = isStepping && !isCurrent;
+
+    const characters = isRevealed
+      ? group.map(entry => `<span class="${KIND_COLORS[entry.kind]}">${escapeHtml(entry.char)}</span>`).join('')
+      : `<span class="text-gray-400 dark:text-gray-500">${'*'.repeat(group.length)}</span>`;
+
+    return `
+      <li class="rounded-md border px-3 py-2 ${isCurrent ? 'border-primary-500 ring-2 ring-primary-500/40' : 'border-gray-200 dark:border-gray-600'} ${isDimmed ? 'opacity-40' : ''}"
+          ${isCurrent ? 'aria-current="step"' : ''}>
+        <div class="text-xs text-gray-500 dark:text-gray-400">${index + 1}</div>
+        <div class="font-mono text-xl tracking-widest whitespace-pre">${characters}</div>
+        ${isRevealed && (!isStepping || isCurrent) ? `
+          <ul class="mt-1 space-y-0.5 text-xs">
+            ${group.map(entry => `
+              <li><span class="font-mono ${KIND_COLORS[entry.kind]} whitespace-pre">${escapeHtml(entry.char)}</span> ${escapeHtml(this.spell(entry))}</li>
+            `).join('')}
+          </ul>
+        ` : ''}
+      </li>
+    `;
+  }
+
+  /**
+   * Render the groups, stepper and hints for the current state. The
+   * password is only put into the markup while the section is open.
+   */
+  update() {
+    const details = this.container?.querySelector('#password-readout');
+    if (!details) return;
+
+    const groupsList = details.querySelector('#readout-groups');
+    const groups = details.open ? groupReadout(this.password, this.groupSize) : [];
+    const isStepping = this.isStepping();
+
+    const stepCheckbox = details.querySelector('#readout-step-mode');
+    stepCheckbox.checked = isStepping;
+    stepCheckbox.disabled = this.masked;
+    details.querySelector('#readout-masked-hint').classList.toggle('hidden', !this.masked);
+    details.querySelector('#readout-empty').classList.toggle('hidden', Boolean(this.password));
+
+    groupsList.innerHTML = groups.map((group, index) => this.renderGroup(group, index)).join('');
+    groupsList.classList.toggle('opacity-50', this.isStale);
+
+    const showSteps = isStepping && groups.length > 0;
+    details.querySelector('#readout-steps').classList.toggle('hidden', !showSteps);
+    if (showSteps) {
+      details.querySelector('#readout-position').textContent = t('password.readout.position', {
+        current: this.currentGroup + 1,
+        total: groups.length
+      });
+      details.querySelector('#readout-prev').disabled = this.currentGroup === 0;
+      details.querySelector('#readout-next').disabled = this.currentGroup >= groups.length - 1;
+    }
+  }
+}
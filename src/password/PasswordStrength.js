@@ -18,6 +18,7 @@ import { t } from '../utils/i18n.js';
  * - Character variety assessment (lowercase, uppercase, numbers, symbols)
  * - Entropy calculation with length-aware adjustments
  * - Pattern-based penalties for weak combinations
+ * - Entropy-based scoring for passphrases
  * - Real-time UI updates with smooth animations
  */
 export class PasswordStrength {
@@ -196,13 +197,76 @@ export class PasswordStrength {
     };
   }
 
+  /**
+   * Entropy-based strength analysis for outputs whose strength is defined by
+   * their generation space rather than by their characters (e.g. passphrases,
+   * where character variety and repetition scoring are meaningless)
+   * 
+   * Levels (bits of entropy):
+   * - 75+ Very strong, 60+ Strong, 45+ Moderate, 30+ Weak, below Very weak
+   * 
+   * @param {Object} context - Entropy context
+   * @param {number} context.entropyBits - Entropy of the output space in bits
+   * @param {number} context.words - Number of words (passphrases)
+   * @returns {Object} Analysis results with score, level, color, and feedback
+   */
+  analyzeEntropyStrength(context) {
+    const bits = Math.max(0, context.entropyBits || 0);
+    const score = Math.min(100, Math.round(bits));
+    
+    let level, text, color, width;
+    if (bits >= 75) {
+      level = 'very-strong';
+      text = t('password.strength.levels.veryStrong');
+      color = 'bg-primary-600';
+      width = 100;
+    } else if (bits >= 60) {
+      level = 'strong';
+      text = t('password.strength.levels.strong');
+      color = 'bg-primary-500';
+      width = 75;
+    } else if (bits >= 45) {
+      level = 'moderate';
+      text = t('password.strength.levels.moderate');
+      color = 'bg-yellow-500';
+      width = 50;
+    } else if (bits >= 30) {
+      level = 'weak';
+      text = t('password.strength.levels.weak');
+      color = 'bg-orange-500';
+      width = 25;
+    } else {
+      level = 'very-weak';
+      text = t('password.strength.levels.veryWeak');
+      color = 'bg-red-500';
+      width = 12;
+    }
+    
+    const feedback = [];
+    if (context.words) {
+      feedback.push(t('password.strength.feedback.words', { count: context.words }));
+    }
+    feedback.push(t('password.strength.feedback.entropyBits', { bits: Math.floor(bits) }));
+    
+    return {
+      score,
+      level,
+      text,
+      color,
+      width,
+      details: feedback.join(' • ')
+    };
+  }
+
   /**
    * Update password strength meter UI with smooth animations
    * 
    * @param {string} password - Current password value
    * @param {HTMLElement} containerElement - Container element with strength meter
+   * @param {Object|null} entropyContext - Optional entropy context; when given,
+   *   the output is scored by entropy instead of character analysis
    */
-  updatePasswordStrength(password, containerElement) {
+  updatePasswordStrength(password, containerElement, entropyContext = null) {
     if (!containerElement) return;
 
     const strengthContainer = containerElement.querySelector('#password-strength-container');
@@ -214,7 +278,9 @@ export class PasswordStrength {
       return;
     }
 
-    const analysis = this.analyzePasswordStrength(password);
+    const analysis = password && entropyContext
+      ? this.analyzeEntropyStrength(entropyContext)
+      : this.analyzePasswordStrength(password);
 
     if (analysis.level === 'empty') {
       // Hide strength meter for empty password with smooth animation
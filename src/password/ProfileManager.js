@@ -0,0 +1,482 @@
+/**
+ * ProfileManager Component
+ *
+ * Profile picker for the password generator. Lets users save the current
+ * non-secret generation settings under a site/account name, search saved
+ * profiles, and apply, rename or delete them. Profiles are persisted through
+ * the IndexedDB profile store and never include keywords or passwords, only
+ * an optional truncated verifier used to confirm regenerated output.
+ *
+ * @author NuwaX
+ */
+import { profileStore, PROFILE_LIMITS } from '../utils/profileStore.js';
+import { toast } from '../utils/toast.js';
+import { logger } from '../utils/logger.js';
+import { escapeHtml } from '../utils/html.js';
+import { OUTPUT_MODES, KEYWORD_ORDERS, ALGORITHM_VERSIONS, CURRENT_ALGORITHM_VERSION } from './generationSettings.js';
+import { KDF_ALGORITHMS } from './kdf.js';
+import { NORMALIZATION_FORMS } from './normalization.js';
+import { t } from '../utils/i18n.js';
+
+/**
+ * ProfileManager Class
+ *
+ * Profile management UI with:
+ * - One-click apply of a stored profile to the generator options
+ * - Inline create and rename form with optional notes
+ * - Live search over profile names and notes
+ * - Two-step delete confirmation
+ */
+export class ProfileManager {
+  /**
+   * Initialize ProfileManager with configuration options
+   *
+   * @param {Object} options - Configuration options
+   * @param {Function} options.getOptions - Returns the live generator options
+   * @param {Function} options.onApply - Called with a profile when it is applied
+   * @param {Function} options.getVerifier - Returns a verifier promise for the shown password, or null
+   * @param {Function} options.onProfilesChange - Called after the stored profiles were reloaded
+   */
+  constructor(options = {}) {
+    this.getOptions = options.getOptions || (() => ({}));
+    this.onApply = options.onApply || (() => {});
+    this.getVerifier = options.getVerifier || (() => null);
+    this.onProfilesChange = options.onProfilesChange || (() => {});
+
+    this.container = null;
+    this.profiles = [];
+    this.query = '';
+    this.activeProfileId = null;
+    // Last applied or created profile; kept when settings change by hand so a mismatch can still be reported
+    this.verificationProfileId = null;
+    this.formMode = null;
+    this.formProfileId = null;
+    this.pendingDeleteId = null;
+    this.pendingDeleteTimeout = null;
+    this.isAvailable = profileStore.isSupported();
+  }
+
+  /**
+   * Generate HTML structure for the profile picker
+   *
+   * @returns {string} HTML string for the profile section
+   */
+  renderProfileManager() {
+    return `
+      <div id="profile-manager" class="space-y-2">
+        <div class="flex justify-between items-center">
+          <label for="profile-search" class="text-sm font-medium text-gray-800 dark:text-gray-300">
+            ${t('password.profiles.title')}
+          </label>
+          <span id="profile-active" class="text-xs text-gray-500 dark:text-gray-400 truncate ml-2"></span>
+        </div>
+        <div class="flex gap-2">
+          <input type="search"
+                 id="profile-search"
+                 class="input-field flex-1"
+                 placeholder="${t('password.profiles.searchPlaceholder')}"
+                 autocomplete="off"
+                 ${this.isAvailable ? '' : 'disabled'}>
+          <button type="button"
+                  id="profile-create-btn"
+                  class="btn-secondary text-sm whitespace-nowrap cursor-pointer"
+                  ${this.isAvailable ? '' : 'disabled'}>
+            ${t('password.profiles.saveCurrent')}
+          </button>
+        </div>
+        <form id="profile-form" class="hidden space-y-2" action="javascript:void(0);">
+          <input type="text"
+                 id="profile-name-input"
+                 class="input-field"
+                 maxlength="${PROFILE_LIMITS.nameLength}"
+                 placeholder="${t('password.profiles.namePlaceholder')}"
+                 autocomplete="off">
+          <textarea id="profile-notes-input"
+                    class="input-field resize-none"
+                    rows="2"
+                    maxlength="${PROFILE_LIMITS.notesLength}"
+                    placeholder="${t('password.profiles.notesPlaceholder')}"></textarea>
+          <div class="flex gap-2 justify-end">
+            <button type="button" id="profile-form-cancel" class="btn-secondary text-sm cursor-pointer">
+              ${t('password.profiles.cancel')}
+            </button>
+            <button type="submit" id="profile-form-save" class="btn-primary text-sm">
+              ${t('password.profiles.save')}
+            </button>
+          </div>
+        </form>
+        <ul id="profile-list" class="profile-list space-y-1 max-h-48 overflow-y-auto">
+          ${this.isAvailable ? '' : `<li class="text-xs text-gray-500 dark:text-gray-400 italic py-1">${t('password.profiles.unavailable')}</li>`}
+        </ul>
+      </div>
+    `;
+  }
+
+  /**
+   * Build a short human readable summary of a profile's settings
+   *
+   * @param {Object} settings - Stored profile settings
+   * @returns {string} Summary text
+   */
+  summarizeSettings(settings = {}) {
+    let parts;
+    if (settings.outputMode === OUTPUT_MODES.PASSPHRASE) {
+      parts = [
+        t('password.strength.feedback.words', { count: settings.passphraseWords }),
+        (settings.wordlist || '').toUpperCase()
+      ];
+    } else if (settings.outputMode === OUTPUT_MODES.TEMPLATE) {
+      parts = [settings.template];
+    } else {
+      const classes = [];
+      if (settings.includeUppercase) classes.push('ABC');
+      if (settings.includeLowercase) classes.push('abc');
+      if (settings.includeNumbers) classes.push('123');
+      if (settings.includeSymbols) classes.push('#$&');
+
+      parts = [`${settings.length} ${t('password.strength.feedback.chars')}`, classes.join(' ')];
+    }
+
+    if (settings.counter && settings.counter > 1) {
+      parts.push(t('password.profiles.counterSummary', { counter: settings.counter }));
+    }
+    if (settings.unicodeNormalization && settings.unicodeNormalization !== NORMALIZATION_FORMS.NONE) {
+      parts.push(settings.unicodeNormalization);
+    }
+    if (settings.caseInsensitive) {
+      parts.push(t('password.generator.normalization.caseSummary'));
+    }
+    if (settings.keywordOrder === KEYWORD_ORDERS.INSENSITIVE) {
+      parts.push(t('password.generator.keywordOrder.summary'));
+    }
+    if (settings.kdf && settings.kdf !== KDF_ALGORITHMS.NONE) {
+      parts.push(t(`password.generator.kdf.algorithms.${settings.kdf}`));
+    }
+    // Profiles saved before versions existed use the first version
+    const algorithmVersion = settings.algorithmVersion ?? ALGORITHM_VERSIONS[0];
+    if (algorithmVersion !== CURRENT_ALGORITHM_VERSION) {
+      parts.push(t('password.generator.algorithm.summary', { version: algorithmVersion }));
+    }
+    return parts.filter(Boolean).join(' • ');
+  }
+
+  /**
+   * Render the filtered profile list
+   */
+  renderProfileList() {
+    const list = this.container?.querySelector('#profile-list');
+    if (!list) return;
+
+    if (!this.isAvailable) {
+      return;
+    }
+
+    const needle = this.query.trim().toLocaleLowerCase();
+    const visibleProfiles = needle
+      ? this.profiles.filter(profile =>
+          profile.name.toLocaleLowerCase().includes(needle) ||
+          (profile.notes || '').toLocaleLowerCase().includes(needle))
+      : this.profiles;
+
+    if (visibleProfiles.length === 0) {
+      const emptyKey = this.profiles.length === 0 ? 'password.profiles.empty' : 'password.profiles.noMatches';
+      list.innerHTML = `<li class="text-xs text-gray-500 dark:text-gray-400 italic py-1">${t(emptyKey)}</li>`;
+      return;
+    }
+
+    list.innerHTML = visibleProfiles.map(profile => {
+      const isActive = profile.id === this.activeProfileId;
+      const isPendingDelete = profile.id === this.pendingDeleteId;
+      const notes = profile.notes ? ` • ${escapeHtml(profile.notes)}` : '';
+
+      return `
+        <li class="profile-item flex items-center gap-2 rounded-lg border px-3 py-2 transition-all duration-200 ${isActive ? 'active border-primary-300 dark:border-primary-500/50 bg-primary-50 dark:bg-primary-900/20' : 'border-gray-200 dark:border-gray-600/50 hover:bg-gray-50 dark:hover:bg-gray-700/30'}">
+          <button type="button"
+                  data-apply-profile="${escapeHtml(profile.id)}"
+                  class="flex-1 min-w-0 text-left cursor-pointer"
+                  title="${t('password.profiles.apply')}">
+            <span class="block text-sm font-medium text-gray-800 dark:text-gray-100 truncate">${escapeHtml(profile.name)}</span>
+            <span class="block text-xs text-gray-500 dark:text-gray-400 truncate">${escapeHtml(this.summarizeSettings(profile.settings))}${notes}</span>
+          </button>
+          <button type="button"
+                  data-rename-profile="${escapeHtml(profile.id)}"
+                  class="w-6 h-6 flex items-center justify-center rounded text-gray-400 hover:text-primary-500 hover:bg-primary-50 dark:text-gray-300 dark:hover:text-primary-400 dark:hover:bg-primary-500/10 transition-all duration-200 cursor-pointer"
+                  title="${t('password.profiles.rename')}">
+            <svg class="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z"></path>
+            </svg>
+          </button>
+          <button type="button"
+                  data-delete-profile="${escapeHtml(profile.id)}"
+                  class="h-6 ${isPendingDelete ? 'px-2 text-xs font-medium text-white bg-red-500 hover:bg-red-600' : 'w-6 text-gray-400 hover:text-red-500 hover:bg-red-50 dark:text-gray-300 dark:hover:text-red-400 dark:hover:bg-red-500/10'} flex items-center justify-center rounded transition-all duration-200 cursor-pointer"
+                  title="${t('password.profiles.delete')}">
+            ${isPendingDelete ? t('password.profiles.confirmDelete') : `
+            <svg class="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"></path>
+            </svg>`}
+          </button>
+        </li>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Update the "active profile" label
+   */
+  renderActiveLabel() {
+    const label = this.container?.querySelector('#profile-active');
+    if (!label) return;
+
+    const activeProfile = this.getActiveProfile();
+    label.textContent = activeProfile
+      ? t('password.profiles.active', { name: activeProfile.name })
+      : '';
+  }
+
+  /**
+   * Attach event listeners and load stored profiles
+   *
+   * @param {Element} container - Element containing the rendered profile section
+   */
+  attach(container) {
+    this.container = container;
+    if (!this.isAvailable) return;
+
+    const searchInput = container.querySelector('#profile-search');
+    searchInput.addEventListener('input', (e) => {
+      this.query = e.target.value;
+      this.renderProfileList();
+    });
+
+    container.querySelector('#profile-create-btn').addEventListener('click', () => {
+      this.openForm('create');
+    });
+
+    container.querySelector('#profile-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.submitForm();
+    });
+
+    container.querySelector('#profile-form-cancel').addEventListener('click', () => {
+      this.closeForm();
+    });
+
+    container.querySelector('#profile-list').addEventListener('click', (e) => {
+      const applyButton = e.target.closest('[data-apply-profile]');
+      const renameButton = e.target.closest('[data-rename-profile]');
+      const deleteButton = e.target.closest('[data-delete-profile]');
+
+      if (applyButton) {
+        this.applyProfile(applyButton.dataset.applyProfile);
+      } else if (renameButton) {
+        this.openForm('rename', renameButton.dataset.renameProfile);
+      } else if (deleteButton) {
+        this.requestDelete(deleteButton.dataset.deleteProfile);
+      }
+    });
+
+    this.loadProfiles();
+  }
+
+  /**
+   * Reload profiles from the store and refresh the list
+   */
+  async loadProfiles() {
+    try {
+      this.profiles = await profileStore.list();
+    } catch (error) {
+      logger.warn('[ProfileManager] Failed to load profiles:', error);
+      this.isAvailable = false;
+      this.profiles = [];
+      const list = this.container?.querySelector('#profile-list');
+      if (list) {
+        list.innerHTML = `<li class="text-xs text-gray-500 dark:text-gray-400 italic py-1">${t('password.profiles.unavailable')}</li>`;
+      }
+      return;
+    }
+
+    if (this.activeProfileId && !this.getActiveProfile()) {
+      this.activeProfileId = null;
+    }
+    if (this.verificationProfileId && !this.getVerificationProfile()) {
+      this.verificationProfileId = null;
+    }
+    this.renderProfileList();
+    this.renderActiveLabel();
+    this.onProfilesChange();
+  }
+
+  /**
+   * Get the currently applied profile
+   *
+   * @returns {Object|null} Active profile or null
+   */
+  getActiveProfile() {
+    return this.profiles.find(profile => profile.id === this.activeProfileId) || null;
+  }
+
+  /**
+   * Get the profile whose verifier the shown password is checked against
+   *
+   * @returns {Object|null} Verification profile or null
+   */
+  getVerificationProfile() {
+    return this.profiles.find(profile => profile.id === this.verificationProfileId) || null;
+  }
+
+  /**
+   * Store a verifier of the current password with a profile
+   *
+   * @param {string} id - Profile identifier
+   * @param {Object} verifier - Verifier from createVerifier
+   */
+  async saveVerifier(id, verifier) {
+    try {
+      await profileStore.update(id, { verifier });
+      toast.success(t('password.profiles.toasts.verifierSaved'));
+    } catch (error) {
+      logger.error('[ProfileManager] Failed to save verifier:', error);
+      toast.error(t('password.profiles.toasts.saveFailed'));
+      return;
+    }
+    await this.loadProfiles();
+  }
+
+  /**
+   * Forget the active profile, e.g. after the user changed settings by hand
+   */
+  clearActiveProfile() {
+    if (!this.activeProfileId) return;
+    this.activeProfileId = null;
+    this.renderProfileList();
+    this.renderActiveLabel();
+  }
+
+  /**
+   * Apply a stored profile to the generator
+   *
+   * @param {string} id - Profile identifier
+   */
+  applyProfile(id) {
+    const profile = this.profiles.find(item => item.id === id);
+    if (!profile) return;
+
+    this.activeProfileId = profile.id;
+    this.verificationProfileId = profile.id;
+    this.onApply(profile);
+    this.renderProfileList();
+    this.renderActiveLabel();
+    toast.success(t('password.profiles.toasts.applied', { name: profile.name }));
+  }
+
+  /**
+   * Show the inline create/rename form
+   *
+   * @param {string} mode - Either 'create' or 'rename'
+   * @param {string|null} id - Profile identifier when renaming
+   */
+  openForm(mode, id = null) {
+    const form = this.container.querySelector('#profile-form');
+    const nameInput = this.container.querySelector('#profile-name-input');
+    const notesInput = this.container.querySelector('#profile-notes-input');
+    const profile = id ? this.profiles.find(item => item.id === id) : null;
+
+    this.formMode = mode;
+    this.formProfileId = profile ? profile.id : null;
+
+    nameInput.value = profile ? profile.name : '';
+    notesInput.value = profile ? (profile.notes || '') : '';
+    form.classList.remove('hidden');
+    nameInput.focus();
+  }
+
+  /**
+   * Hide and reset the inline form
+   */
+  closeForm() {
+    const form = this.container.querySelector('#profile-form');
+    form.classList.add('hidden');
+    this.container.querySelector('#profile-name-input').value = '';
+    this.container.querySelector('#profile-notes-input').value = '';
+    this.formMode = null;
+    this.formProfileId = null;
+  }
+
+  /**
+   * Validate and persist the inline form
+   */
+  async submitForm() {
+    const name = this.container.querySelector('#profile-name-input').value.trim();
+    const notes = this.container.querySelector('#profile-notes-input').value;
+
+    if (!name) {
+      toast.warning(t('password.profiles.toasts.nameRequired'));
+      return;
+    }
+
+    const isDuplicate = this.profiles.some(profile =>
+      profile.id !== this.formProfileId &&
+      profile.name.toLocaleLowerCase() === name.toLocaleLowerCase());
+    if (isDuplicate) {
+      toast.warning(t('password.profiles.toasts.nameExists'));
+      return;
+    }
+
+    try {
+      if (this.formMode === 'rename' && this.formProfileId) {
+        await profileStore.update(this.formProfileId, { name, notes });
+        toast.success(t('password.profiles.toasts.renamed'));
+      } else {
+        const verifier = await this.getVerifier();
+        const profile = await profileStore.create(name, this.getOptions(), notes, verifier);
+        this.activeProfileId = profile.id;
+        this.verificationProfileId = profile.id;
+        toast.success(t('password.profiles.toasts.created', { name: profile.name }));
+      }
+    } catch (error) {
+      logger.error('[ProfileManager] Failed to save profile:', error);
+      toast.error(t('password.profiles.toasts.saveFailed'));
+      return;
+    }
+
+    this.closeForm();
+    await this.loadProfiles();
+  }
+
+  /**
+   * Two-step delete: first click arms the button, second click deletes
+   *
+   * @param {string} id - Profile identifier
+   */
+  async requestDelete(id) {
+    if (this.pendingDeleteId !== id) {
+      this.pendingDeleteId = id;
+      clearTimeout(this.pendingDeleteTimeout);
+      this.pendingDeleteTimeout = setTimeout(() => {
+        this.pendingDeleteId = null;
+        this.renderProfileList();
+      }, 3000);
+      this.renderProfileList();
+      return;
+    }
+
+    clearTimeout(this.pendingDeleteTimeout);
+    this.pendingDeleteId = null;
+
+    try {
+      await profileStore.remove(id);
+      toast.success(t('password.profiles.toasts.deleted'));
+    } catch (error) {
+      logger.error('[ProfileManager] Failed to delete profile:', error);
+      toast.error(t('password.profiles.toasts.deleteFailed'));
+    }
+
+    if (this.activeProfileId === id) {
+      this.activeProfileId = null;
+    }
+    if (this.verificationProfileId === id) {
+      this.verificationProfileId = null;
+    }
+    await this.loadProfiles();
+  }
+}
@@ -0,0 +1,298 @@
+/**
+ * RecipeSharing Component
+ *
+ * Exports the current non-secret generation settings as a recipe (JSON
+ * file, "#recipe=" link or offline QR code) and imports recipes from a
+ * file, a pasted link or the page URL. Imports are only applied after a
+ * confirmation dialog that lists every setting that would change.
+ *
+ * @author NuwaX
+ */
+import {
+  RECIPE_FRAGMENT_PREFIX,
+  RECIPE_MAX_LENGTH,
+  toRecipeJson,
+  toRecipeUrl,
+  parseRecipe,
+  diffRecipeSettings
+} from './recipe.js';
+import { encodeQr, renderQrSvg } from '../utils/qrCode.js';
+import { downloadTextFile } from '../utils/download.js';
+import { copyText } from '../utils/clipboard.js';
+import { escapeHtml } from '../utils/html.js';
+import { toast } from '../utils/toast.js';
+import { logger } from '../utils/logger.js';
+import { t } from '../utils/i18n.js';
+
+/**
+ * RecipeSharing Class
+ *
+ * Recipe section with:
+ * - JSON file download, link copy and QR code of the current settings
+ * - Import from a file, a pasted link or JSON, or a #recipe= page URL
+ * - Confirmation dialog showing each changed setting before applying
+ */
+export class RecipeSharing {
+  /**
+   * Initialize RecipeSharing with configuration options
+   *
+   * @param {Object} options - Configuration options
+   * @param {Function} options.getOptions - Returns the current generator options
+   * @param {Function} options.onApply - Called with confirmed recipe settings
+   */
+  constructor(options = {}) {
+    this.getOptions = options.getOptions || (() => ({}));
+    this.onApply = options.onApply || (() => {});
+
+    this.container = null;
+    this.pendingSettings = null;
+  }
+
+  /**
+   * Generate HTML structure for the recipe section and its dialog
+   *
+   * @returns {string} HTML string for the recipe section
+   */
+  renderRecipeSharing() {
+    return `
+      <details id="recipe-sharing" class="rounded-lg border border-gray-200 dark:border-gray-600/50 px-3 py-2">
+        <summary class="text-sm font-medium text-gray-700 dark:text-gray-300 cursor-pointer select-none">
+          ${t('password.recipe.title')}
+        </summary>
+        <div class="mt-3 space-y-3">
+          <p class="text-xs text-gray-500 dark:text-gray-400">${t('password.recipe.hint')}</p>
+          <div class="flex flex-wrap gap-2">
+            <button type="button" id="recipe-download" class="btn-secondary text-sm cursor-pointer">
+              ${t('password.recipe.download')}
+            </button>
+            <button type="button" id="recipe-copy-link" class="btn-secondary text-sm cursor-pointer">
+              ${t('password.recipe.copyLink')}
+            </button>
+            <button type="button" id="recipe-qr-toggle" class="btn-secondary text-sm cursor-pointer" aria-expanded="false">
+              ${t('password.recipe.showQr')}
+            </button>
+          </div>
+          <div id="recipe-qr" class="hidden">
+            <div class="flex flex-col items-center gap-2">
+              <div id="recipe-qr-image" class="rounded bg-white p-1"></div>
+              <p class="text-xs text-gray-500 dark:text-gray-400 text-center">${t('password.recipe.qrHint')}</p>
+            </div>
+          </div>
+          <form id="recipe-import-form" class="flex gap-2" action="javascript:void(0);">
+            <input type="text"
+                   id="recipe-import-input"
+                   class="input-field flex-1 text-sm"
+                   maxlength="${RECIPE_MAX_LENGTH}"
+                   placeholder="${t('password.recipe.importPlaceholder')}"
+                   autocomplete="off"
+                   spellcheck="false">
+            <button type="submit" class="btn-secondary text-sm whitespace-nowrap cursor-pointer">
+              ${t('password.recipe.import')}
+            </button>
+          </form>
+          <button type="button" id="recipe-import-file-btn" class="btn-secondary text-sm cursor-pointer">
+            ${t('password.recipe.importFile')}
+          </button>
+          <input type="file" id="recipe-import-file" class="hidden" accept=".json,application/json">
+        </div>
+      </details>
+      <dialog id="recipe-dialog" class="card-bg rounded-xl shadow-lg p-0 w-full max-w-lg backdrop:bg-black/50" aria-labelledby="recipe-dialog-title">
+        <form method="dialog" class="p-6 space-y-4">
+          <h3 id="recipe-dialog-title" class="text-lg font-semibold text-gray-800 dark:text-gray-100">
+            ${t('password.recipe.confirm.title')}
+          </h3>
+          <p class="text-sm text-gray-600 dark:text-gray-400">${t('password.recipe.confirm.message')}</p>
+          <ul id="recipe-dialog-changes" class="max-h-64 overflow-y-auto space-y-1 text-sm"></ul>
+          <div class="flex justify-end gap-2">
+            <button type="submit" value="cancel" class="btn-secondary text-sm cursor-pointer">
+              ${t('password.recipe.confirm.cancel')}
+            </button>
+            <button type="submit" value="apply" class="btn-primary text-sm">
+              ${t('password.recipe.confirm.apply')}
+            </button>
+          </div>
+        </form>
+      </dialog>
+    `;
+  }
+
+  /**
+   * Bind event listeners once the generator markup is in the DOM and pick
+   * up a recipe passed in the page URL
+   *
+   * @param {HTMLElement} container - Element containing the rendered section
+   */
+  attach(container) {
+    this.container = container;
+
+    container.querySelector('#recipe-download').addEventListener('click', () => {
+      downloadTextFile('nuwault-recipe.json', toRecipeJson(this.getOptions()), 'application/json');
+    });
+
+    container.querySelector('#recipe-copy-link').addEventListener('click', async () => {
+      // A recipe holds no secrets, so the link is copied without auto-clear
+      if (await copyText(this.getRecipeUrl(), { sensitive: false })) {
+        toast.success(t('password.recipe.toasts.linkCopied'));
+      } else {
+        toast.error(t('password.recipe.toasts.copyFailed'));
+      }
+    });
+
+    container.querySelector('#recipe-qr-toggle').addEventListener('click', () => {
+      this.toggleQr();
+    });
+
+    container.querySelector('#recipe-import-form').addEventListener('submit', () => {
+      const input = container.querySelector('#recipe-import-input');
+      if (this.importRecipe(input.value)) {
+        input.value = '';
+      }
+    });
+
+    const fileInput = container.querySelector('#recipe-import-file');
+    container.querySelector('#recipe-import-file-btn').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async () => {
+      const [file] = fileInput.files;
+      fileInput.value = '';
+      if (!file) return;
+
+      if (file.size > RECIPE_MAX_LENGTH) {
+        toast.error(t('password.recipe.errors.tooLong'));
+        return;
+      }
+      try {
+        this.importRecipe(await file.text());
+      } catch (error) {
+        logger.error('[RecipeSharing] Failed to read recipe file:', error);
+        toast.error(t('password.recipe.errors.invalid'));
+      }
+    });
+
+    const dialog = container.querySelector('#recipe-dialog');
+    dialog.addEventListener('close', () => {
+      const settings = this.pendingSettings;
+      this.pendingSettings = null;
+      if (dialog.returnValue === 'apply' && settings) {
+        this.onApply(settings);
+        toast.success(t('password.recipe.toasts.applied'));
+      }
+    });
+
+    // The generator is attached before it is inserted into the page, and a modal needs a connected dialog
+    setTimeout(() => this.importFromLocation(), 0);
+  }
+
+  /**
+   * Build the recipe link for the current settings
+   *
+   * @returns {string} Recipe URL
+   */
+  getRecipeUrl() {
+    const { origin, pathname, search } = window.location;
+    return toRecipeUrl(this.getOptions(), `${origin}${pathname}${search}`);
+  }
+
+  /**
+   * Show or hide the QR code of the recipe link
+   */
+  toggleQr() {
+    const panel = this.container?.querySelector('#recipe-qr');
+    const toggle = this.container?.querySelector('#recipe-qr-toggle');
+    if (!panel || !toggle) return;
+
+    const isHidden = panel.classList.contains('hidden');
+    if (isHidden) {
+      const qr = encodeQr(this.getRecipeUrl());
+      if (!qr) {
+        toast.error(t('password.recipe.toasts.qrTooLong'));
+        return;
+      }
+      const image = panel.querySelector('#recipe-qr-image');
+      image.innerHTML = renderQrSvg(qr, { moduleSize: 3 });
+      const svg = image.querySelector('svg');
+      svg.setAttribute('class', 'max-w-full h-auto');
+      svg.setAttribute('aria-label', t('password.recipe.qrLabel'));
+    }
+
+    panel.classList.toggle('hidden', !isHidden);
+    toggle.setAttribute('aria-expanded', String(isHidden));
+    toggle.textContent = isHidden ? t('password.recipe.hideQr') : t('password.recipe.showQr');
+  }
+
+  /**
+   * Import a recipe passed as "#recipe=" in the page URL. The fragment is
+   * removed first, so reloading the page does not ask again.
+   */
+  importFromLocation() {
+    const { hash, pathname, search } = window.location;
+    if (!hash.startsWith(RECIPE_FRAGMENT_PREFIX)) {
+      return;
+    }
+
+    history.replaceState(null, '', `${pathname}${search}`);
+    this.importRecipe(hash);
+  }
+
+  /**
+   * Parse a recipe and ask for confirmation before applying it
+   *
+   * @param {string} text - Recipe link, fragment or JSON
+   * @returns {boolean} True when the recipe was valid
+   */
+  importRecipe(text) {
+    const { settings, error } = parseRecipe(text);
+    if (error) {
+      toast.error(t(`password.recipe.errors.${error}`));
+      return false;
+    }
+
+    const changes = diffRecipeSettings(this.getOptions(), settings);
+    if (changes.length === 0) {
+      toast.info(t('password.recipe.toasts.unchanged'));
+      return true;
+    }
+
+    this.openConfirmation(settings, changes);
+    return true;
+  }
+
+  /**
+   * Show the confirmation dialog listing every change
+   *
+   * @param {Object} settings - Parsed recipe settings
+   * @param {Array} changes - Changes from diffRecipeSettings
+   */
+  openConfirmation(settings, changes) {
+    const dialog = this.container?.querySelector('#recipe-dialog');
+    if (!dialog) return;
+
+    dialog.querySelector('#recipe-dialog-changes').innerHTML = changes.map(({ key, from, to }) => `
+      <li class="flex flex-wrap items-baseline gap-x-2 rounded border border-gray-200 dark:border-gray-600/50 px-2 py-1">
+        <span class="font-medium text-gray-800 dark:text-gray-200">${t(`password.recipe.settings.${key}`)}</span>
+        <span class="font-mono text-xs text-gray-500 dark:text-gray-400 line-through">${escapeHtml(this.formatValue(from))}</span>
+        <span class="text-gray-400" aria-hidden="true">&rarr;</span>
+        <span class="font-mono text-xs text-gray-800 dark:text-gray-100">${escapeHtml(this.formatValue(to))}</span>
+      </li>
+    `).join('');
+
+    this.pendingSettings = settings;
+    dialog.returnValue = '';
+    dialog.showModal();
+  }
+
+  /**
+   * Format a setting value for the change list
+   *
+   * @param {*} value - Setting value
+   * @returns {string} Display text
+   */
+  formatValue(value) {
+    if (typeof value === 'boolean') {
+      return value ? t('password.recipe.values.on') : t('password.recipe.values.off');
+    }
+    if (typeof value === 'string') {
+      return JSON.stringify(value);
+    }
+    return String(value ?? '');
+  }
+}
@@ -0,0 +1,360 @@
+/**
+ * RecoveryCodesOutput Component
+ *
+ * Optional output of the generator card that derives a set of one-time
+ * recovery codes from the keyword chips and an account label, so the set
+ * can be regenerated instead of stored. Count, length and grouping are
+ * remembered; the label and the codes are kept in memory only.
+ *
+ * @author NuwaX
+ */
+import {
+  RECOVERY_CODE_LIMITS,
+  RECOVERY_CODE_GROUP_SIZES,
+  DEFAULT_RECOVERY_CODE_SETTINGS,
+  validateRecoveryCodeSettings
+} from './recoveryCodes.js';
+import { copyWithFeedback } from '../utils/clipboard.js';
+import { maskSecret } from '../utils/mask.js';
+import { downloadTextFile } from '../utils/download.js';
+import { printLines } from '../utils/print.js';
+import { escapeHtml } from '../utils/html.js';
+import { toast } from '../utils/toast.js';
+import { logger } from '../utils/logger.js';
+import { t } from '../utils/i18n.js';
+
+/**
+ * RecoveryCodesOutput Class
+ *
+ * Recovery code section with:
+ * - On/off switch, account label, count, length and grouping
+ * - Numbered code list with per-code copy and masking
+ * - Text file export and printing of the whole set
+ */
+export class RecoveryCodesOutput {
+  /**
+   * Initialize RecoveryCodesOutput with configuration options
+   *
+   * @param {Object} options - Configuration options
+   * @param {Function} options.onChange - Called when a setting that affects the codes changes
+   */
+  constructor(options = {}) {
+    this.onChange = options.onChange || (() => {});
+
+    this.container = null;
+    this.enabled = false;
+    this.label = '';
+    this.mask = false;
+    this.settings = this.loadSettings();
+    this.codes = [];
+    this.isStale = false;
+  }
+
+  /**
+   * Load count, length and grouping from localStorage
+   *
+   * @returns {Object} Saved settings merged over the defaults
+   */
+  loadSettings() {
+    const settings = { ...DEFAULT_RECOVERY_CODE_SETTINGS };
+    try {
+      const saved = JSON.parse(localStorage.getItem('nuwault-recovery-code-settings') || 'null');
+      if (saved && typeof saved === 'object') {
+        // Each value is checked on its own (with a placeholder label) so one bad value does not discard the others
+        ['count', 'length', 'groupSize'].forEach(key => {
+          if (!validateRecoveryCodeSettings({ ...DEFAULT_RECOVERY_CODE_SETTINGS, label: '-', [key]: saved[key] })) {
+            settings[key] = saved[key];
+          }
+        });
+      }
+    } catch (error) {
+      logger.warn('[RecoveryCodesOutput] Failed to load recovery code settings:', error);
+    }
+    return settings;
+  }
+
+  /**
+   * Save count, length and grouping to localStorage
+   */
+  saveSettings() {
+    try {
+      localStorage.setItem('nuwault-recovery-code-settings', JSON.stringify(this.settings));
+    } catch (error) {
+      logger.warn('[RecoveryCodesOutput] Failed to save recovery code settings:', error);
+    }
+  }
+
+  /**
+   * Settings to send with a generation job
+   *
+   * @returns {Object|null} { label, count, length, groupSize }, or null when no codes should be generated
+   */
+  getRequest() {
+    if (!this.enabled) {
+      return null;
+    }
+    const request = { ...this.settings, label: this.label.trim() };
+    return validateRecoveryCodeSettings(request) ? null : request;
+  }
+
+  /**
+   * Generate HTML structure for the recovery code section.
+   * The label is never part of the markup; attach() restores it.
+   *
+   * @returns {string} HTML string for the recovery code section
+   */
+  renderRecoveryCodes() {
+    const { count, length, groupSize } = this.settings;
+    const numberClass = 'input-field text-center [appearance:textfield] [&::-webkit-outer-spin-button]:appearance-none [&::-webkit-inner-spin-button]:appearance-none';
+
+    return `
+      <div id="recovery-codes-section" class="space-y-2 mt-4 pt-4 border-t border-gray-200 dark:border-gray-600/50">
+        <label class="flex items-center space-x-2 cursor-pointer">
+          <input type="checkbox" id="recovery-codes-enabled" ${this.enabled ? 'checked' : ''}
+                 class="w-4 h-4 text-primary-600 bg-gray-100 border-gray-300 rounded focus:ring-primary-500 dark:focus:ring-primary-600 dark:ring-offset-gray-800 focus:ring-2 dark:bg-gray-700 dark:border-gray-600">
+          <span class="text-sm font-medium text-gray-800 dark:text-gray-300">${t('password.recoveryCodes.title')}</span>
+        </label>
+        <div id="recovery-codes-body" class="${this.enabled ? '' : 'hidden'} space-y-3">
+          <input type="text"
+                 id="recovery-codes-label"
+                 class="input-field text-sm"
+                 maxlength="${RECOVERY_CODE_LIMITS.labelLength}"
+                 placeholder="${t('password.recoveryCodes.labelPlaceholder')}"
+                 aria-label="${t('password.recoveryCodes.label')}"
+                 autocomplete="off"
+                 spellcheck="false">
+          <div class="grid grid-cols-3 gap-3">
+            <label class="space-y-1">
+              <span class="block text-xs font-medium text-gray-600 dark:text-gray-400">${t('password.recoveryCodes.count')}</span>
+              <input type="number" id="recovery-codes-count"
+                     min="${RECOVERY_CODE_LIMITS.minCount}" max="${RECOVERY_CODE_LIMITS.maxCount}"
+                     value="${count}" autocomplete="off" class="${numberClass}">
+            </label>
+            <label class="space-y-1">
+              <span class="block text-xs font-medium text-gray-600 dark:text-gray-400">${t('password.recoveryCodes.length')}</span>
+              <input type="number" id="recovery-codes-length"
+                     min="${RECOVERY_CODE_LIMITS.minLength}" max="${RECOVERY_CODE_LIMITS.maxLength}"
+                     value="${length}" autocomplete="off" class="${numberClass}">
+            </label>
+            <label class="space-y-1">
+              <span class="block text-xs font-medium text-gray-600 dark:text-gray-400">${t('password.recoveryCodes.grouping')}</span>
+              <select id="recovery-codes-grouping" class="select-field">
+                ${RECOVERY_CODE_GROUP_SIZES.map(size => `
+                  <option value="${size}" ${groupSize === size ? 'selected' : ''}>
+                    ${size ? `${'X'.repeat(size)}-${'X'.repeat(size)}` : t('password.recoveryCodes.noGrouping')}
+                  </option>
+                `).join('')}
+              </select>
+            </label>
+          </div>
+          <ol id="recovery-codes-list" class="grid grid-cols-1 sm:grid-cols-2 gap-2"></ol>
+          <div class="flex flex-wrap items-center gap-2">
+            <button type="button" id="recovery-codes-export" class="btn-secondary text-sm cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed" disabled>
+              ${t('password.recoveryCodes.export')}
+            </button>
+            <button type="button" id="recovery-codes-print" class="btn-secondary text-sm cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed" disabled>
+              ${t('password.recoveryCodes.print')}
+            </button>
+            <label class="flex items-center space-x-2 cursor-pointer text-sm ml-auto">
+              <input type="checkbox" id="mask-recovery-codes" ${this.mask ? 'checked' : ''}
+                     class="w-4 h-4 text-primary-600 bg-gray-100 border-gray-300 rounded focus:ring-primary-500 dark:focus:ring-primary-600 dark:ring-offset-gray-800 focus:ring-2 dark:bg-gray-700 dark:border-gray-600">
+              <span class="text-gray-700 dark:text-gray-300">${t('password.recoveryCodes.mask')}</span>
+            </label>
+          </div>
+          <p class="text-xs text-gray-500 dark:text-gray-400">${t('password.recoveryCodes.hint')}</p>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Bind event listeners once the generator markup is in the DOM
+   *
+   * @param {HTMLElement} container - Element containing the rendered section
+   */
+  attach(container) {
+    this.container = container;
+
+    const labelInput = container.querySelector('#recovery-codes-label');
+    labelInput.value = this.label;
+
+    container.querySelector('#recovery-codes-enabled').addEventListener('change', (e) => {
+      this.enabled = e.target.checked;
+      container.querySelector('#recovery-codes-body').classList.toggle('hidden', !this.enabled);
+      this.onChange();
+    });
+
+    labelInput.addEventListener('input', () => {
+      const previous = this.label.trim();
+      this.label = labelInput.value;
+      if (this.label.trim() !== previous) {
+        this.onChange();
+      }
+    });
+
+    const bindNumber = (selector, key, min, max) => {
+      const input = container.querySelector(selector);
+      input.addEventListener('change', () => {
+        let value = parseInt(input.value, 10);
+        if (isNaN(value)) {
+          value = this.settings[key];
+        }
+        value = Math.min(max, Math.max(min, value));
+        input.value = value;
+        this.updateSetting(key, value);
+      });
+    };
+    bindNumber('#recovery-codes-count', 'count', RECOVERY_CODE_LIMITS.minCount, RECOVERY_CODE_LIMITS.maxCount);
+    bindNumber('#recovery-codes-length', 'length', RECOVERY_CODE_LIMITS.minLength, RECOVERY_CODE_LIMITS.maxLength);
+
+    container.querySelector('#recovery-codes-grouping').addEventListener('change', (e) => {
+      this.updateSetting('groupSize', parseInt(e.target.value, 10));
+    });
+
+    container.querySelector('#mask-recovery-codes').addEventListener('change', (e) => {
+      this.mask = e.target.checked;
+      this.renderCodes();
+    });
+
+    container.querySelector('#recovery-codes-list').addEventListener('click', (e) => {
+      const button = e.target.closest('[data-recovery-copy]');
+      if (button) {
+        this.copyCode(parseInt(button.dataset.recoveryCopy, 10), button);
+      }
+    });
+
+    container.querySelector('#recovery-codes-export').addEventListener('click', () => this.exportCodes());
+    container.querySelector('#recovery-codes-print').addEventListener('click', () => this.printCodes());
+
+    this.renderCodes();
+  }
+
+  /**
+   * Store a changed count, length or grouping and regenerate
+   *
+   * @param {string} key - Setting key
+   * @param {number} value - Validated value
+   */
+  updateSetting(key, value) {
+    if (this.settings[key] === value) return;
+
+    this.settings[key] = value;
+    this.saveSettings();
+    this.onChange();
+  }
+
+  /**
+   * Show the codes of the latest generation result
+   *
+   * @param {string[]|null} codes - Generated codes, or null to clear the list
+   */
+  showCodes(codes) {
+    this.codes = Array.isArray(codes) ? codes : [];
+    this.renderCodes();
+  }
+
+  /**
+   * Mark the shown codes as generated for older inputs
+   *
+   * @param {boolean} isStale - True while a newer result is pending
+   */
+  setStale(isStale) {
+    if (this.isStale === isStale) return;
+
+    this.isStale = isStale;
+    this.renderCodes();
+  }
+
+  /**
+   * Render the numbered code list and the state of the export and print buttons
+   */
+  renderCodes() {
+    const list = this.container?.querySelector('#recovery-codes-list');
+    if (!list) return;
+
+    const isUsable = this.codes.length > 0 && !this.isStale;
+    this.container.querySelector('#recovery-codes-export').disabled = !isUsable;
+    this.container.querySelector('#recovery-codes-print').disabled = !isUsable;
+    list.classList.toggle('opacity-50', this.isStale);
+
+    list.innerHTML = this.codes.map((code, index) => {
+      const copyLabel = t('password.recoveryCodes.copyCode', { number: index + 1 });
+      return `
+        <li class="flex items-center justify-between gap-2 rounded-md border border-gray-200 dark:border-gray-600/50 px-3 py-1.5">
+          <span class="font-mono text-sm text-gray-800 dark:text-gray-100">
+            <span class="text-gray-400 dark:text-gray-500 select-none">${index + 1}.</span>
+            ${escapeHtml(this.mask ? maskSecret(code) : code)}
+          </span>
+          <button type="button"
+                  data-recovery-copy="${index}"
+                  class="w-6 h-6 flex-shrink-0 flex items-center justify-center rounded text-gray-400 hover:text-primary-500 hover:bg-primary-50 dark:text-gray-300 dark:hover:text-primary-400 dark:hover:bg-primary-500/10 transition-all duration-200 cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+                  title="${copyLabel}"
+                  aria-label="${copyLabel}"
+                  ${isUsable ? '' : 'disabled'}>
+            <svg class="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+              <rect x="9" y="9" width="13" height="13" rx="2" ry="2" stroke-width="2"></rect>
+              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 15H4a2 2 0 01-2-2V4a2 2 0 012-2h9a2 2 0 012 2v1"></path>
+            </svg>
+          </button>
+        </li>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Copy one code to the clipboard
+   *
+   * @param {number} index - Code index
+   * @param {HTMLElement} button - Copy button of the code
+   */
+  copyCode(index, button) {
+    if (this.isStale || button.disabled) return;
+
+    copyWithFeedback(this.codes[index], button, {
+      success: t('password.recoveryCodes.toasts.copied', { number: index + 1 }),
+      failure: t('password.recoveryCodes.toasts.copyFailed'),
+      empty: t('password.recoveryCodes.toasts.nothingToCopy')
+    });
+  }
+
+  /**
+   * Lines of the exported and printed set: the label, then numbered codes
+   *
+   * @returns {string[]} Text lines
+   */
+  getExportLines() {
+    const width = String(this.codes.length).length;
+    return [
+      t('password.recoveryCodes.fileHeading', { label: this.label.trim() }),
+      t('password.recoveryCodes.fileNote'),
+      '',
+      ...this.codes.map((code, index) => `${String(index + 1).padStart(width, ' ')}. ${code}`)
+    ];
+  }
+
+  /**
+   * Download the set as a text file
+   */
+  exportCodes() {
+    if (this.codes.length === 0 || this.isStale) return;
+
+    const slug = this.label.trim().replace(/[^\w.-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40) || 'codes';
+    downloadTextFile(`recovery-codes-${slug}.txt`, `${this.getExportLines().join('\r\n')}\r\n`);
+    toast.warning(t('password.recoveryCodes.toasts.exported'));
+  }
+
+  /**
+   * Print the set
+   */
+  printCodes() {
+    if (this.codes.length === 0 || this.isStale) return;
+
+    const [heading, ...lines] = this.getExportLines();
+    try {
+      printLines(heading, lines);
+    } catch (error) {
+      logger.error('[RecoveryCodesOutput] Failed to print recovery codes:', error);
+      toast.error(t('password.recoveryCodes.toasts.printFailed'));
+    }
+  }
+}
@@ -0,0 +1,322 @@
+/**
+ * SecureDisplay Component
+ *
+ * Optional display mode that draws the password onto a canvas instead of
+ * writing it into the output textarea, so it is not part of any form
+ * control value, DOM text or snapshot that extensions and autofill read.
+ * The generator drops the password after a copy or a timeout. JavaScript
+ * strings cannot be overwritten, so clearing removes every reference the
+ * app holds and leaves the memory to the garbage collector.
+ *
+ * @author NuwaX
+ */
+import { logger } from '../utils/logger.js';
+import { t } from '../utils/i18n.js';
+
+const STORAGE_KEY = 'nuwault-secure-display';
+
+/**
+ * Selectable times in seconds after which a shown password is cleared
+ */
+const CLEAR_OPTIONS = [30, 60, 120, 300];
+
+/**
+ * Default secure display settings
+ */
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  clearSeconds: 60
+};
+
+/**
+ * SecureDisplay Class
+ *
+ * Secure display with:
+ * - On/off switch and clear timeout, remembered between visits
+ * - Canvas rendering that follows the output field's font, color and width
+ * - Cleared notice with a button to generate the password again
+ */
+export class SecureDisplay {
+  /**
+   * Initialize SecureDisplay with configuration options
+   *
+   * @param {Object} options - Configuration options
+   * @param {Function} options.onToggle - Called when secure display is turned on or off
+   * @param {Function} options.onExpire - Called when the clear timeout ends
+   * @param {Function} options.onRegenerate - Called when the cleared password is requested again
+   */
+  constructor(options = {}) {
+    this.onToggle = options.onToggle || (() => {});
+    this.onExpire = options.onExpire || (() => {});
+    this.onRegenerate = options.onRegenerate || (() => {});
+
+    this.container = null;
+    this.settings = this.loadSettings();
+    this.text = '';
+    this.lastWidth = 0;
+    this.clearTimeout = null;
+    this.resizeObserver = null;
+    this.themeObserver = null;
+  }
+
+  /**
+   * Load secure display settings from localStorage
+   *
+   * @returns {Object} Saved settings merged over the defaults
+   */
+  loadSettings() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+      return {
+        enabled: typeof saved.enabled === 'boolean' ? saved.enabled : DEFAULT_SETTINGS.enabled,
+        clearSeconds: CLEAR_OPTIONS.includes(saved.clearSeconds) ? saved.clearSeconds : DEFAULT_SETTINGS.clearSeconds
+      };
+    } catch (error) {
+      logger.warn('[SecureDisplay] Failed to load settings:', error);
+      return { ...DEFAULT_SETTINGS };
+    }
+  }
+
+  /**
+   * Save secure display settings to localStorage
+   */
+  saveSettings() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.settings));
+    } catch (error) {
+      logger.warn('[SecureDisplay] Failed to save settings:', error);
+    }
+  }
+
+  /**
+   * Check whether secure display is on
+   *
+   * @returns {boolean} True when the password is drawn on the canvas
+   */
+  isEnabled() {
+    return this.settings.enabled;
+  }
+
+  /**
+   * Generate HTML for the canvas and the cleared notice, shown in place of
+   * the output textarea
+   *
+   * @returns {string} HTML string for the secure display
+   */
+  renderSecureDisplayCanvas() {
+    return `
+      <div id="secure-display" class="hidden input-field font-mono password-output-field">
+        <canvas id="secure-display-canvas" class="block w-full" role="img"
+                aria-label="${t('password.secureDisplay.canvasLabel')}"></canvas>
+      </div>
+      <div id="secure-display-cleared" class="hidden mt-2">
+        <div class="flex flex-wrap items-center gap-2 text-sm text-gray-600 dark:text-gray-400">
+          <span>${t('password.secureDisplay.cleared')}</span>
+          <button type="button" id="secure-display-regenerate" class="btn-secondary text-xs py-1 cursor-pointer">
+            ${t('password.secureDisplay.showAgain')}
+          </button>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Generate HTML for the secure display options
+   *
+   * @returns {string} HTML string for the options
+   */
+  renderSecureDisplayOptions() {
+    return `
+      <label class="flex items-center space-x-2 cursor-pointer" title="${t('password.secureDisplay.hint')}">
+        <input type="checkbox" id="secure-display-enabled" ${this.settings.enabled ? 'checked' : ''}
+               class="w-4 h-4 text-primary-600 bg-gray-100 border-gray-300 rounded focus:ring-primary-500 dark:focus:ring-primary-600 dark:ring-offset-gray-800 focus:ring-2 dark:bg-gray-700 dark:border-gray-600">
+        <span class="text-gray-700 dark:text-gray-300">${t('password.secureDisplay.title')}</span>
+      </label>
+      <label class="flex items-center gap-2">
+        <span class="text-gray-700 dark:text-gray-300">${t('password.secureDisplay.clearAfter')}</span>
+        <select id="secure-display-clear-seconds" class="select-field !w-auto" ${this.settings.enabled ? '' : 'disabled'}>
+          ${CLEAR_OPTIONS.map(seconds => `
+            <option value="${seconds}" ${seconds === this.settings.clearSeconds ? 'selected' : ''}>
+              ${t('password.secureDisplay.seconds', { seconds })}
+            </option>
+          `).join('')}
+        </select>
+      </label>
+    `;
+  }
+
+  /**
+   * Bind event listeners once the generator markup is in the DOM
+   *
+   * @param {HTMLElement} container - Element containing the rendered display and options
+   */
+  attach(container) {
+    this.container = container;
+
+    container.querySelector('#secure-display-enabled').addEventListener('change', (e) => {
+      this.settings.enabled = e.target.checked;
+      container.querySelector('#secure-display-clear-seconds').disabled = !this.settings.enabled;
+      this.saveSettings();
+      if (!this.settings.enabled) {
+        this.show('');
+        this.setCleared(false);
+      }
+      this.onToggle();
+    });
+
+    container.querySelector('#secure-display-clear-seconds').addEventListener('change', (e) => {
+      this.settings.clearSeconds = parseInt(e.target.value, 10);
+      this.saveSettings();
+      if (this.clearTimeout) {
+        this.startClearTimer();
+      }
+    });
+
+    container.querySelector('#secure-display-regenerate').addEventListener('click', () => {
+      this.setCleared(false);
+      this.onRegenerate();
+    });
+
+    const display = container.querySelector('#secure-display');
+    this.resizeObserver = new ResizeObserver(() => {
+      if (!this.isConnected()) return;
+      // Drawing changes the height only, so redraw on width changes alone
+      if (this.text && display.clientWidth !== this.lastWidth) {
+        this.draw();
+      }
+    });
+    this.resizeObserver.observe(display);
+
+    // The text color follows the theme; the field fades its color, so the
+    // end of that transition is drawn again as well
+    this.themeObserver = new MutationObserver(() => {
+      if (this.isConnected() && this.text) {
+        this.draw();
+      }
+    });
+    this.themeObserver.observe(document.documentElement, { attributes: true, attributeFilter: ['class'] });
+    display.addEventListener('transitionend', (e) => {
+      if (e.propertyName === 'color' && this.text) {
+        this.draw();
+      }
+    });
+  }
+
+  /**
+   * Check whether the rendered display is still in the document. A display
+   * replaced by a re-render (e.g. after a language change) stops observing.
+   *
+   * @returns {boolean} True while the display is in the document
+   */
+  isConnected() {
+    if (this.container?.isConnected) {
+      return true;
+    }
+    this.resizeObserver?.disconnect();
+    this.themeObserver?.disconnect();
+    clearTimeout(this.clearTimeout);
+    return false;
+  }
+
+  /**
+   * Show text on the canvas, or remove it with '' (which also stops the
+   * clear timer)
+   *
+   * @param {string} text - Text to draw, already masked when needed
+   */
+  show(text) {
+    const display = this.container?.querySelector('#secure-display');
+    if (!display) return;
+
+    this.text = text || '';
+    display.classList.toggle('hidden', !this.text);
+    if (this.text) {
+      this.draw();
+      return;
+    }
+
+    clearTimeout(this.clearTimeout);
+    this.clearTimeout = null;
+    const canvas = display.querySelector('#secure-display-canvas');
+    canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+    // Resizing drops the backing store as well
+    canvas.width = 0;
+    canvas.height = 0;
+    canvas.style.height = '';
+  }
+
+  /**
+   * Draw the current text, wrapped to the display width
+   */
+  draw() {
+    const display = this.container?.querySelector('#secure-display');
+    const canvas = display?.querySelector('#secure-display-canvas');
+    if (!canvas) return;
+
+    const style = window.getComputedStyle(display);
+    const font = `${style.fontWeight} ${style.fontSize} ${style.fontFamily}`;
+    const fontSize = parseFloat(style.fontSize) || 16;
+    const lineHeight = parseFloat(style.lineHeight) || fontSize * 1.5;
+    const width = display.clientWidth - (parseFloat(style.paddingLeft) || 0) - (parseFloat(style.paddingRight) || 0);
+    const ratio = window.devicePixelRatio || 1;
+    const context = canvas.getContext('2d');
+
+    // Wrap by code points like the textarea does for unbroken text
+    context.font = font;
+    const lines = [''];
+    Array.from(this.text).forEach(char => {
+      const line = lines[lines.length - 1];
+      if (line && context.measureText(line + char).width > width) {
+        lines.push(char);
+      } else {
+        lines[lines.length - 1] = line + char;
+      }
+    });
+
+    const height = lines.length * lineHeight;
+    this.lastWidth = display.clientWidth;
+    canvas.style.height = `${height}px`;
+    canvas.width = Math.max(1, Math.round(width * ratio));
+    canvas.height = Math.max(1, Math.round(height * ratio));
+
+    // Resizing the canvas resets the context state
+    context.scale(ratio, ratio);
+    context.font = font;
+    context.fillStyle = style.color;
+    context.textBaseline = 'middle';
+    lines.forEach((line, index) => {
+      context.fillText(line, 0, index * lineHeight + lineHeight / 2);
+    });
+  }
+
+  /**
+   * Start (or restart) the timer that clears the shown password
+   */
+  startClearTimer() {
+    clearTimeout(this.clearTimeout);
+    this.clearTimeout = setTimeout(() => {
+      this.clearTimeout = null;
+      if (this.isConnected()) {
+        this.onExpire();
+      }
+    }, this.settings.clearSeconds * 1000);
+  }
+
+  /**
+   * Show or hide the notice that the password was cleared
+   *
+   * @param {boolean} isCleared - True after the password was cleared
+   */
+  setCleared(isCleared) {
+    this.container?.querySelector('#secure-display-cleared')?.classList.toggle('hidden', !isCleared);
+  }
+
+  /**
+   * Mark the shown password as generated for older inputs
+   *
+   * @param {boolean} isStale - True while a newer result is pending
+   */
+  setStale(isStale) {
+    this.container?.querySelector('#secure-display')?.classList.toggle('password-output-stale', isStale);
+  }
+}
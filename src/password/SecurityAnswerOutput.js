@@ -0,0 +1,199 @@
+/**
+ * SecurityAnswerOutput Component
+ *
+ * Optional output of the generator card that answers a security question
+ * with made-up words derived from the keyword chips and the question text.
+ * The question and the answer are kept in memory only; nothing from this
+ * section is written to storage or the rendered markup.
+ *
+ * @author NuwaX
+ */
+import { ANSWER_STYLES, ANSWER_LIMITS, normalizeQuestion } from './securityAnswer.js';
+import { copyWithFeedback } from '../utils/clipboard.js';
+import { maskSecret } from '../utils/mask.js';
+import { t } from '../utils/i18n.js';
+
+/**
+ * SecurityAnswerOutput Class
+ *
+ * Security answer section with:
+ * - On/off switch, question field and answer style
+ * - Read-only answer with its own copy button and masking
+ */
+export class SecurityAnswerOutput {
+  /**
+   * Initialize SecurityAnswerOutput with configuration options
+   *
+   * @param {Object} options - Configuration options
+   * @param {Function} options.onChange - Called when the question or style changes
+   */
+  constructor(options = {}) {
+    this.onChange = options.onChange || (() => {});
+
+    this.container = null;
+    this.enabled = false;
+    this.style = ANSWER_STYLES.WORDS;
+    this.question = '';
+    this.mask = false;
+    this.answer = '';
+    this.isStale = false;
+  }
+
+  /**
+   * Settings to send with a generation job
+   *
+   * @returns {Object|null} { style, question }, or null when no answer should be generated
+   */
+  getRequest() {
+    if (!this.enabled || !normalizeQuestion(this.question)) {
+      return null;
+    }
+    return { style: this.style, question: this.question };
+  }
+
+  /**
+   * Generate HTML structure for the security answer section.
+   * The question is never part of the markup; attach() restores it.
+   *
+   * @returns {string} HTML string for the security answer section
+   */
+  renderSecurityAnswer() {
+    return `
+      <div id="security-answer-section" class="space-y-2 mt-4 pt-4 border-t border-gray-200 dark:border-gray-600/50">
+        <div class="flex flex-wrap justify-between items-center gap-3">
+          <label class="flex items-center space-x-2 cursor-pointer">
+            <input type="checkbox" id="security-answer-enabled" ${this.enabled ? 'checked' : ''}
+                   class="w-4 h-4 text-primary-600 bg-gray-100 border-gray-300 rounded focus:ring-primary-500 dark:focus:ring-primary-600 dark:ring-offset-gray-800 focus:ring-2 dark:bg-gray-700 dark:border-gray-600">
+            <span class="text-sm font-medium text-gray-800 dark:text-gray-300">${t('password.securityAnswer.title')}</span>
+          </label>
+          <select id="security-answer-style" class="select-field !w-auto" aria-label="${t('password.securityAnswer.style')}" ${this.enabled ? '' : 'disabled'}>
+            ${Object.values(ANSWER_STYLES).map(value => `
+              <option value="${value}" ${this.style === value ? 'selected' : ''}>${t(`password.securityAnswer.styles.${value}`)}</option>
+            `).join('')}
+          </select>
+        </div>
+        <div id="security-answer-body" class="${this.enabled ? '' : 'hidden'} space-y-2">
+          <input type="text"
+                 id="security-answer-question"
+                 class="input-field text-sm"
+                 maxlength="${ANSWER_LIMITS.questionLength}"
+                 placeholder="${t('password.securityAnswer.questionPlaceholder')}"
+                 aria-label="${t('password.securityAnswer.question')}"
+                 autocomplete="off"
+                 spellcheck="false">
+          <div class="flex gap-3 items-stretch">
+            <input type="text" id="security-answer-output" readonly
+                   class="input-field font-mono flex-1"
+                   aria-label="${t('password.securityAnswer.answer')}"
+                   placeholder="${t('password.securityAnswer.answerPlaceholder')}"
+                   autocomplete="off">
+            <button id="copy-security-answer"
+                    class="px-4 py-2 bg-primary-500 hover:bg-primary-400 dark:bg-primary-600 dark:hover:bg-primary-700 text-white rounded-md text-sm font-medium transition-all duration-200 shadow-sm flex items-center justify-center cursor-pointer whitespace-nowrap disabled:opacity-50 disabled:cursor-not-allowed"
+                    title="${t('password.securityAnswer.copy')}" disabled>
+              <svg class="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <rect x="9" y="9" width="13" height="13" rx="2" ry="2" stroke-width="2"></rect>
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 15H4a2 2 0 01-2-2V4a2 2 0 012-2h9a2 2 0 012 2v1"></path>
+              </svg>
+              ${t('password.securityAnswer.copy')}
+            </button>
+          </div>
+          <label class="flex items-center space-x-2 cursor-pointer text-sm">
+            <input type="checkbox" id="mask-security-answer" ${this.mask ? 'checked' : ''}
+                   class="w-4 h-4 text-primary-600 bg-gray-100 border-gray-300 rounded focus:ring-primary-500 dark:focus:ring-primary-600 dark:ring-offset-gray-800 focus:ring-2 dark:bg-gray-700 dark:border-gray-600">
+            <span class="text-gray-700 dark:text-gray-300">${t('password.securityAnswer.mask')}</span>
+          </label>
+          <p class="text-xs text-gray-500 dark:text-gray-400">${t('password.securityAnswer.hint')}</p>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Bind event listeners once the generator markup is in the DOM
+   *
+   * @param {HTMLElement} container - Element containing the rendered section
+   */
+  attach(container) {
+    this.container = container;
+
+    const questionInput = container.querySelector('#security-answer-question');
+    questionInput.value = this.question;
+
+    container.querySelector('#security-answer-enabled').addEventListener('change', (e) => {
+      this.enabled = e.target.checked;
+      container.querySelector('#security-answer-body').classList.toggle('hidden', !this.enabled);
+      container.querySelector('#security-answer-style').disabled = !this.enabled;
+      this.onChange();
+    });
+
+    container.querySelector('#security-answer-style').addEventListener('change', (e) => {
+      this.style = e.target.value;
+      this.onChange();
+    });
+
+    questionInput.addEventListener('input', () => {
+      const previous = normalizeQuestion(this.question);
+      this.question = questionInput.value;
+      // Edits that normalize to the same question keep the same answer
+      if (normalizeQuestion(this.question) !== previous) {
+        this.onChange();
+      }
+    });
+
+    container.querySelector('#mask-security-answer').addEventListener('change', (e) => {
+      this.mask = e.target.checked;
+      this.updateDisplay();
+    });
+
+    container.querySelector('#copy-security-answer').addEventListener('click', () => this.copyAnswer());
+
+    this.updateDisplay();
+  }
+
+  /**
+   * Show the answer of the latest generation result
+   *
+   * @param {string|null} answer - Generated answer, or null to clear the output
+   */
+  showAnswer(answer) {
+    this.answer = answer || '';
+    this.updateDisplay();
+  }
+
+  /**
+   * Mark the shown answer as generated for older inputs
+   *
+   * @param {boolean} isStale - True while a newer result is pending
+   */
+  setStale(isStale) {
+    this.isStale = isStale;
+    this.updateDisplay();
+  }
+
+  /**
+   * Reflect the answer, masking and stale state in the output and copy button
+   */
+  updateDisplay() {
+    const output = this.container?.querySelector('#security-answer-output');
+    const copyButton = this.container?.querySelector('#copy-security-answer');
+    if (!output || !copyButton) return;
+
+    output.value = this.mask ? maskSecret(this.answer) : this.answer;
+    output.classList.toggle('opacity-50', this.isStale && Boolean(this.answer));
+    copyButton.disabled = !this.answer || this.isStale;
+  }
+
+  /**
+   * Copy the answer to the clipboard
+   */
+  copyAnswer() {
+    const copyButton = this.container?.querySelector('#copy-security-answer');
+    if (!copyButton || copyButton.disabled) return;
+
+    copyWithFeedback(this.answer, copyButton, {
+      success: t('password.securityAnswer.toasts.copied'),
+      failure: t('password.securityAnswer.toasts.copyFailed'),
+      empty: t('password.securityAnswer.toasts.nothingToCopy')
+    });
+  }
+}
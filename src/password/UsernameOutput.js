@@ -0,0 +1,259 @@
+/**
+ * UsernameOutput Component
+ *
+ * Optional second output of the generator card: a username derived from
+ * the same keyword chips as the password. The generator produces it in the
+ * same job as the password; this component holds the style settings and
+ * shows, masks and copies the result.
+ *
+ * @author NuwaX
+ */
+import {
+  USERNAME_STYLES,
+  USERNAME_LIMITS,
+  DEFAULT_USERNAME_SETTINGS,
+  parseBaseEmail
+} from './username.js';
+import { copyWithFeedback } from '../utils/clipboard.js';
+import { maskSecret } from '../utils/mask.js';
+import { logger } from '../utils/logger.js';
+import { t } from '../utils/i18n.js';
+
+/**
+ * UsernameOutput Class
+ *
+ * Username section with:
+ * - On/off switch and style selection, remembered between visits
+ * - Base email field for plus-addressed aliases
+ * - Read-only output with its own copy button and masking
+ */
+export class UsernameOutput {
+  /**
+   * Initialize UsernameOutput with configuration options
+   *
+   * @param {Object} options - Configuration options
+   * @param {Function} options.onChange - Called when a setting that affects the username changes
+   */
+  constructor(options = {}) {
+    this.onChange = options.onChange || (() => {});
+
+    this.container = null;
+    this.settings = this.loadSettings();
+    this.username = '';
+    this.isStale = false;
+  }
+
+  /**
+   * Load username settings from localStorage
+   *
+   * @returns {Object} Saved settings merged over the defaults
+   */
+  loadSettings() {
+    const settings = { ...DEFAULT_USERNAME_SETTINGS };
+    try {
+      const saved = JSON.parse(localStorage.getItem('nuwault-username-settings') || 'null');
+      if (saved && typeof saved === 'object') {
+        if (typeof saved.enabled === 'boolean') settings.enabled = saved.enabled;
+        if (Object.values(USERNAME_STYLES).includes(saved.style)) settings.style = saved.style;
+        if (typeof saved.email === 'string') settings.email = saved.email.slice(0, USERNAME_LIMITS.emailLength);
+        if (typeof saved.mask === 'boolean') settings.mask = saved.mask;
+      }
+    } catch (error) {
+      logger.warn('[UsernameOutput] Failed to load username settings:', error);
+    }
+    return settings;
+  }
+
+  /**
+   * Save username settings to localStorage
+   */
+  saveSettings() {
+    try {
+      localStorage.setItem('nuwault-username-settings', JSON.stringify(this.settings));
+    } catch (error) {
+      logger.warn('[UsernameOutput] Failed to save username settings:', error);
+    }
+  }
+
+  /**
+   * Settings to send with a generation job
+   *
+   * @returns {Object|null} { style, email }, or null when no username should be generated
+   */
+  getRequest() {
+    const { enabled, style, email } = this.settings;
+    if (!enabled) {
+      return null;
+    }
+    if (style === USERNAME_STYLES.EMAIL) {
+      return parseBaseEmail(email) ? { style, email: email.trim() } : null;
+    }
+    return { style };
+  }
+
+  /**
+   * Generate HTML structure for the username section
+   *
+   * @returns {string} HTML string for the username section
+   */
+  renderUsernameOutput() {
+    const { enabled, style, email, mask } = this.settings;
+
+    return `
+      <div id="username-output-section" class="space-y-2 mt-4 pt-4 border-t border-gray-200 dark:border-gray-600/50">
+        <div class="flex flex-wrap justify-between items-center gap-3">
+          <label class="flex items-center space-x-2 cursor-pointer">
+            <input type="checkbox" id="username-enabled" ${enabled ? 'checked' : ''}
+                   class="w-4 h-4 text-primary-600 bg-gray-100 border-gray-300 rounded focus:ring-primary-500 dark:focus:ring-primary-600 dark:ring-offset-gray-800 focus:ring-2 dark:bg-gray-700 dark:border-gray-600">
+            <span class="text-sm font-medium text-gray-800 dark:text-gray-300">${t('password.username.title')}</span>
+          </label>
+          <select id="username-style" class="select-field !w-auto" aria-label="${t('password.username.style')}" ${enabled ? '' : 'disabled'}>
+            ${Object.values(USERNAME_STYLES).map(value => `
+              <option value="${value}" ${style === value ? 'selected' : ''}>${t(`password.username.styles.${value}`)}</option>
+            `).join('')}
+          </select>
+        </div>
+        <div id="username-body" class="${enabled ? '' : 'hidden'} space-y-2">
+          <div id="username-email-field" class="${style === USERNAME_STYLES.EMAIL ? '' : 'hidden'} space-y-1">
+            <input type="email"
+                   id="username-email"
+                   class="input-field text-sm"
+                   maxlength="${USERNAME_LIMITS.emailLength}"
+                   placeholder="${t('password.username.emailPlaceholder')}"
+                   autocomplete="off"
+                   spellcheck="false"
+                   aria-label="${t('password.username.emailLabel')}">
+            <p id="username-email-error" class="hidden text-xs text-red-600 dark:text-red-400">${t('password.username.emailInvalid')}</p>
+          </div>
+          <div class="flex gap-3 items-stretch">
+            <input type="text" id="username-output" readonly
+                   class="input-field font-mono flex-1"
+                   aria-label="${t('password.username.title')}"
+                   autocomplete="off">
+            <button id="copy-username"
+                    class="px-4 py-2 bg-primary-500 hover:bg-primary-400 dark:bg-primary-600 dark:hover:bg-primary-700 text-white rounded-md text-sm font-medium transition-all duration-200 shadow-sm flex items-center justify-center cursor-pointer whitespace-nowrap disabled:opacity-50 disabled:cursor-not-allowed"
+                    title="${t('password.username.copy')}" disabled>
+              <svg class="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <rect x="9" y="9" width="13" height="13" rx="2" ry="2" stroke-width="2"></rect>
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 15H4a2 2 0 01-2-2V4a2 2 0 012-2h9a2 2 0 012 2v1"></path>
+              </svg>
+              ${t('password.username.copy')}
+            </button>
+          </div>
+          <label class="flex items-center space-x-2 cursor-pointer text-sm">
+            <input type="checkbox" id="mask-username" ${mask ? 'checked' : ''}
+                   class="w-4 h-4 text-primary-600 bg-gray-100 border-gray-300 rounded focus:ring-primary-500 dark:focus:ring-primary-600 dark:ring-offset-gray-800 focus:ring-2 dark:bg-gray-700 dark:border-gray-600">
+            <span class="text-gray-700 dark:text-gray-300">${t('password.username.mask')}</span>
+          </label>
+          <p class="text-xs text-gray-500 dark:text-gray-400">${t('password.username.hint')}</p>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Bind event listeners once the generator markup is in the DOM
+   *
+   * @param {HTMLElement} container - Element containing the rendered section
+   */
+  attach(container) {
+    this.container = container;
+
+    // The address is user text, so it is set as a value instead of being interpolated into markup
+    const emailInput = container.querySelector('#username-email');
+    emailInput.value = this.settings.email;
+
+    container.querySelector('#username-enabled').addEventListener('change', (e) => {
+      this.settings.enabled = e.target.checked;
+      this.saveSettings();
+      container.querySelector('#username-body').classList.toggle('hidden', !this.settings.enabled);
+      container.querySelector('#username-style').disabled = !this.settings.enabled;
+      this.updateEmailState();
+      this.onChange();
+    });
+
+    container.querySelector('#username-style').addEventListener('change', (e) => {
+      this.settings.style = e.target.value;
+      this.saveSettings();
+      container.querySelector('#username-email-field').classList.toggle('hidden', this.settings.style !== USERNAME_STYLES.EMAIL);
+      this.updateEmailState();
+      this.onChange();
+    });
+
+    emailInput.addEventListener('input', () => {
+      this.settings.email = emailInput.value;
+      this.saveSettings();
+      this.updateEmailState();
+      this.onChange();
+    });
+
+    container.querySelector('#mask-username').addEventListener('change', (e) => {
+      this.settings.mask = e.target.checked;
+      this.saveSettings();
+      this.updateDisplay();
+    });
+
+    container.querySelector('#copy-username').addEventListener('click', () => this.copyUsername());
+
+    this.updateEmailState();
+  }
+
+  /**
+   * Flag a base email address that cannot be used for aliases
+   */
+  updateEmailState() {
+    const error = this.container?.querySelector('#username-email-error');
+    if (!error) return;
+
+    const { style, email } = this.settings;
+    const isInvalid = style === USERNAME_STYLES.EMAIL && email.trim() !== '' && !parseBaseEmail(email);
+    error.classList.toggle('hidden', !isInvalid);
+  }
+
+  /**
+   * Show the username of the latest generation result
+   *
+   * @param {string|null} username - Generated username, or null to clear the output
+   */
+  showUsername(username) {
+    this.username = username || '';
+    this.updateDisplay();
+  }
+
+  /**
+   * Mark the shown username as generated for older inputs
+   *
+   * @param {boolean} isStale - True while a newer result is pending
+   */
+  setStale(isStale) {
+    this.isStale = isStale;
+    this.updateDisplay();
+  }
+
+  /**
+   * Reflect the username, masking and stale state in the output and copy button
+   */
+  updateDisplay() {
+    const output = this.container?.querySelector('#username-output');
+    const copyButton = this.container?.querySelector('#copy-username');
+    if (!output || !copyButton) return;
+
+    output.value = this.settings.mask ? maskSecret(this.username) : this.username;
+    output.classList.toggle('opacity-50', this.isStale && Boolean(this.username));
+    copyButton.disabled = !this.username || this.isStale;
+  }
+
+  /**
+   * Copy the username to the clipboard
+   */
+  copyUsername() {
+    const copyButton = this.container?.querySelector('#copy-username');
+    if (!copyButton || copyButton.disabled) return;
+
+    copyWithFeedback(this.username, copyButton, {
+      success: t('password.username.toasts.copied'),
+      failure: t('password.username.toasts.copyFailed'),
+      empty: t('password.username.toasts.nothingToCopy')
+    });
+  }
+}
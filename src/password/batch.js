@@ -0,0 +1,320 @@
+/**
+ * @fileoverview Batch Generation Helpers
+ * Parses site lists for batch generation, derives the options for each row
+ * and serializes results for export. A row is generated from the shared
+ * keyword chips followed by its label as one more keyword, through the same
+ * pipeline as the single generator, so entering the label as the last chip
+ * (with the same overrides) reproduces the row's password exactly.
+ * @author NuwaX
+ */
+
+import { SECURITY_CONFIG } from '../utils/config.js';
+import { applyGenerationSettings } from './generationSettings.js';
+
+/**
+ * Size limits for batch input
+ */
+export const BATCH_LIMITS = {
+  maxRows: 200,
+  labelLength: 128
+};
+
+/**
+ * Letters used in the classes column and the option each one enables
+ */
+export const BATCH_CLASS_FLAGS = {
+  U: 'includeUppercase',
+  L: 'includeLowercase',
+  N: 'includeNumbers',
+  S: 'includeSymbols'
+};
+
+/**
+ * Leading characters that make spreadsheets evaluate a cell as a formula
+ */
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Parse a classes override such as "ULN"
+ *
+ * @param {string} value - Class letters, case-insensitive
+ * @returns {Object|null} Include flags for all four classes, or null when invalid
+ */
+const parseClassOverride = (value) => {
+  const letters = String(value).toUpperCase().replace(/\s+/g, '');
+  if (!letters || Array.from(letters).some(letter => !BATCH_CLASS_FLAGS[letter])) {
+    return null;
+  }
+
+  const flags = {};
+  Object.entries(BATCH_CLASS_FLAGS).forEach(([letter, key]) => {
+    flags[key] = letters.includes(letter);
+  });
+  return flags;
+};
+
+/**
+ * Format the classes enabled in a set of options as letters, e.g. "ULNS"
+ *
+ * @param {Object} options - Generator options
+ * @returns {string} Class letters
+ */
+export const formatClasses = (options) => {
+  return Object.entries(BATCH_CLASS_FLAGS)
+    .filter(([, key]) => options[key])
+    .map(([letter]) => letter)
+    .join('');
+};
+
+/**
+ * Validate one row given as label, length and classes
+ *
+ * @param {*} label - Site label
+ * @param {*} length - Optional length override
+ * @param {*} classes - Optional classes override
+ * @returns {Object} { row } or { error } with an error code
+ */
+const parseRow = (label, length, classes) => {
+  const row = { label: String(label ?? '').trim() };
+
+  if (!row.label) {
+    return { error: 'missingLabel' };
+  }
+  if (row.label.length > BATCH_LIMITS.labelLength) {
+    return { error: 'labelTooLong' };
+  }
+
+  if (length !== undefined && length !== null && String(length).trim() !== '') {
+    const parsed = Number(String(length).trim());
+    if (!Number.isInteger(parsed) ||
+        parsed < SECURITY_CONFIG.minPasswordLength ||
+        parsed > SECURITY_CONFIG.maxPasswordLength) {
+      return { error: 'invalidLength' };
+    }
+    row.length = parsed;
+  }
+
+  if (classes !== undefined && classes !== null && String(classes).trim() !== '') {
+    const flags = parseClassOverride(classes);
+    if (!flags) {
+      return { error: 'invalidClasses' };
+    }
+    row.classes = flags;
+  }
+
+  return { row };
+};
+
+/**
+ * Parse a JSON batch: an array of labels or of { label, length, classes }
+ * objects, or an exported file with such an array under "rows"
+ *
+ * @param {string} text - JSON text
+ * @returns {Array|null} Raw entries, or null when the JSON is invalid
+ */
+const parseJsonEntries = (text) => {
+  try {
+    const data = JSON.parse(text);
+    const entries = Array.isArray(data) ? data : data?.rows;
+    if (!Array.isArray(entries)) {
+      return null;
+    }
+    return entries.map(entry => (
+      typeof entry === 'string'
+        ? [entry]
+        : [entry?.label, entry?.length, entry?.classes]
+    ));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Split one line into fields. Commas, semicolons and tabs separate fields;
+ * double quoted fields may contain separators and "" for a quote.
+ *
+ * @param {string} line - Input line
+ * @returns {string[]} Trimmed fields
+ */
+const splitFields = (line) => {
+  const fields = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && !field.trim()) {
+      field = '';
+      inQuotes = true;
+    } else if (char === ',' || char === ';' || char === '\t') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+
+  return fields;
+};
+
+/**
+ * Parse a plain text or CSV batch with one "label, length, classes" row per
+ * line. Tabs and semicolons work as separators too; blank lines, "#"
+ * comments and a leading "label" header are skipped, and extra columns
+ * (such as the password column of an export) are ignored. The apostrophe
+ * an export puts before a label starting with a formula character is
+ * removed again.
+ *
+ * @param {string} text - Pasted or imported text
+ * @returns {Array} Raw entries with their line numbers
+ */
+const parseTextEntries = (text) => {
+  const entries = [];
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) {
+      return;
+    }
+
+    const fields = splitFields(trimmed);
+    if (fields[0].startsWith('\'') && CSV_FORMULA_PREFIX.test(fields[0].slice(1))) {
+      fields[0] = fields[0].slice(1);
+    }
+    if (entries.length === 0 && fields[0].toLowerCase() === 'label') {
+      return;
+    }
+    entries.push({ line: index + 1, fields });
+  });
+
+  return entries;
+};
+
+/**
+ * Parse batch input into rows
+ *
+ * @param {string} text - Pasted or imported list (text, CSV or JSON)
+ * @returns {Object} { rows, errors } where errors hold { line, code }
+ */
+export const parseBatchInput = (text) => {
+  const source = String(text ?? '').trim();
+  const rows = [];
+  const errors = [];
+
+  if (!source) {
+    return { rows, errors };
+  }
+
+  let entries;
+  if (source.startsWith('[') || source.startsWith('{')) {
+    const jsonEntries = parseJsonEntries(source);
+    if (!jsonEntries) {
+      return { rows, errors: [{ line: 1, code: 'invalidJson' }] };
+    }
+    entries = jsonEntries.map((fields, index) => ({ line: index + 1, fields }));
+  } else {
+    entries = parseTextEntries(source);
+  }
+
+  const labels = new Set();
+  entries.forEach(({ line, fields }) => {
+    const { row, error } = parseRow(fields[0], fields[1], fields[2]);
+
+    if (error) {
+      errors.push({ line, code: error });
+    } else if (labels.has(row.label)) {
+      errors.push({ line, code: 'duplicateLabel' });
+    } else if (rows.length >= BATCH_LIMITS.maxRows) {
+      errors.push({ line, code: 'tooManyRows' });
+    } else {
+      labels.add(row.label);
+      rows.push(row);
+    }
+  });
+
+  return { rows, errors };
+};
+
+/**
+ * Build the options for one row: the current options with the row's
+ * overrides applied
+ *
+ * @param {Object} options - Current generator options
+ * @param {Object} row - Parsed row
+ * @returns {Object} Options for the row
+ */
+export const buildRowOptions = (options, row) => {
+  return applyGenerationSettings({ ...options }, {
+    ...(row.length !== undefined ? { length: row.length } : {}),
+    ...(row.classes || {})
+  });
+};
+
+/**
+ * Build the keywords for one row: the shared chips followed by the label
+ *
+ * @param {string[]} keywords - Shared keyword chips
+ * @param {Object} row - Parsed row
+ * @returns {string[]} Keywords for the row
+ */
+export const buildRowKeywords = (keywords, row) => [...keywords, row.label];
+
+/**
+ * Quote a CSV field
+ * @param {*} value - Field value
+ * @returns {string} Quoted field
+ */
+const toCsvField = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+
+/**
+ * Quote a label for CSV. A label starting with a formula character gets a
+ * leading apostrophe so spreadsheets show it as text instead of evaluating
+ * it; importing the file strips it again.
+ *
+ * @param {string} label - Row label
+ * @returns {string} Quoted field
+ */
+const toCsvLabel = (label) => toCsvField(CSV_FORMULA_PREFIX.test(label) ? `'${label}` : label);
+
+/**
+ * Serialize batch results as CSV. The first three columns use the input
+ * format, so an export can be imported again. Passwords are written as
+ * they are, so a spreadsheet may still evaluate one that starts with "=",
+ * "+", "-" or "@"; the JSON export is the exact one.
+ *
+ * @param {Array} results - Results with label, length, classes and password
+ * @returns {string} CSV text
+ */
+export const toBatchCsv = (results) => {
+  const lines = [['label', 'length', 'classes', 'password'].join(',')];
+  results.forEach(result => {
+    lines.push([
+      toCsvLabel(result.label),
+      ...[result.length, result.classes, result.password].map(toCsvField)
+    ].join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Serialize batch results as JSON
+ *
+ * @param {Array} results - Results with label, length, classes and password
+ * @returns {string} JSON text
+ */
+export const toBatchJson = (results) => {
+  return JSON.stringify({
+    version: 1,
+    rows: results.map(({ label, length, classes, password }) => ({ label, length, classes, password }))
+  }, null, 2);
+};
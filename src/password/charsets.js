@@ -0,0 +1,214 @@
+/**
+ * @fileoverview Runtime Character Sets
+ * Resolves the character classes a password may use from the generator
+ * options (per-class allowed characters, the symbols a site accepts,
+ * ambiguous-character exclusion and minimum counts), validates generated
+ * passwords against them and provides the deterministic engine used when
+ * the sets differ from the defaults.
+ * @author NuwaX
+ */
+
+import { CHARACTER_SETS, SECURITY_CONFIG } from '../utils/config.js';
+import { createDeterministicRandom, MAX_ENTROPY_BYTES } from './entropy.js';
+
+/**
+ * Characters that are easily confused with each other (0/O, 1/l/I)
+ */
+export const AMBIGUOUS_CHARACTERS = '0O1lI';
+
+/**
+ * Size limits for the editable sets and minimum counts
+ */
+export const CHARSET_LIMITS = {
+  maxCharacters: 128,
+  maxMinimum: 32
+};
+
+/**
+ * Character classes in generation order. Each class maps the option keys
+ * that toggle it, hold its allowed characters and its minimum count.
+ */
+export const CHARACTER_CLASSES = [
+  { key: 'uppercase', includeKey: 'includeUppercase', charsKey: 'uppercaseChars', minKey: 'minUppercase', defaultChars: CHARACTER_SETS.UPPERCASE },
+  { key: 'lowercase', includeKey: 'includeLowercase', charsKey: 'lowercaseChars', minKey: 'minLowercase', defaultChars: CHARACTER_SETS.LOWERCASE },
+  { key: 'numbers', includeKey: 'includeNumbers', charsKey: 'numberChars', minKey: 'minNumbers', defaultChars: CHARACTER_SETS.NUMBERS },
+  { key: 'symbols', includeKey: 'includeSymbols', charsKey: 'symbols', minKey: 'minSymbols', defaultChars: CHARACTER_SETS.SYMBOLS }
+];
+
+/**
+ * Default character set settings
+ */
+export const DEFAULT_CHARSET_SETTINGS = {
+  uppercaseChars: CHARACTER_SETS.UPPERCASE,
+  lowercaseChars: CHARACTER_SETS.LOWERCASE,
+  numberChars: CHARACTER_SETS.NUMBERS,
+  symbols: CHARACTER_SETS.SYMBOLS,
+  siteSymbols: '',
+  excludeAmbiguous: false,
+  minUppercase: 1,
+  minLowercase: 1,
+  minNumbers: 1,
+  minSymbols: 1
+};
+
+/**
+ * Bytes of derived entropy per password: one pick per position plus the
+ * final shuffle at maxPasswordLength, doubled for rejection sampling. HKDF
+ * output prefixes do not depend on the length, so a larger maximum keeps
+ * existing passwords.
+ */
+const CHARSET_ENTROPY_BYTES = Math.min(SECURITY_CONFIG.maxPasswordLength * 16, MAX_ENTROPY_BYTES);
+
+/**
+ * Clean up user supplied characters: drop whitespace and control characters,
+ * remove duplicates and cap the set size
+ *
+ * @param {string} chars - Raw characters
+ * @returns {string} Sanitized character set
+ */
+export const sanitizeCharacterSet = (chars) => {
+  const seen = new Set();
+  Array.from(String(chars ?? '')).forEach(char => {
+    if (!/\s/.test(char) && char.charCodeAt(0) >= 32 && char !== '\u007f') {
+      seen.add(char);
+    }
+  });
+  return Array.from(seen).slice(0, CHARSET_LIMITS.maxCharacters).join('');
+};
+
+/**
+ * Resolve the allowed characters of one class, whether or not it is enabled.
+ * A non-empty siteSymbols list narrows the symbol set to the symbols in both.
+ *
+ * @param {Object} options - Generator options
+ * @param {Object} charClass - Entry of CHARACTER_CLASSES
+ * @returns {string[]} Allowed characters, possibly none
+ */
+export const resolveClassCharacters = (options, charClass) => {
+  let chars = Array.from(sanitizeCharacterSet(options[charClass.charsKey] ?? charClass.defaultChars));
+  if (charClass.key === 'symbols' && options.siteSymbols) {
+    const accepted = sanitizeCharacterSet(options.siteSymbols);
+    chars = chars.filter(char => accepted.includes(char));
+  }
+  return options.excludeAmbiguous ? chars.filter(char => !AMBIGUOUS_CHARACTERS.includes(char)) : chars;
+};
+
+/**
+ * Resolve the enabled character classes for a set of generator options
+ *
+ * @param {Object} options - Generator options
+ * @returns {Object} { sets: Array<{key, chars: string[], min}>, error: Object|null }
+ */
+export const getActiveCharacterSets = (options) => {
+  const sets = [];
+
+  for (const charClass of CHARACTER_CLASSES) {
+    if (!options[charClass.includeKey]) continue;
+
+    const chars = resolveClassCharacters(options, charClass);
+    if (chars.length === 0) {
+      return { sets: [], error: { code: 'emptySet', charClass: charClass.key } };
+    }
+
+    const min = Math.max(0, parseInt(options[charClass.minKey] ?? 1, 10) || 0);
+    sets.push({ key: charClass.key, chars, min });
+  }
+
+  if (sets.length === 0) {
+    return { sets, error: { code: 'noClasses' } };
+  }
+
+  return { sets, error: null };
+};
+
+/**
+ * Resolve the active sets and check that a password of the configured length
+ * can satisfy every minimum count. Errors carry a translation code so the UI
+ * can explain why nothing was generated.
+ *
+ * @param {Object} options - Generator options
+ * @returns {Object} { sets, required, error: Object|null }
+ */
+export const checkCharacterSetRequirements = (options) => {
+  const { sets, error } = getActiveCharacterSets(options);
+  const required = sets.reduce((total, set) => total + set.min, 0);
+
+  if (!error && required > options.length) {
+    return { sets, required, error: { code: 'minimumsExceedLength', required, length: options.length } };
+  }
+  return { sets, required, error };
+};
+
+/**
+ * Check whether the options still match what the core library generates,
+ * i.e. default characters, no site symbol list, no ambiguous exclusion and
+ * at most one required character per class
+ *
+ * @param {Object} options - Generator options
+ * @returns {boolean} True when custom character sets are in use
+ */
+export const usesCustomCharacterSets = (options) => {
+  if (options.excludeAmbiguous || options.siteSymbols) return true;
+
+  return CHARACTER_CLASSES.some(charClass => {
+    const chars = options[charClass.charsKey];
+    const min = options[charClass.minKey];
+    return (chars !== undefined && chars !== charClass.defaultChars) ||
+           (min !== undefined && min > 1);
+  });
+};
+
+/**
+ * Count how many characters of a password fall into each active class and
+ * report the classes that do not reach their minimum
+ *
+ * @param {string} password - Generated password
+ * @param {Array} sets - Active character sets
+ * @returns {string[]} Keys of the classes below their minimum count
+ */
+export const findUnmetClasses = (password, sets) => {
+  const characters = Array.from(password);
+  return sets
+    .filter(set => characters.filter(char => set.chars.includes(char)).length < set.min)
+    .map(set => set.key);
+};
+
+/**
+ * Generate a deterministic password from custom character sets.
+ * Each class contributes its minimum count first, the remaining positions
+ * are drawn from the union of all sets and the result is shuffled.
+ *
+ * @param {string[]} keywords - Keywords in generation order
+ * @param {string} salt - Salt (master salt mixed with the rotation counter)
+ * @param {Object} options - Generator options
+ * @returns {Promise<string>} Generated password
+ */
+export const generateFromCharacterSets = async (keywords, salt, options) => {
+  const { sets, error } = checkCharacterSetRequirements(options);
+  if (error) {
+    throw new Error(`Unsatisfiable character set requirements: ${error.code}`);
+  }
+
+  // The sets are part of the label so every distinct configuration gets its own stream
+  const description = sets.map(set => `${set.key}:${set.min}:${set.chars.join('')}`).join('|');
+  const random = await createDeterministicRandom(
+    keywords,
+    salt,
+    `nuwault:charset:v1:${description}`,
+    CHARSET_ENTROPY_BYTES
+  );
+
+  const characters = [];
+  sets.forEach(set => {
+    for (let i = 0; i < set.min; i++) {
+      characters.push(random.pick(set.chars));
+    }
+  });
+
+  const pool = Array.from(new Set(sets.flatMap(set => set.chars)));
+  while (characters.length < options.length) {
+    characters.push(random.pick(pool));
+  }
+
+  return random.shuffle(characters).join('');
+};
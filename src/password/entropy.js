@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Deterministic Entropy Source
+ * Derives reproducible pseudo-random bytes from keywords with HKDF-SHA-512
+ * (Web Crypto API) and exposes unbiased integer sampling on top of them.
+ * Each consumer passes its own domain-separation label, so outputs derived
+ * for different purposes never share bytes.
+ * @author NuwaX
+ */
+
+const encoder = new TextEncoder();
+
+/**
+ * Most bytes HKDF-SHA-512 can derive (255 blocks of 64 bytes)
+ */
+export const MAX_ENTROPY_BYTES = 16320;
+
+/**
+ * Derive deterministic bytes for a keyword set
+ *
+ * @param {string[]} keywords - Keywords in generation order
+ * @param {string} salt - Salt (master salt mixed with the rotation counter)
+ * @param {string} label - Domain-separation label identifying the consumer
+ * @param {number} byteLength - Number of bytes to derive (at most MAX_ENTROPY_BYTES)
+ * @returns {Promise<Uint8Array>} Derived bytes
+ */
+export const deriveEntropyBytes = async (keywords, salt, label, byteLength) => {
+  const keyMaterial = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(JSON.stringify(keywords)),
+    'HKDF',
+    false,
+    ['deriveBits']
+  );
+
+  const bits = await crypto.subtle.deriveBits(
+    {
+      name: 'HKDF',
+      hash: 'SHA-512',
+      salt: encoder.encode(salt),
+      info: encoder.encode(label)
+    },
+    keyMaterial,
+    byteLength * 8
+  );
+
+  return new Uint8Array(bits);
+};
+
+/**
+ * DeterministicRandom class
+ * Consumes a fixed byte buffer as a stream of unbiased random integers.
+ * Throws instead of wrapping around when the buffer is exhausted, so a
+ * caller that under-allocates fails loudly rather than repeating output.
+ */
+export class DeterministicRandom {
+  /**
+   * @param {Uint8Array} bytes - Derived entropy bytes
+   */
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.offset = 0;
+  }
+
+  /**
+   * Read the next 32-bit unsigned integer
+   * @returns {number} Integer in [0, 2^32)
+   */
+  nextUint32() {
+    if (this.offset + 4 > this.bytes.length) {
+      throw new Error('Deterministic entropy exhausted');
+    }
+
+    const value = ((this.bytes[this.offset] << 24) |
+                   (this.bytes[this.offset + 1] << 16) |
+                   (this.bytes[this.offset + 2] << 8) |
+                   this.bytes[this.offset + 3]) >>> 0;
+    this.offset += 4;
+    return value;
+  }
+
+  /**
+   * Uniform integer in [0, max) using rejection sampling to avoid modulo bias
+   * @param {number} max - Exclusive upper bound (1..2^32)
+   * @returns {number} Sampled integer
+   */
+  nextInt(max) {
+    if (!Number.isInteger(max) || max <= 0) {
+      throw new Error(`Invalid range: ${max}`);
+    }
+
+    const range = 0x100000000;
+    const limit = range - (range % max);
+    let value = this.nextUint32();
+    while (value >= limit) {
+      value = this.nextUint32();
+    }
+    return value % max;
+  }
+
+  /**
+   * Pick one element of an array or string
+   * @param {Array|string} items - Candidates
+   * @returns {*} Selected element
+   */
+  pick(items) {
+    return items[this.nextInt(items.length)];
+  }
+
+  /**
+   * Fisher-Yates shuffle in place
+   * @param {Array} items - Array to shuffle
+   * @returns {Array} The same array, shuffled
+   */
+  shuffle(items) {
+    for (let i = items.length - 1; i > 0; i--) {
+      const j = this.nextInt(i + 1);
+      [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+  }
+}
+
+/**
+ * Derive bytes and wrap them in a DeterministicRandom instance
+ *
+ * @param {string[]} keywords - Keywords in generation order
+ * @param {string} salt - Salt (master salt mixed with the rotation counter)
+ * @param {string} label - Domain-separation label
+ * @param {number} byteLength - Number of bytes to derive
+ * @returns {Promise<DeterministicRandom>} Random stream
+ */
+export const createDeterministicRandom = async (keywords, salt, label, byteLength) => {
+  return new DeterministicRandom(await deriveEntropyBytes(keywords, salt, label, byteLength));
+};
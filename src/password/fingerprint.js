@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Keyword Fingerprint
+ * Small visual check (identicon plus a word pair) derived from the keyword
+ * set and generation settings, so a typo in masked keywords is noticed
+ * before the password is used. It comes from its own HKDF label, so it
+ * reveals nothing about the password, and carries only 24 bits, so it
+ * helps recognition without being a useful verifier for guessing keywords.
+ * @author NuwaX
+ */
+
+import { deriveEntropyBytes } from './entropy.js';
+import { pickGenerationSettings, ALGORITHM_VERSIONS } from './generationSettings.js';
+import { WORDLISTS } from './passphrase.js';
+
+/**
+ * Identicon grid size; columns are mirrored so only the left half is derived
+ */
+export const FINGERPRINT_GRID = 5;
+
+/**
+ * Number of derived bytes (two word indexes and one byte of pattern/color)
+ */
+const FINGERPRINT_BYTES = 3;
+
+/**
+ * Derive the fingerprint for prepared generation input.
+ * Uses the English wordlist regardless of UI language so the same inputs
+ * show the same words everywhere.
+ *
+ * @param {string[]} input - Keywords after normalization, master secret and key derivation
+ * @param {string} salt - Salt (master salt mixed with the rotation counter)
+ * @param {Object} options - Generator options
+ * @returns {Promise<Object>} { words: string[], cells: boolean[], hue: number }
+ */
+export const deriveFingerprint = async (input, salt, options) => {
+  // The algorithm version goes into the label instead, so fingerprints shown before versions existed stay the same
+  const { algorithmVersion = ALGORITHM_VERSIONS[0], ...settings } = pickGenerationSettings(options);
+  const bytes = await deriveEntropyBytes(
+    input,
+    salt,
+    `nuwault:fingerprint:v${algorithmVersion}:${JSON.stringify(settings)}`,
+    FINGERPRINT_BYTES
+  );
+
+  const { words } = WORDLISTS.en;
+  const pickWord = (byte) => words[Math.floor(byte * words.length / 256)];
+
+  // 24 bits in total: the pattern reuses bits of the word bytes so no extra bits are exposed
+  const value = (bytes[0] << 16) | (bytes[1] << 8) | bytes[2];
+  const cellCount = Math.ceil(FINGERPRINT_GRID / 2) * FINGERPRINT_GRID;
+  const cells = Array.from({ length: cellCount }, (_, i) => Boolean((value >>> i) & 1));
+
+  return {
+    words: [pickWord(bytes[0]), pickWord(bytes[1])],
+    cells,
+    hue: Math.round(bytes[2] * 360 / 256)
+  };
+};
+
+/**
+ * Render a fingerprint identicon as an SVG string
+ *
+ * @param {Object} fingerprint - Fingerprint from deriveFingerprint
+ * @param {number} [size] - Rendered size in pixels
+ * @returns {string} SVG markup
+ */
+export const renderIdenticon = (fingerprint, size = 28) => {
+  const rects = [];
+
+  fingerprint.cells.forEach((filled, index) => {
+    if (!filled) return;
+    const column = Math.floor(index / FINGERPRINT_GRID);
+    const row = index % FINGERPRINT_GRID;
+    const mirrored = FINGERPRINT_GRID - 1 - column;
+
+    rects.push(`<rect x="${column}" y="${row}" width="1" height="1"/>`);
+    if (mirrored !== column) {
+      rects.push(`<rect x="${mirrored}" y="${row}" width="1" height="1"/>`);
+    }
+  });
+
+  return `
+    <svg width="${size}" height="${size}" viewBox="-0.5 -0.5 ${FINGERPRINT_GRID + 1} ${FINGERPRINT_GRID + 1}"
+         aria-hidden="true" shape-rendering="crispEdges">
+      <rect x="-0.5" y="-0.5" width="${FINGERPRINT_GRID + 1}" height="${FINGERPRINT_GRID + 1}" rx="1"
+            fill="hsl(${fingerprint.hue}, 60%, 92%)"/>
+      <g fill="hsl(${fingerprint.hue}, 60%, 40%)">${rects.join('')}</g>
+    </svg>
+  `;
+};
@@ -0,0 +1,47 @@
+/**
+ * @fileoverview Password Generation Worker
+ * Runs the generation pipeline off the main thread so heavy key derivation
+ * never blocks the UI. Protocol:
+ *   in:  { type: 'generate', id, keywords, options, secret, extras }
+ *   out: { type: 'result', id, password, fingerprint, username, answer, recoveryCodes }
+ *      | { type: 'error', id, message }
+ * Cancellation is done by the client terminating the worker; a job that is
+ * superseded is identified by its id and discarded on the main thread.
+ * @author NuwaX
+ */
+
+import { runGenerationWithFingerprint } from './generationPipeline.js';
+
+/**
+ * Drop keyword and secret material held by a finished job. JavaScript strings cannot be
+ * zeroed in place, so this clears every reference the worker owns and leaves
+ * the values to garbage collection.
+ *
+ * @param {Object} job - Message payload of the finished job
+ */
+const wipeJob = (job) => {
+  if (Array.isArray(job.keywords)) {
+    job.keywords.fill('');
+    job.keywords.length = 0;
+  }
+  job.keywords = null;
+  job.options = null;
+  job.secret = null;
+  job.extras = null;
+};
+
+self.addEventListener('message', async (event) => {
+  const job = event.data || {};
+  if (job.type !== 'generate') {
+    return;
+  }
+
+  try {
+    const result = await runGenerationWithFingerprint(job.keywords, job.options, job.secret, job.extras || {});
+    self.postMessage({ type: 'result', id: job.id, ...result });
+  } catch (error) {
+    self.postMessage({ type: 'error', id: job.id, message: error?.message || String(error) });
+  } finally {
+    wipeJob(job);
+  }
+});
@@ -0,0 +1,161 @@
+/**
+ * @fileoverview Generation Worker Client
+ * Sends generation jobs to the dedicated worker, tracks them by request id
+ * and cancels jobs that are superseded before they finish. Falls back to
+ * the main thread when workers are unavailable (e.g. blocked by policy).
+ * @author NuwaX
+ */
+
+import GenerationWorker from './generation.worker.js?worker&inline';
+import { runGenerationWithFingerprint } from './generationPipeline.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * GenerationClient class
+ * Only one job is in flight at a time: starting a new job or calling
+ * cancel() terminates the worker, which aborts any derivation in progress,
+ * and resolves the superseded job with null.
+ */
+export class GenerationClient {
+  constructor() {
+    this.worker = null;
+    this.workerUnavailable = typeof Worker === 'undefined';
+    this.nextId = 1;
+    this.latestId = 0;
+    this.pending = null;
+  }
+
+  /**
+   * Get the running worker, spawning one when needed
+   * @returns {Worker|null} Worker instance, or null when workers are unavailable
+   */
+  getWorker() {
+    if (this.worker || this.workerUnavailable) {
+      return this.worker;
+    }
+
+    try {
+      this.worker = new GenerationWorker();
+      this.worker.addEventListener('message', (event) => this.handleMessage(event.data));
+      this.worker.addEventListener('error', (event) => this.handleWorkerError(event));
+    } catch (error) {
+      logger.warn('[GenerationClient] Web Worker unavailable, generating on the main thread:', error);
+      this.workerUnavailable = true;
+      this.worker = null;
+    }
+
+    return this.worker;
+  }
+
+  /**
+   * Generate a password for the given keywords and options
+   *
+   * @param {string[]} keywords - Keywords in generation order
+   * @param {Object} options - Generator options
+   * @param {string} [secret] - Optional master secret
+   * @param {Object} [extras] - Extra outputs to derive ({ username, answer, recoveryCodes } settings)
+   * @returns {Promise<Object|null>} Generation result, or null when the job was superseded
+   */
+  generate(keywords, options, secret = '', extras = {}) {
+    this.cancel();
+
+    const id = this.nextId++;
+    this.latestId = id;
+    const job = { keywords: [...keywords], options: { ...options }, secret, extras: { ...extras } };
+
+    const worker = this.getWorker();
+    if (!worker) {
+      return this.generateOnMainThread(id, job);
+    }
+
+    return new Promise((resolve, reject) => {
+      this.pending = { id, job, resolve, reject };
+      worker.postMessage({ type: 'generate', id, ...job });
+    });
+  }
+
+  /**
+   * Main thread fallback. Cannot be interrupted, so a result that arrives
+   * after a newer request is discarded instead.
+   *
+   * @param {number} id - Request id
+   * @param {Object} job - Keywords, options, secret and extras
+   * @returns {Promise<Object|null>} Generation result, or null when superseded
+   */
+  async generateOnMainThread(id, job) {
+    const result = await runGenerationWithFingerprint(job.keywords, job.options, job.secret, job.extras);
+    return id === this.latestId ? result : null;
+  }
+
+  /**
+   * Handle a response from the worker
+   * @param {Object} message - Worker message
+   */
+  handleMessage(message) {
+    const pending = this.pending;
+    if (!pending || !message || message.id !== pending.id) {
+      return;
+    }
+
+    this.pending = null;
+    if (message.type === 'result') {
+      pending.resolve({
+        password: message.password,
+        fingerprint: message.fingerprint,
+        username: message.username,
+        answer: message.answer,
+        recoveryCodes: message.recoveryCodes
+      });
+    } else {
+      pending.reject(new Error(message.message));
+    }
+  }
+
+  /**
+   * Handle a worker that failed to load or crashed. The pending job is
+   * retried on the main thread and later jobs skip the worker.
+   *
+   * @param {ErrorEvent} event - Worker error event
+   */
+  handleWorkerError(event) {
+    logger.warn('[GenerationClient] Generation worker failed, falling back to the main thread:', event.message);
+    event.preventDefault?.();
+
+    const pending = this.pending;
+    this.pending = null;
+    this.terminate();
+    this.workerUnavailable = true;
+
+    if (pending) {
+      this.generateOnMainThread(pending.id, pending.job).then(pending.resolve, pending.reject);
+    }
+  }
+
+  /**
+   * Cancel the job in flight, if any. Terminating the worker aborts a running
+   * key derivation immediately; a fresh worker is spawned for the next job.
+   */
+  cancel() {
+    // Invalidates a main thread job as well, which cannot be interrupted
+    this.latestId = 0;
+
+    const pending = this.pending;
+    if (!pending) {
+      return;
+    }
+
+    this.pending = null;
+    this.terminate();
+    pending.resolve(null);
+  }
+
+  /**
+   * Stop the worker without touching pending bookkeeping
+   */
+  terminate() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+  }
+}
@@ -0,0 +1,261 @@
+/**
+ * @fileoverview Password Generation Pipeline
+ * Single entry point between the generator UI and @nuwax-io/nuwault-core.
+ * Keywords are normalized, put in canonical order when order does not
+ * matter, combined with the optional master secret and pass through the
+ * optional key derivation stage first.
+ * Translates the application's generator options into the options the core
+ * library understands, so every caller produces identical output for the
+ * same keywords and settings. Options pinned to an algorithm version this
+ * build does not implement are rejected rather than generated differently.
+ * Optional extra outputs (username, security answer, recovery codes) are
+ * derived from the same prepared keywords.
+ * @author NuwaX
+ */
+
+import { generatePassword } from '@nuwax-io/nuwault-core';
+import { COUNTER_LIMITS, OUTPUT_MODES, KEYWORD_ORDERS, ALGORITHM_VERSIONS } from './generationSettings.js';
+import { stretchKeywords } from './kdf.js';
+import { combineMasterSecret } from './masterSecret.js';
+import { normalizeKeywords } from './normalization.js';
+import { deriveFingerprint } from './fingerprint.js';
+import { generatePassphrase, calculatePassphraseEntropy, getWordlist } from './passphrase.js';
+import { generateUsername } from './username.js';
+import { generateSecurityAnswer } from './securityAnswer.js';
+import { generateRecoveryCodes } from './recoveryCodes.js';
+import { generateFromTemplate, parseTemplate, calculateTemplateEntropy } from './templates.js';
+import {
+  generateFromCharacterSets,
+  usesCustomCharacterSets,
+  getActiveCharacterSets,
+  findUnmetClasses
+} from './charsets.js';
+
+/**
+ * Upper bound on core library calls spent looking for full class coverage
+ */
+export const MAX_COVERAGE_ATTEMPTS = 16;
+
+/**
+ * Mix the rotation counter into the master salt.
+ * Counter 1 keeps the plain salt so passwords generated before counters
+ * existed stay reproducible; every other value yields an independent salt.
+ *
+ * @param {string} masterSalt - Application master salt
+ * @param {number} counter - Rotation counter (password version)
+ * @returns {string} Salt passed to the core library
+ */
+export const deriveCounterSalt = (masterSalt, counter = COUNTER_LIMITS.min) => {
+  const version = parseInt(counter, 10);
+  if (isNaN(version) || version <= COUNTER_LIMITS.min) {
+    return masterSalt;
+  }
+  return `${masterSalt}:v${version}`;
+};
+
+/**
+ * Put keywords in canonical order when the keyword order is not significant.
+ * Sorting by UTF-16 code units is locale independent, so the same chip set
+ * yields the same password on every device. Duplicates are kept.
+ *
+ * @param {string[]} keywords - Keywords in chip order
+ * @param {Object} options - Generator options holding keywordOrder
+ * @returns {string[]} Keywords in generation order
+ */
+export const canonicalizeKeywords = (keywords, options) => {
+  if (options.keywordOrder !== KEYWORD_ORDERS.INSENSITIVE) {
+    return keywords;
+  }
+  return [...keywords].sort();
+};
+
+/**
+ * Build the option object handed to the core generatePassword function
+ *
+ * @param {Object} options - Generator options
+ * @returns {Object} Core library options
+ */
+export const buildCoreOptions = (options) => ({
+  masterSalt: deriveCounterSalt(options.masterSalt, options.counter),
+  length: options.length,
+  includeUppercase: options.includeUppercase,
+  includeLowercase: options.includeLowercase,
+  includeNumbers: options.includeNumbers,
+  includeSymbols: options.includeSymbols
+});
+
+/**
+ * Generate a core library password that contains every required class.
+ * The first attempt uses the counter salt unchanged so existing passwords stay
+ * reproducible; later attempts append a deterministic nonce. When no attempt
+ * within the cap qualifies, the charset engine places the required characters
+ * directly, so the result is always deterministic and never loops.
+ *
+ * @param {string[]} keywords - Keywords in generation order
+ * @param {Object} options - Generator options
+ * @returns {Promise<string>} Generated password
+ */
+const generateCorePassword = async (keywords, options) => {
+  const { sets } = getActiveCharacterSets(options);
+  const coreOptions = buildCoreOptions(options);
+
+  for (let attempt = 0; attempt < MAX_COVERAGE_ATTEMPTS; attempt++) {
+    const masterSalt = attempt === 0 ? coreOptions.masterSalt : `${coreOptions.masterSalt}:n${attempt}`;
+    const password = await generatePassword(keywords, { ...coreOptions, masterSalt });
+    if (password && findUnmetClasses(password, sets).length === 0) {
+      return password;
+    }
+  }
+
+  return generateFromCharacterSets(keywords, coreOptions.masterSalt, options);
+};
+
+/**
+ * Make sure the options ask for an algorithm version this build implements.
+ * Options without a version predate versioning and use the first one.
+ *
+ * @param {Object} options - Generator options
+ * @throws {Error} When the version is unknown
+ */
+const assertAlgorithmVersion = (options) => {
+  const version = options.algorithmVersion ?? ALGORITHM_VERSIONS[0];
+  if (!ALGORITHM_VERSIONS.includes(version)) {
+    throw new Error(`Unsupported algorithm version: ${version}`);
+  }
+};
+
+/**
+ * Run the keyword stages shared by every output: normalization, canonical
+ * order, master secret and key derivation
+ *
+ * @param {string[]} keywords - Keywords in chip order
+ * @param {Object} options - Generator options
+ * @param {string} secret - Master secret, or ''
+ * @returns {Promise<Object>} { salt, input } for the generation engines
+ */
+const prepareInput = async (keywords, options, secret) => {
+  assertAlgorithmVersion(options);
+  const salt = deriveCounterSalt(options.masterSalt, options.counter);
+  const normalized = normalizeKeywords(keywords, options);
+  const combined = await combineMasterSecret(canonicalizeKeywords(normalized, options), secret);
+  const input = await stretchKeywords(combined, salt, options);
+  return { salt, input };
+};
+
+/**
+ * Dispatch prepared input to the engine for the configured output mode
+ *
+ * @param {string[]} input - Prepared keywords
+ * @param {string} salt - Counter salt
+ * @param {Object} options - Generator options
+ * @returns {Promise<string>} Generated password
+ */
+const generateFromInput = (input, salt, options) => {
+  if (options.outputMode === OUTPUT_MODES.PASSPHRASE) {
+    return generatePassphrase(input, salt, options);
+  }
+  if (options.outputMode === OUTPUT_MODES.TEMPLATE) {
+    return generateFromTemplate(input, salt, options);
+  }
+  // The core library only knows its built-in sets, so customized sets use the app engine
+  if (usesCustomCharacterSets(options)) {
+    return generateFromCharacterSets(input, salt, options);
+  }
+  return generateCorePassword(input, options);
+};
+
+/**
+ * Generate a password, passphrase or template password for the given keywords
+ * and generator options
+ *
+ * @param {string[]} keywords - Keywords in chip order
+ * @param {Object} options - Generator options
+ * @param {string} [secret] - Optional master secret, never part of the options
+ * @returns {Promise<string>} Generated password
+ */
+export const runGeneration = async (keywords, options, secret = '') => {
+  const { salt, input } = await prepareInput(keywords, options, secret);
+  return generateFromInput(input, salt, options);
+};
+
+/**
+ * Create a lazy getter for input prepared with the first counter. Usernames
+ * and security answers ignore the rotation counter, so rotating a password
+ * keeps them; input prepared for another counter is prepared again, once,
+ * with the first one.
+ *
+ * @param {string[]} keywords - Keywords in chip order
+ * @param {Object} options - Generator options
+ * @param {string} secret - Master secret, or ''
+ * @param {Object} prepared - Input prepared for the options' counter
+ * @returns {Function} Returns a promise of { salt, input } for the first counter
+ */
+const createBaseInputGetter = (keywords, options, secret, prepared) => {
+  let base = null;
+  return () => {
+    if (!base) {
+      base = prepared.salt === options.masterSalt
+        ? Promise.resolve(prepared)
+        : prepareInput(keywords, { ...options, counter: COUNTER_LIMITS.min }, secret);
+    }
+    return base;
+  };
+};
+
+/**
+ * Generate a password together with its keyword fingerprint and the extra
+ * outputs asked for. All are derived from the same prepared input, so they
+ * cost no extra key derivation and are as expensive to brute-force as the
+ * password itself.
+ *
+ * @param {string[]} keywords - Keywords in chip order
+ * @param {Object} options - Generator options
+ * @param {string} [secret] - Optional master secret, never part of the options
+ * @param {Object} [extras] - Extra outputs to derive
+ * @param {Object|null} [extras.username] - Username style and base email
+ * @param {Object|null} [extras.answer] - Security answer style and question
+ * @param {Object|null} [extras.recoveryCodes] - Recovery code label, count, length and grouping
+ * @returns {Promise<Object>} { password, fingerprint, username, answer, recoveryCodes }; extras not asked for are null
+ */
+export const runGenerationWithFingerprint = async (keywords, options, secret = '', extras = {}) => {
+  const prepared = await prepareInput(keywords, options, secret);
+  const { salt, input } = prepared;
+  const getBaseInput = createBaseInputGetter(keywords, options, secret, prepared);
+
+  const [password, fingerprint, username, answer, recoveryCodes] = await Promise.all([
+    generateFromInput(input, salt, options),
+    deriveFingerprint(input, salt, options),
+    extras.username
+      ? getBaseInput().then(base => generateUsername(base.input, base.salt, extras.username))
+      : null,
+    extras.answer
+      ? getBaseInput().then(base => generateSecurityAnswer(base.input, base.salt, extras.answer))
+      : null,
+    // Recovery codes rotate with the counter, like the password
+    extras.recoveryCodes ? generateRecoveryCodes(input, salt, extras.recoveryCodes) : null
+  ]);
+  return { password, fingerprint, username, answer, recoveryCodes };
+};
+
+/**
+ * Describe the strength of the configured output when it can be computed from
+ * the settings alone. Character passwords return null and are scored from the
+ * generated string instead.
+ *
+ * @param {Object} options - Generator options
+ * @returns {Object|null} Entropy context for the strength meter
+ */
+export const getStrengthContext = (options) => {
+  if (options.outputMode === OUTPUT_MODES.PASSPHRASE) {
+    return {
+      entropyBits: calculatePassphraseEntropy(options),
+      words: options.passphraseWords,
+      wordlistSize: getWordlist(options.wordlist).words.length
+    };
+  }
+  if (options.outputMode === OUTPUT_MODES.TEMPLATE) {
+    const { tokens, error } = parseTemplate(options.template, options);
+    return error ? null : { entropyBits: calculateTemplateEntropy(tokens) };
+  }
+  return null;
+};
@@ -0,0 +1,287 @@
+/**
+ * @fileoverview Generation Settings Helpers
+ * Defines which generator options are non-secret settings that may be stored
+ * or shared, and how such settings are validated and applied to live options.
+ * Keywords and generated output are never part of these settings.
+ * @author NuwaX
+ */
+
+import { SECURITY_CONFIG } from '../utils/config.js';
+import { getCurrentLanguage } from '../utils/i18n.js';
+import {
+  WORDLISTS,
+  PASSPHRASE_LIMITS,
+  PASSPHRASE_SEPARATORS,
+  PASSPHRASE_CAPITALIZATION,
+  PASSPHRASE_SUFFIXES,
+  DEFAULT_PASSPHRASE_SETTINGS
+} from './passphrase.js';
+import { parseTemplate, DEFAULT_TEMPLATE } from './templates.js';
+import { CHARACTER_CLASSES, CHARSET_LIMITS, DEFAULT_CHARSET_SETTINGS, sanitizeCharacterSet } from './charsets.js';
+import { KDF_ALGORITHMS, KDF_LIMITS, getIterationLimits, getDefaultKdfIterations, getDefaultKdfSettings } from './kdf.js';
+import { NORMALIZATION_FORMS, DEFAULT_NORMALIZATION_SETTINGS } from './normalization.js';
+
+/**
+ * Kinds of output the generator can produce
+ */
+export const OUTPUT_MODES = {
+  PASSWORD: 'password',
+  PASSPHRASE: 'passphrase',
+  TEMPLATE: 'template'
+};
+
+/**
+ * How the keyword chip order affects generation
+ */
+export const KEYWORD_ORDERS = {
+  SENSITIVE: 'sensitive',
+  INSENSITIVE: 'insensitive'
+};
+
+/**
+ * Generation algorithm versions this build can reproduce, oldest first.
+ * A version fixes every stage between the keywords and the output, so any
+ * change that alters an output for the same inputs must add a new version
+ * (with its own known-answer vectors) and keep the older ones selectable.
+ */
+export const ALGORITHM_VERSIONS = [1];
+
+/**
+ * Version used for new passwords
+ */
+export const CURRENT_ALGORITHM_VERSION = 1;
+
+/**
+ * Option keys that describe how a password is generated without revealing
+ * anything secret about it
+ */
+export const GENERATION_SETTING_KEYS = [
+  'algorithmVersion',
+  'length',
+  'includeUppercase',
+  'includeLowercase',
+  'includeNumbers',
+  'includeSymbols',
+  'uppercaseChars',
+  'lowercaseChars',
+  'numberChars',
+  'symbols',
+  'siteSymbols',
+  'excludeAmbiguous',
+  'minUppercase',
+  'minLowercase',
+  'minNumbers',
+  'minSymbols',
+  'counter',
+  'keywordOrder',
+  'unicodeNormalization',
+  'caseInsensitive',
+  'collapseWhitespace',
+  'outputMode',
+  'passphraseWords',
+  'passphraseSeparator',
+  'passphraseCapitalization',
+  'passphraseSuffix',
+  'wordlist',
+  'template',
+  'kdf',
+  'kdfIterations',
+  'kdfMemory'
+];
+
+/**
+ * Lower and upper bounds for the rotation counter
+ */
+export const COUNTER_LIMITS = {
+  min: 1,
+  max: 9999
+};
+
+/**
+ * Clamp an integer into a range, falling back when the value is not numeric
+ * @param {*} value - Candidate value
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @param {number} fallback - Value used when the candidate is not a number
+ * @returns {number} Clamped integer
+ */
+const clampInteger = (value, min, max, fallback) => {
+  const parsed = parseInt(value, 10);
+  if (isNaN(parsed)) {
+    return fallback;
+  }
+  return Math.min(max, Math.max(min, parsed));
+};
+
+/**
+ * Setting keys left out while empty, so settings (and the fingerprints
+ * derived from them) stay the same as before the keys existed
+ */
+const OPTIONAL_SETTING_KEYS = ['siteSymbols'];
+
+/**
+ * Copy the shareable generation settings out of a live options object
+ * @param {Object} options - Generator options
+ * @returns {Object} Plain settings object containing only whitelisted keys
+ */
+export const pickGenerationSettings = (options) => {
+  const settings = {};
+  GENERATION_SETTING_KEYS.forEach(key => {
+    if (options[key] !== undefined && !(OPTIONAL_SETTING_KEYS.includes(key) && options[key] === '')) {
+      settings[key] = options[key];
+    }
+  });
+  return settings;
+};
+
+/**
+ * Validate stored settings and merge them into a live options object.
+ * Unknown keys are ignored and out-of-range values are clamped so that a
+ * stale or hand-edited entry can never put the generator into an invalid state.
+ *
+ * @param {Object} options - Generator options to update in place
+ * @param {Object} settings - Settings to apply
+ * @returns {Object} The updated options object
+ */
+export const applyGenerationSettings = (options, settings = {}) => {
+  if (ALGORITHM_VERSIONS.includes(settings.algorithmVersion)) {
+    options.algorithmVersion = settings.algorithmVersion;
+  }
+
+  if (settings.length !== undefined) {
+    options.length = clampInteger(
+      settings.length,
+      SECURITY_CONFIG.minPasswordLength,
+      SECURITY_CONFIG.maxPasswordLength,
+      options.length
+    );
+  }
+
+  ['includeUppercase', 'includeLowercase', 'includeNumbers', 'includeSymbols'].forEach(key => {
+    if (typeof settings[key] === 'boolean') {
+      options[key] = settings[key];
+    }
+  });
+
+  CHARACTER_CLASSES.forEach(({ charsKey, minKey }) => {
+    if (typeof settings[charsKey] === 'string') {
+      const chars = sanitizeCharacterSet(settings[charsKey]);
+      if (chars.length > 0) {
+        options[charsKey] = chars;
+      }
+    }
+    if (settings[minKey] !== undefined) {
+      options[minKey] = clampInteger(settings[minKey], 0, CHARSET_LIMITS.maxMinimum, options[minKey]);
+    }
+  });
+
+  if (typeof settings.siteSymbols === 'string') {
+    options.siteSymbols = sanitizeCharacterSet(settings.siteSymbols);
+  }
+
+  if (typeof settings.excludeAmbiguous === 'boolean') {
+    options.excludeAmbiguous = settings.excludeAmbiguous;
+  }
+
+  if (settings.counter !== undefined) {
+    options.counter = clampInteger(settings.counter, COUNTER_LIMITS.min, COUNTER_LIMITS.max, options.counter);
+  }
+
+  if (Object.values(KEYWORD_ORDERS).includes(settings.keywordOrder)) {
+    options.keywordOrder = settings.keywordOrder;
+  }
+
+  if (Object.values(NORMALIZATION_FORMS).includes(settings.unicodeNormalization)) {
+    options.unicodeNormalization = settings.unicodeNormalization;
+  }
+
+  ['caseInsensitive', 'collapseWhitespace'].forEach(key => {
+    if (typeof settings[key] === 'boolean') {
+      options[key] = settings[key];
+    }
+  });
+
+  if (Object.values(OUTPUT_MODES).includes(settings.outputMode)) {
+    options.outputMode = settings.outputMode;
+  }
+
+  if (settings.passphraseWords !== undefined) {
+    options.passphraseWords = clampInteger(
+      settings.passphraseWords,
+      PASSPHRASE_LIMITS.minWords,
+      PASSPHRASE_LIMITS.maxWords,
+      options.passphraseWords
+    );
+  }
+
+  if (PASSPHRASE_SEPARATORS.includes(settings.passphraseSeparator)) {
+    options.passphraseSeparator = settings.passphraseSeparator;
+  }
+
+  if (Object.values(PASSPHRASE_CAPITALIZATION).includes(settings.passphraseCapitalization)) {
+    options.passphraseCapitalization = settings.passphraseCapitalization;
+  }
+
+  if (Object.values(PASSPHRASE_SUFFIXES).includes(settings.passphraseSuffix)) {
+    options.passphraseSuffix = settings.passphraseSuffix;
+  }
+
+  if (WORDLISTS[settings.wordlist]) {
+    options.wordlist = settings.wordlist;
+  }
+
+  if (typeof settings.template === 'string' && !parseTemplate(settings.template, options).error) {
+    options.template = settings.template;
+  }
+
+  if (Object.values(KDF_ALGORITHMS).includes(settings.kdf) && settings.kdf !== options.kdf) {
+    options.kdf = settings.kdf;
+    options.kdfIterations = getDefaultKdfIterations(options.kdf);
+  }
+
+  if (settings.kdfIterations !== undefined) {
+    const limits = getIterationLimits(options.kdf);
+    options.kdfIterations = clampInteger(settings.kdfIterations, limits.min, limits.max, options.kdfIterations);
+  }
+
+  if (settings.kdfMemory !== undefined) {
+    options.kdfMemory = clampInteger(
+      settings.kdfMemory,
+      KDF_LIMITS.argon2Memory.min,
+      KDF_LIMITS.argon2Memory.max,
+      options.kdfMemory
+    );
+  }
+
+  return options;
+};
+
+/**
+ * Apply settings that were stored or shared as a whole, such as a profile.
+ * Settings saved before algorithm versions existed were made with the first
+ * one, and a missing site symbol list means every symbol is accepted.
+ *
+ * @param {Object} options - Generator options to update in place
+ * @param {Object} settings - Stored settings
+ * @returns {Object} The updated options object
+ */
+export const applyStoredGenerationSettings = (options, settings = {}) => {
+  return applyGenerationSettings(options, { algorithmVersion: ALGORITHM_VERSIONS[0], siteSymbols: '', ...settings });
+};
+
+/**
+ * Build the default settings used for new generator instances
+ * @returns {Object} Default settings object
+ */
+export const getDefaultGenerationSettings = () => ({
+  algorithmVersion: CURRENT_ALGORITHM_VERSION,
+  ...DEFAULT_CHARSET_SETTINGS,
+  counter: COUNTER_LIMITS.min,
+  keywordOrder: KEYWORD_ORDERS.SENSITIVE,
+  ...DEFAULT_NORMALIZATION_SETTINGS,
+  outputMode: OUTPUT_MODES.PASSWORD,
+  ...DEFAULT_PASSPHRASE_SETTINGS,
+  wordlist: WORDLISTS[getCurrentLanguage()] ? getCurrentLanguage() : WORDLISTS.en.id,
+  template: DEFAULT_TEMPLATE,
+  ...getDefaultKdfSettings()
+});
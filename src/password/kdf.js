@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Key Derivation Stage
+ * Optional key stretching applied to the keywords before any generation
+ * engine runs. PBKDF2 uses the Web Crypto API; Argon2id is loaded on demand
+ * from the hash-wasm WebAssembly build. The algorithm and its cost are
+ * generation settings, so changing them yields a different password and
+ * profiles can pin them.
+ * @author NuwaX
+ */
+
+import { SECURITY_CONFIG } from '../utils/config.js';
+
+/**
+ * Supported key derivation functions
+ */
+export const KDF_ALGORITHMS = {
+  NONE: 'none',
+  PBKDF2_SHA256: 'pbkdf2-sha256',
+  PBKDF2_SHA512: 'pbkdf2-sha512',
+  ARGON2ID: 'argon2id'
+};
+
+/**
+ * Cost bounds per parameter. Argon2id memory is expressed in MiB.
+ */
+export const KDF_LIMITS = {
+  pbkdf2Iterations: { min: 1000, max: 10000000 },
+  argon2Iterations: { min: 1, max: 10 },
+  argon2Memory: { min: 8, max: 1024 }
+};
+
+/**
+ * Web Crypto hash used by each PBKDF2 variant
+ */
+const PBKDF2_HASHES = {
+  [KDF_ALGORITHMS.PBKDF2_SHA256]: 'SHA-256',
+  [KDF_ALGORITHMS.PBKDF2_SHA512]: 'SHA-512'
+};
+
+/**
+ * Length of the derived key handed to the generation engines
+ */
+const DERIVED_KEY_BYTES = 32;
+
+const encoder = new TextEncoder();
+
+/**
+ * Resolve the KDF configured through SECURITY_CONFIG. The plain "pbkdf2"
+ * value picks the variant matching SECURITY_CONFIG.hashAlgorithm.
+ *
+ * @returns {string} One of KDF_ALGORITHMS
+ */
+const getConfiguredKdf = () => {
+  const configured = String(SECURITY_CONFIG.kdfAlgorithm || '').toLowerCase();
+  if (configured === 'pbkdf2') {
+    return SECURITY_CONFIG.hashAlgorithm === 'SHA-256'
+      ? KDF_ALGORITHMS.PBKDF2_SHA256
+      : KDF_ALGORITHMS.PBKDF2_SHA512;
+  }
+  return Object.values(KDF_ALGORITHMS).includes(configured) ? configured : KDF_ALGORITHMS.NONE;
+};
+
+/**
+ * Check whether a KDF is a PBKDF2 variant
+ * @param {string} kdf - KDF identifier
+ * @returns {boolean} True for PBKDF2-SHA-256/512
+ */
+export const isPbkdf2 = (kdf) => Boolean(PBKDF2_HASHES[kdf]);
+
+/**
+ * Iteration bounds for a KDF
+ * @param {string} kdf - KDF identifier
+ * @returns {Object} { min, max }
+ */
+export const getIterationLimits = (kdf) => {
+  return kdf === KDF_ALGORITHMS.ARGON2ID ? KDF_LIMITS.argon2Iterations : KDF_LIMITS.pbkdf2Iterations;
+};
+
+/**
+ * Default iteration count for a KDF, taken from SECURITY_CONFIG
+ * @param {string} kdf - KDF identifier
+ * @returns {number} Iterations (PBKDF2 rounds or Argon2id passes)
+ */
+export const getDefaultKdfIterations = (kdf) => {
+  const limits = getIterationLimits(kdf);
+  const configured = kdf === KDF_ALGORITHMS.ARGON2ID
+    ? SECURITY_CONFIG.argon2Iterations
+    : SECURITY_CONFIG.hashIterations;
+  return Math.min(limits.max, Math.max(limits.min, configured));
+};
+
+/**
+ * Build the default KDF settings from SECURITY_CONFIG
+ * @returns {Object} Default KDF settings
+ */
+export const getDefaultKdfSettings = () => {
+  const kdf = getConfiguredKdf();
+  return {
+    kdf,
+    kdfIterations: getDefaultKdfIterations(kdf),
+    kdfMemory: Math.min(KDF_LIMITS.argon2Memory.max, Math.max(KDF_LIMITS.argon2Memory.min, SECURITY_CONFIG.argon2Memory))
+  };
+};
+
+/**
+ * Convert bytes to a lowercase hex string
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Hex string
+ */
+const toHex = (bytes) => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+
+/**
+ * Stretch keywords with the configured KDF.
+ * Without a KDF the keywords are returned unchanged, so existing passwords
+ * stay reproducible; otherwise the engines receive a single hex keyword
+ * holding the derived key.
+ *
+ * @param {string[]} keywords - Keywords in generation order
+ * @param {string} salt - Salt (master salt mixed with the rotation counter)
+ * @param {Object} options - Generator options holding kdf, kdfIterations and kdfMemory
+ * @returns {Promise<string[]>} Keywords for the generation engines
+ */
+export const stretchKeywords = async (keywords, salt, options) => {
+  const kdf = options.kdf || KDF_ALGORITHMS.NONE;
+  if (kdf === KDF_ALGORITHMS.NONE) {
+    return keywords;
+  }
+
+  const password = encoder.encode(JSON.stringify(keywords));
+  const kdfSalt = encoder.encode(`nuwault:kdf:v1:${salt}`);
+
+  if (isPbkdf2(kdf)) {
+    const keyMaterial = await crypto.subtle.importKey('raw', password, 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+      {
+        name: 'PBKDF2',
+        hash: PBKDF2_HASHES[kdf],
+        salt: kdfSalt,
+        iterations: options.kdfIterations
+      },
+      keyMaterial,
+      DERIVED_KEY_BYTES * 8
+    );
+    return [toHex(new Uint8Array(bits))];
+  }
+
+  if (kdf === KDF_ALGORITHMS.ARGON2ID) {
+    const { argon2id } = await import('hash-wasm');
+    const derivedKey = await argon2id({
+      password,
+      salt: kdfSalt,
+      parallelism: 1,
+      iterations: options.kdfIterations,
+      memorySize: options.kdfMemory * 1024,
+      hashLength: DERIVED_KEY_BYTES,
+      outputType: 'hex'
+    });
+    return [derivedKey];
+  }
+
+  throw new Error(`Unsupported key derivation function: ${kdf}`);
+};
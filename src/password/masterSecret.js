@@ -0,0 +1,58 @@
+/**
+ * @fileoverview Master Secret Stage
+ * Mixes an optional master secret into the keywords before key derivation.
+ * The secret keys an HMAC over the keywords, so one strong secret protects
+ * every low-entropy keyword set while keywords alone no longer reproduce the
+ * password. The secret is never persisted and never part of the settings.
+ * @author NuwaX
+ */
+
+/**
+ * Minutes the secret may be kept in memory after its last edit
+ */
+export const MASTER_SECRET_REMEMBER_MINUTES = [1, 5, 15, 30, 60];
+
+/**
+ * Default time to keep the secret in memory, in minutes
+ */
+export const DEFAULT_REMEMBER_MINUTES = 5;
+
+const encoder = new TextEncoder();
+
+/**
+ * Convert bytes to a lowercase hex string
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Hex string
+ */
+const toHex = (bytes) => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+
+/**
+ * Combine keywords with the master secret.
+ * Without a secret the keywords are returned unchanged, so existing passwords
+ * stay reproducible; otherwise the next stage receives a single hex keyword
+ * holding HMAC-SHA-256(secret, keywords).
+ *
+ * @param {string[]} keywords - Keywords in generation order
+ * @param {string} [secret] - Master secret
+ * @returns {Promise<string[]>} Keywords for the key derivation stage
+ */
+export const combineMasterSecret = async (keywords, secret) => {
+  if (!secret) {
+    return keywords;
+  }
+
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const mac = await crypto.subtle.sign(
+    'HMAC',
+    key,
+    encoder.encode(`nuwault:master:v1:${JSON.stringify(keywords)}`)
+  );
+
+  return [toHex(new Uint8Array(mac))];
+};
@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Keyword Normalization
+ * Optional clean-up applied to every keyword before generation, so text that
+ * looks the same gives the same password on every device: Unicode
+ * normalization (NFC/NFKC), case-insensitivity and whitespace collapsing.
+ * The settings are generation settings, so changing them changes the
+ * password. Also detects invisible and look-alike characters so the UI can
+ * flag them on the chip; those are reported, never silently removed.
+ * @author NuwaX
+ */
+
+/**
+ * Unicode normalization forms applied to keywords
+ */
+export const NORMALIZATION_FORMS = {
+  NONE: 'none',
+  NFC: 'NFC',
+  NFKC: 'NFKC'
+};
+
+/**
+ * Default normalization settings. Everything is off so passwords generated
+ * before normalization existed stay reproducible.
+ */
+export const DEFAULT_NORMALIZATION_SETTINGS = {
+  unicodeNormalization: NORMALIZATION_FORMS.NONE,
+  caseInsensitive: false,
+  collapseWhitespace: false
+};
+
+/**
+ * Format, zero-width and filler characters that render as nothing
+ */
+const INVISIBLE_PATTERN = /[\p{Cf}\u034F\u115F\u1160\u17B4\u17B5\u180B-\u180F\u3164\uFE00-\uFE0F\uFFA0]/u;
+
+/**
+ * Space characters other than the ASCII space that look like one
+ */
+const UNUSUAL_SPACE_PATTERN = /[\u00A0\u1680\u2000-\u200A\u202F\u205F\u3000]/u;
+
+/**
+ * Fullwidth ASCII variants (e.g. "ａ"), which NFKC folds to ASCII
+ */
+const FULLWIDTH_PATTERN = /[\uFF01-\uFF5E]/u;
+
+/**
+ * Cyrillic and Greek letters that are indistinguishable from Latin ones in
+ * most fonts. Only flagged when the keyword also contains Latin letters, so
+ * genuine Cyrillic or Greek keywords are left alone.
+ */
+const LATIN_LOOKALIKES = new Set(Array.from(
+  // Cyrillic: А В Е Ѕ І Ј К М Н О Р С Т Х У а е о р с у х і ј ѕ ԁ ӏ һ ԛ ԝ
+  '\u0410\u0412\u0415\u0405\u0406\u0408\u041A\u041C\u041D\u041E\u0420\u0421\u0422\u0425\u0423' +
+  '\u0430\u0435\u043E\u0440\u0441\u0443\u0445\u0456\u0458\u0455\u0501\u04CF\u04BB\u051B\u051D' +
+  // Greek: Α Β Ε Ζ Η Ι Κ Μ Ν Ο Ρ Τ Υ Χ ο ν τ
+  '\u0391\u0392\u0395\u0396\u0397\u0399\u039A\u039C\u039D\u039F\u03A1\u03A4\u03A5\u03A7\u03BF\u03BD\u03C4'
+));
+
+const LATIN_LETTER_PATTERN = /\p{Script=Latin}/u;
+
+/**
+ * Normalize a single keyword
+ *
+ * @param {string} keyword - Keyword as typed
+ * @param {Object} options - Generator options holding the normalization settings
+ * @returns {string} Normalized keyword
+ */
+export const normalizeKeyword = (keyword, options) => {
+  let value = String(keyword ?? '');
+
+  if (options.unicodeNormalization === NORMALIZATION_FORMS.NFC ||
+      options.unicodeNormalization === NORMALIZATION_FORMS.NFKC) {
+    value = value.normalize(options.unicodeNormalization);
+  }
+  if (options.collapseWhitespace) {
+    value = value.replace(/\s+/gu, ' ').trim();
+  }
+  if (options.caseInsensitive) {
+    // Locale independent on purpose: the same keyword must fold the same way on every device
+    value = value.toLowerCase();
+  }
+
+  return value;
+};
+
+/**
+ * Normalize every keyword
+ *
+ * @param {string[]} keywords - Keywords as typed
+ * @param {Object} options - Generator options holding the normalization settings
+ * @returns {string[]} Normalized keywords
+ */
+export const normalizeKeywords = (keywords, options) => {
+  const isEnabled = (options.unicodeNormalization && options.unicodeNormalization !== NORMALIZATION_FORMS.NONE) ||
+                    options.caseInsensitive ||
+                    options.collapseWhitespace;
+  return isEnabled ? keywords.map(keyword => normalizeKeyword(keyword, options)) : keywords;
+};
+
+/**
+ * Format a character as a Unicode code point label, e.g. "U+200B"
+ * @param {string} char - Single character
+ * @returns {string} Code point label
+ */
+const toCodePoint = (char) => `U+${char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`;
+
+/**
+ * Find characters in a keyword that are invisible or look like other
+ * characters. Results use code points only, so they can be shown for
+ * masked keywords without revealing the text.
+ *
+ * @param {string} keyword - Keyword as typed
+ * @returns {Object} { invisible: string[], confusable: string[] } code point labels
+ */
+export const findSuspiciousCharacters = (keyword) => {
+  const chars = Array.from(String(keyword ?? ''));
+  const hasLatin = chars.some(char => LATIN_LETTER_PATTERN.test(char));
+  const invisible = new Set();
+  const confusable = new Set();
+
+  chars.forEach(char => {
+    if (INVISIBLE_PATTERN.test(char) || UNUSUAL_SPACE_PATTERN.test(char)) {
+      invisible.add(toCodePoint(char));
+    } else if (FULLWIDTH_PATTERN.test(char) || (hasLatin && LATIN_LOOKALIKES.has(char))) {
+      confusable.add(toCodePoint(char));
+    }
+  });
+
+  return { invisible: Array.from(invisible), confusable: Array.from(confusable) };
+};
@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Deterministic Passphrase Generation
+ * Builds Diceware-style passphrases (e.g. "correct-horse-battery-staple") from
+ * keyword-derived entropy using the wordlists bundled with each locale.
+ * Lists contain 6^4 = 1296 words, so every word carries log2(1296) ≈ 10.3 bits.
+ * @author NuwaX
+ */
+
+import enWordlist from '../locales/en/wordlist.json';
+import trWordlist from '../locales/tr/wordlist.json';
+import { createDeterministicRandom } from './entropy.js';
+import { CHARACTER_CLASSES, resolveClassCharacters } from './charsets.js';
+
+/**
+ * Bundled wordlists keyed by identifier. The locale is used for
+ * locale-aware capitalization (e.g. Turkish dotted/dotless i).
+ */
+export const WORDLISTS = {
+  en: { id: 'en', locale: 'en', words: enWordlist },
+  tr: { id: 'tr', locale: 'tr', words: trWordlist }
+};
+
+/**
+ * Word count bounds
+ */
+export const PASSPHRASE_LIMITS = {
+  minWords: 3,
+  maxWords: 12
+};
+
+/**
+ * Allowed word separators
+ */
+export const PASSPHRASE_SEPARATORS = ['-', ' ', '.', '_', ''];
+
+/**
+ * Capitalization styles
+ */
+export const PASSPHRASE_CAPITALIZATION = {
+  NONE: 'none',
+  FIRST: 'first',
+  ALL: 'all',
+  RANDOM: 'random'
+};
+
+/**
+ * Optional suffix appended to the last word
+ */
+export const PASSPHRASE_SUFFIXES = {
+  NONE: 'none',
+  DIGIT: 'digit',
+  SYMBOL: 'symbol',
+  BOTH: 'both'
+};
+
+/**
+ * Default passphrase settings
+ */
+export const DEFAULT_PASSPHRASE_SETTINGS = {
+  passphraseWords: 5,
+  passphraseSeparator: '-',
+  passphraseCapitalization: PASSPHRASE_CAPITALIZATION.NONE,
+  passphraseSuffix: PASSPHRASE_SUFFIXES.NONE
+};
+
+/**
+ * Bytes of derived entropy per passphrase; enough for the maximum word count,
+ * per-word capitalization and suffix even with repeated rejection sampling
+ */
+const PASSPHRASE_ENTROPY_BYTES = 256;
+
+/**
+ * Resolve a wordlist by identifier, falling back to English
+ * @param {string} id - Wordlist identifier
+ * @returns {Object} Wordlist descriptor
+ */
+export const getWordlist = (id) => WORDLISTS[id] || WORDLISTS.en;
+
+/**
+ * Capitalize the first letter of a word using the list's locale
+ * @param {string} word - Word to capitalize
+ * @param {string} locale - Locale for case mapping
+ * @returns {string} Capitalized word
+ */
+const capitalizeFirst = (word, locale) => {
+  return word.charAt(0).toLocaleUpperCase(locale) + word.slice(1);
+};
+
+/**
+ * Resolve the symbols a suffix can use, with the site allow-list and the
+ * ambiguous-character filter applied as for passwords
+ * @param {Object} options - Generator options
+ * @returns {string[]} Suffix symbols
+ */
+const getSuffixSymbols = (options) => {
+  return resolveClassCharacters(options, CHARACTER_CLASSES.find(charClass => charClass.key === 'symbols'));
+};
+
+/**
+ * Generate a deterministic passphrase
+ *
+ * @param {string[]} keywords - Keywords in generation order
+ * @param {string} salt - Salt (master salt mixed with the rotation counter)
+ * @param {Object} options - Generator options holding the passphrase settings
+ * @returns {Promise<string>} Generated passphrase
+ */
+export const generatePassphrase = async (keywords, salt, options) => {
+  const wordlist = getWordlist(options.wordlist);
+  const wordCount = options.passphraseWords;
+  const random = await createDeterministicRandom(
+    keywords,
+    salt,
+    `nuwault:passphrase:v1:${wordlist.id}`,
+    PASSPHRASE_ENTROPY_BYTES
+  );
+
+  const words = [];
+  for (let i = 0; i < wordCount; i++) {
+    words.push(random.pick(wordlist.words));
+  }
+
+  const styledWords = words.map(word => {
+    switch (options.passphraseCapitalization) {
+      case PASSPHRASE_CAPITALIZATION.FIRST:
+        return capitalizeFirst(word, wordlist.locale);
+      case PASSPHRASE_CAPITALIZATION.ALL:
+        return word.toLocaleUpperCase(wordlist.locale);
+      case PASSPHRASE_CAPITALIZATION.RANDOM:
+        return random.nextInt(2) === 1 ? capitalizeFirst(word, wordlist.locale) : word;
+      default:
+        return word;
+    }
+  });
+
+  let suffix = '';
+  if (options.passphraseSuffix === PASSPHRASE_SUFFIXES.DIGIT || options.passphraseSuffix === PASSPHRASE_SUFFIXES.BOTH) {
+    suffix += random.nextInt(10).toString();
+  }
+  const symbols = getSuffixSymbols(options);
+  if ((options.passphraseSuffix === PASSPHRASE_SUFFIXES.SYMBOL || options.passphraseSuffix === PASSPHRASE_SUFFIXES.BOTH) &&
+      symbols.length > 0) {
+    suffix += random.pick(symbols);
+  }
+
+  return styledWords.join(options.passphraseSeparator) + suffix;
+};
+
+/**
+ * Calculate the entropy of a passphrase configuration in bits.
+ * Measures the size of the output space, assuming uniformly chosen words.
+ *
+ * @param {Object} options - Generator options holding the passphrase settings
+ * @returns {number} Entropy in bits
+ */
+export const calculatePassphraseEntropy = (options) => {
+  const wordlist = getWordlist(options.wordlist);
+  const wordCount = options.passphraseWords;
+  let bits = wordCount * Math.log2(wordlist.words.length);
+
+  if (options.passphraseCapitalization === PASSPHRASE_CAPITALIZATION.RANDOM) {
+    bits += wordCount;
+  }
+  if (options.passphraseSuffix === PASSPHRASE_SUFFIXES.DIGIT || options.passphraseSuffix === PASSPHRASE_SUFFIXES.BOTH) {
+    bits += Math.log2(10);
+  }
+  const symbols = getSuffixSymbols(options);
+  if ((options.passphraseSuffix === PASSPHRASE_SUFFIXES.SYMBOL || options.passphraseSuffix === PASSPHRASE_SUFFIXES.BOTH) &&
+      symbols.length > 1) {
+    bits += Math.log2(symbols.length);
+  }
+
+  return bits;
+};
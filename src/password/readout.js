@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Password Readout
+ * Splits a password into fixed-size groups and describes every character
+ * for reading it aloud: its class, the NATO spelling word for letters and
+ * a name key for digits and symbols (translated by the readout view).
+ * Works on code points, so characters outside the BMP stay whole.
+ * @author NuwaX
+ */
+
+/**
+ * Selectable group sizes
+ */
+export const READOUT_GROUP_SIZES = [3, 4, 5, 6];
+
+/**
+ * Group size used until the user picks one
+ */
+export const DEFAULT_READOUT_GROUP_SIZE = 4;
+
+/**
+ * Character kinds, named like the generator's character classes
+ */
+export const READOUT_KINDS = {
+  UPPERCASE: 'uppercase',
+  LOWERCASE: 'lowercase',
+  NUMBERS: 'numbers',
+  SYMBOLS: 'symbols'
+};
+
+/**
+ * NATO/ICAO spelling alphabet; international, so it is not translated
+ */
+export const NATO_ALPHABET = {
+  A: 'Alfa', B: 'Bravo', C: 'Charlie', D: 'Delta', E: 'Echo', F: 'Foxtrot',
+  G: 'Golf', H: 'Hotel', I: 'India', J: 'Juliett', K: 'Kilo', L: 'Lima',
+  M: 'Mike', N: 'November', O: 'Oscar', P: 'Papa', Q: 'Quebec', R: 'Romeo',
+  S: 'Sierra', T: 'Tango', U: 'Uniform', V: 'Victor', W: 'Whiskey', X: 'X-ray',
+  Y: 'Yankee', Z: 'Zulu'
+};
+
+/**
+ * Translation keys for every printable ASCII symbol and the space
+ */
+export const SYMBOL_NAMES = {
+  ' ': 'space',
+  '!': 'exclamation',
+  '"': 'quote',
+  '#': 'hash',
+  '$': 'dollar',
+  '%': 'percent',
+  '&': 'ampersand',
+  '\'': 'apostrophe',
+  '(': 'leftParenthesis',
+  ')': 'rightParenthesis',
+  '*': 'asterisk',
+  '+': 'plus',
+  ',': 'comma',
+  '-': 'hyphen',
+  '.': 'period',
+  '/': 'slash',
+  ':': 'colon',
+  ';': 'semicolon',
+  '<': 'lessThan',
+  '=': 'equals',
+  '>': 'greaterThan',
+  '?': 'question',
+  '@': 'at',
+  '[': 'leftBracket',
+  '\\': 'backslash',
+  ']': 'rightBracket',
+  '^': 'caret',
+  '_': 'underscore',
+  '`': 'backtick',
+  '{': 'leftBrace',
+  '|': 'pipe',
+  '}': 'rightBrace',
+  '~': 'tilde'
+};
+
+/**
+ * Describe a single character
+ *
+ * @param {string} char - One code point
+ * @returns {Object} { char, kind, nato, nameKey, codePoint }; nato is the
+ *   spelling word for A-Z, nameKey the digit or symbol key, both null for
+ *   characters without a name
+ */
+export const describeCharacter = (char) => {
+  const codePoint = `U+${char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`;
+  const base = { char, nato: null, nameKey: null, codePoint };
+
+  if (/\p{Lu}/u.test(char)) {
+    return { ...base, kind: READOUT_KINDS.UPPERCASE, nato: NATO_ALPHABET[char] ?? null };
+  }
+  if (/\p{Ll}/u.test(char)) {
+    // Only a-z; e.g. the Turkish dotless "ı" also upper-cases to "I"
+    return { ...base, kind: READOUT_KINDS.LOWERCASE, nato: /[a-z]/.test(char) ? NATO_ALPHABET[char.toUpperCase()] : null };
+  }
+  if (/[0-9]/.test(char)) {
+    return { ...base, kind: READOUT_KINDS.NUMBERS, nameKey: char };
+  }
+  if (/\p{Nd}/u.test(char)) {
+    return { ...base, kind: READOUT_KINDS.NUMBERS };
+  }
+  return { ...base, kind: READOUT_KINDS.SYMBOLS, nameKey: SYMBOL_NAMES[char] ?? null };
+};
+
+/**
+ * Split a password into described character groups
+ *
+ * @param {string} password - Password to read out
+ * @param {number} groupSize - Characters per group
+ * @returns {Array<Array<Object>>} Groups of describeCharacter() results
+ */
+export const groupReadout = (password, groupSize) => {
+  const size = READOUT_GROUP_SIZES.includes(groupSize) ? groupSize : DEFAULT_READOUT_GROUP_SIZE;
+  const chars = Array.from(password || '').map(describeCharacter);
+  const groups = [];
+  for (let i = 0; i < chars.length; i += size) {
+    groups.push(chars.slice(i, i + size));
+  }
+  return groups;
+};
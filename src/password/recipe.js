@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Generation Recipes
+ * A recipe is the set of non-secret generation settings in a small,
+ * versioned JSON envelope, so a team can agree on length, character sets,
+ * counter and the other settings without retyping them. Recipes travel as a
+ * JSON file or base64url encoded in a "#recipe=" URL fragment (also used for
+ * the QR code). Keywords, the master secret and generated output are never
+ * part of a recipe.
+ * @author NuwaX
+ */
+
+import {
+  GENERATION_SETTING_KEYS,
+  ALGORITHM_VERSIONS,
+  pickGenerationSettings,
+  applyStoredGenerationSettings
+} from './generationSettings.js';
+
+/**
+ * Envelope identifier and version
+ */
+export const RECIPE_FORMAT = 'nuwault-recipe';
+export const RECIPE_VERSION = 1;
+
+/**
+ * URL fragment prefix of recipe links
+ */
+export const RECIPE_FRAGMENT_PREFIX = '#recipe=';
+
+/**
+ * Largest accepted recipe text, in characters
+ */
+export const RECIPE_MAX_LENGTH = 8192;
+
+/**
+ * Encode a string as base64url (UTF-8, no padding)
+ * @param {string} text - Text to encode
+ * @returns {string} Base64url string
+ */
+const toBase64Url = (text) => {
+  const binary = Array.from(new TextEncoder().encode(text), byte => String.fromCharCode(byte)).join('');
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/**
+ * Decode a base64url string (UTF-8, padding optional)
+ * @param {string} value - Base64url string
+ * @returns {string} Decoded text
+ * @throws {Error} When the value is not valid base64url or UTF-8
+ */
+const fromBase64Url = (value) => {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+  const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+  return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+};
+
+/**
+ * Build a recipe from generator options
+ *
+ * @param {Object} options - Generator options
+ * @returns {Object} Recipe envelope
+ */
+export const createRecipe = (options) => ({
+  format: RECIPE_FORMAT,
+  version: RECIPE_VERSION,
+  settings: pickGenerationSettings(options)
+});
+
+/**
+ * Serialize a recipe for a file download
+ *
+ * @param {Object} options - Generator options
+ * @returns {string} Pretty-printed JSON
+ */
+export const toRecipeJson = (options) => JSON.stringify(createRecipe(options), null, 2);
+
+/**
+ * Build a recipe link for the current page
+ *
+ * @param {Object} options - Generator options
+ * @param {string} baseUrl - Page URL without fragment
+ * @returns {string} URL ending in a #recipe= fragment
+ */
+export const toRecipeUrl = (options, baseUrl) => {
+  return `${baseUrl}${RECIPE_FRAGMENT_PREFIX}${toBase64Url(JSON.stringify(createRecipe(options)))}`;
+};
+
+/**
+ * Parse a recipe from a link, a bare "#recipe=" fragment or JSON text
+ *
+ * @param {string} text - Recipe text
+ * @returns {Object} { settings } or { error } with an error code
+ */
+export const parseRecipe = (text) => {
+  const source = String(text ?? '').trim();
+  if (!source) {
+    return { error: 'empty' };
+  }
+  if (source.length > RECIPE_MAX_LENGTH) {
+    return { error: 'tooLong' };
+  }
+
+  let data;
+  try {
+    const fragmentIndex = source.indexOf(RECIPE_FRAGMENT_PREFIX);
+    const json = fragmentIndex === -1
+      ? source
+      : fromBase64Url(decodeURIComponent(source.slice(fragmentIndex + RECIPE_FRAGMENT_PREFIX.length)));
+    data = JSON.parse(json);
+  } catch {
+    return { error: 'invalid' };
+  }
+
+  if (data?.format !== RECIPE_FORMAT || typeof data.settings !== 'object' || data.settings === null) {
+    return { error: 'invalid' };
+  }
+  if (data.version !== RECIPE_VERSION) {
+    return { error: 'unsupportedVersion' };
+  }
+
+  const settings = pickGenerationSettings(data.settings);
+  // An unknown algorithm version must not fall back to another one silently
+  if (settings.algorithmVersion !== undefined && !ALGORITHM_VERSIONS.includes(settings.algorithmVersion)) {
+    return { error: 'unsupportedAlgorithm' };
+  }
+
+  return { settings };
+};
+
+/**
+ * List what applying recipe settings would change. The settings are applied
+ * to a copy with the same validation used on import, so the list shows the
+ * exact resulting values.
+ *
+ * @param {Object} options - Current generator options
+ * @param {Object} settings - Parsed recipe settings
+ * @returns {Array} Changes as { key, from, to }
+ */
+export const diffRecipeSettings = (options, settings) => {
+  const updated = applyStoredGenerationSettings({ ...options }, settings);
+  return GENERATION_SETTING_KEYS
+    .filter(key => updated[key] !== options[key])
+    .map(key => ({ key, from: options[key], to: updated[key] }));
+};
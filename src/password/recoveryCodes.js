@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Deterministic Recovery Codes
+ * Derives a set of one-time recovery codes from the prepared keywords and a
+ * label naming the account, so a set can be regenerated instead of stored.
+ * Codes use the rotation counter like passwords do: raising the counter
+ * issues a fresh set. They come from one HKDF stream per label, consumed in
+ * order, so asking for more codes keeps the existing ones and only appends.
+ * The alphabet is Crockford base32 (no I, L, O or U), 5 bits per character.
+ * @author NuwaX
+ */
+
+import { createDeterministicRandom } from './entropy.js';
+
+/**
+ * Characters used in codes
+ */
+export const RECOVERY_CODE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+/**
+ * Bounds for count, length and label
+ */
+export const RECOVERY_CODE_LIMITS = {
+  minCount: 1,
+  maxCount: 20,
+  minLength: 6,
+  maxLength: 24,
+  labelLength: 128
+};
+
+/**
+ * Characters per dash-separated group; 0 means no grouping
+ */
+export const RECOVERY_CODE_GROUP_SIZES = [0, 3, 4, 5, 6];
+
+/**
+ * Default recovery code settings, e.g. ten codes like "XXXX-XXXX"
+ */
+export const DEFAULT_RECOVERY_CODE_SETTINGS = {
+  count: 10,
+  length: 8,
+  groupSize: 4
+};
+
+/**
+ * Bytes consumed per character; the alphabet size divides 2^32, so sampling
+ * never rejects and every character uses exactly one 32-bit draw
+ */
+const BYTES_PER_CHARACTER = 4;
+
+/**
+ * Check recovery code settings
+ *
+ * @param {Object} settings - { label, count, length, groupSize }
+ * @returns {string|null} Error code, or null when the settings are valid
+ */
+export const validateRecoveryCodeSettings = (settings) => {
+  const label = String(settings.label ?? '').trim();
+  if (!label) {
+    return 'missingLabel';
+  }
+  if (label.length > RECOVERY_CODE_LIMITS.labelLength) {
+    return 'labelTooLong';
+  }
+  if (!Number.isInteger(settings.count) ||
+      settings.count < RECOVERY_CODE_LIMITS.minCount ||
+      settings.count > RECOVERY_CODE_LIMITS.maxCount) {
+    return 'invalidCount';
+  }
+  if (!Number.isInteger(settings.length) ||
+      settings.length < RECOVERY_CODE_LIMITS.minLength ||
+      settings.length > RECOVERY_CODE_LIMITS.maxLength) {
+    return 'invalidLength';
+  }
+  if (!RECOVERY_CODE_GROUP_SIZES.includes(settings.groupSize)) {
+    return 'invalidGrouping';
+  }
+  return null;
+};
+
+/**
+ * Split a code into dash-separated groups
+ *
+ * @param {string} code - Ungrouped code
+ * @param {number} groupSize - Characters per group, 0 for none
+ * @returns {string} Formatted code
+ */
+export const formatRecoveryCode = (code, groupSize) => {
+  if (!groupSize) {
+    return code;
+  }
+  return code.match(new RegExp(`.{1,${groupSize}}`, 'g')).join('-');
+};
+
+/**
+ * Generate a deterministic set of recovery codes
+ *
+ * @param {string[]} keywords - Prepared keywords
+ * @param {string} salt - Salt (master salt mixed with the rotation counter)
+ * @param {Object} settings - { label, count, length, groupSize }
+ * @returns {Promise<string[]>} Formatted codes
+ * @throws {Error} When the settings are invalid
+ */
+export const generateRecoveryCodes = async (keywords, salt, settings) => {
+  const error = validateRecoveryCodeSettings(settings);
+  if (error) {
+    throw new Error(`Invalid recovery code settings: ${error}`);
+  }
+
+  const { count, length, groupSize } = settings;
+  const random = await createDeterministicRandom(
+    keywords,
+    salt,
+    `nuwault:recovery:v1:${String(settings.label).trim()}`,
+    count * length * BYTES_PER_CHARACTER
+  );
+
+  return Array.from({ length: count }, () => {
+    let code = '';
+    for (let i = 0; i < length; i++) {
+      code += random.pick(RECOVERY_CODE_ALPHABET);
+    }
+    return formatRecoveryCode(code, groupSize);
+  });
+};
@@ -0,0 +1,108 @@
+/**
+ * @fileoverview Deterministic Security-Question Answers
+ * Derives a readable made-up answer for a security question ("mother's
+ * maiden name" and the like) from the prepared keywords plus the question
+ * text, so the same question always gets the same answer and neither is
+ * stored. The question is normalized first, so differences in case,
+ * punctuation, quotes or spacing between sites do not change the answer.
+ * Answers use the English wordlist regardless of UI language, like the
+ * keyword fingerprint, so they are the same on every device.
+ * @author NuwaX
+ */
+
+import { createDeterministicRandom } from './entropy.js';
+import { WORDLISTS } from './passphrase.js';
+
+/**
+ * Available answer styles
+ */
+export const ANSWER_STYLES = {
+  WORDS: 'words',
+  PRONOUNCEABLE: 'pronounceable'
+};
+
+/**
+ * Answer shape and input bounds
+ */
+export const ANSWER_LIMITS = {
+  questionLength: 256,
+  words: 4,
+  tokens: 3,
+  syllablesPerToken: 3
+};
+
+const CONSONANTS = 'bdfghjklmnprstvz';
+const VOWELS = 'aeiou';
+
+/**
+ * Bytes of derived entropy per answer; enough for either style even with
+ * repeated rejection sampling
+ */
+const ANSWER_ENTROPY_BYTES = 128;
+
+/**
+ * Normalize a question: compatibility forms are folded (NFKD), letters are
+ * lowercased, accents and other combining marks are removed and everything
+ * except letters and digits separates words, so "What's your mother's
+ * maiden name?" and "what’s your Mother’s  maiden name" give the same answer.
+ *
+ * @param {string} question - Question as typed
+ * @returns {string} Lowercase words joined by single spaces
+ */
+export const normalizeQuestion = (question) => {
+  return String(question ?? '')
+    .normalize('NFKD')
+    .toLowerCase()
+    .replace(/\p{M}/gu, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .join(' ');
+};
+
+/**
+ * Build one pronounceable token from consonant-vowel syllables
+ * @param {DeterministicRandom} random - Random stream
+ * @returns {string} Token such as "tobira"
+ */
+const createPronounceableToken = (random) => {
+  let token = '';
+  for (let i = 0; i < ANSWER_LIMITS.syllablesPerToken; i++) {
+    token += random.pick(CONSONANTS) + random.pick(VOWELS);
+  }
+  return token;
+};
+
+/**
+ * Generate a deterministic answer for a security question
+ *
+ * @param {string[]} keywords - Prepared keywords
+ * @param {string} salt - Master salt
+ * @param {Object} settings - Answer settings holding style and question
+ * @returns {Promise<string>} Answer words or tokens separated by spaces
+ * @throws {Error} When the style is unknown or the question has no letters or digits
+ */
+export const generateSecurityAnswer = async (keywords, salt, settings) => {
+  const { style } = settings;
+  if (!Object.values(ANSWER_STYLES).includes(style)) {
+    throw new Error(`Unknown answer style: ${style}`);
+  }
+
+  const question = normalizeQuestion(settings.question);
+  if (!question) {
+    throw new Error('Empty security question');
+  }
+
+  const random = await createDeterministicRandom(
+    keywords,
+    salt,
+    `nuwault:answer:v1:${style}:${question}`,
+    ANSWER_ENTROPY_BYTES
+  );
+
+  if (style === ANSWER_STYLES.WORDS) {
+    const { words } = WORDLISTS.en;
+    return Array.from({ length: ANSWER_LIMITS.words }, () => random.pick(words)).join(' ');
+  }
+
+  return Array.from({ length: ANSWER_LIMITS.tokens }, () => createPronounceableToken(random)).join(' ');
+};
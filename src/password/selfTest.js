@@ -0,0 +1,225 @@
+/**
+ * @fileoverview Known-Answer Self-Test
+ * Runs fixed test vectors through the generation pipeline and compares the
+ * results with the outputs recorded for each algorithm version. A mismatch
+ * means a dependency or code change altered the passwords, so the generator
+ * refuses to produce any until it is fixed. Every vector carries complete
+ * settings and its own salt, so build configuration does not affect it.
+ * @author NuwaX
+ */
+
+import { runGeneration, runGenerationWithFingerprint } from './generationPipeline.js';
+import { ALGORITHM_VERSIONS } from './generationSettings.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Settings shared by all vectors; each vector overrides what it tests
+ */
+const BASE_VECTOR_OPTIONS = {
+  algorithmVersion: 1,
+  masterSalt: 'nuwault-known-answer-test',
+  length: 16,
+  includeUppercase: true,
+  includeLowercase: true,
+  includeNumbers: true,
+  includeSymbols: true,
+  uppercaseChars: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+  lowercaseChars: 'abcdefghijklmnopqrstuvwxyz',
+  numberChars: '0123456789',
+  symbols: '!@#$%^&*()_+-=[]{}|;:,.<>?',
+  excludeAmbiguous: false,
+  minUppercase: 1,
+  minLowercase: 1,
+  minNumbers: 1,
+  minSymbols: 1,
+  counter: 1,
+  keywordOrder: 'sensitive',
+  unicodeNormalization: 'none',
+  caseInsensitive: false,
+  collapseWhitespace: false,
+  outputMode: 'password',
+  passphraseWords: 5,
+  passphraseSeparator: '-',
+  passphraseCapitalization: 'none',
+  passphraseSuffix: 'none',
+  wordlist: 'en',
+  template: 'Aaaa-9999',
+  kdf: 'none',
+  kdfIterations: 0,
+  kdfMemory: 8
+};
+
+/**
+ * Known-answer vectors. Expected values were recorded with the version named
+ * in their options and must never be edited to make a failing test pass.
+ * Vectors with username, answer or recovery code settings check that output
+ * instead of the password.
+ */
+export const KNOWN_ANSWER_VECTORS = [
+  {
+    name: 'passphrase-en',
+    keywords: ['github', 'work'],
+    options: { outputMode: 'passphrase' },
+    expected: 'dish-feast-arch-tomato-early'
+  },
+  {
+    name: 'passphrase-tr-counter',
+    keywords: ['şirket', 'e-posta'],
+    options: {
+      outputMode: 'passphrase',
+      wordlist: 'tr',
+      passphraseWords: 4,
+      passphraseSeparator: '.',
+      passphraseCapitalization: 'first',
+      passphraseSuffix: 'both',
+      counter: 3
+    },
+    expected: 'Harf.Ulak.Sofa.Vakıf2&'
+  },
+  {
+    name: 'template',
+    keywords: ['legacy', 'system'],
+    options: { outputMode: 'template', template: 'Aaaa-9999-[!#$]' },
+    expected: 'Pitp-7506-!'
+  },
+  {
+    name: 'charset-custom',
+    keywords: ['bank', 'personal'],
+    options: { length: 24, excludeAmbiguous: true, minNumbers: 3, minSymbols: 2, symbols: '!#$%&*' },
+    expected: '5qKc2a9CvfLH!ES7JSxm!&V!'
+  },
+  {
+    name: 'normalization-order-secret',
+    keywords: ['\uFF2Dail ', '  work  Account'],
+    secret: 'correct horse battery staple',
+    options: {
+      length: 20,
+      includeSymbols: false,
+      excludeAmbiguous: true,
+      keywordOrder: 'insensitive',
+      unicodeNormalization: 'NFKC',
+      caseInsensitive: true,
+      collapseWhitespace: true
+    },
+    expected: 'UesW6DeEo5Wqbzni8ZB7'
+  },
+  {
+    name: 'pbkdf2-sha256',
+    keywords: ['vpn', 'office'],
+    options: { outputMode: 'template', template: 'aaaaaa-999999', kdf: 'pbkdf2-sha256', kdfIterations: 1000 },
+    expected: 'bucfcm-195321'
+  },
+  {
+    name: 'argon2id',
+    keywords: ['server', 'root'],
+    options: { outputMode: 'passphrase', kdf: 'argon2id', kdfIterations: 1, kdfMemory: 8 },
+    expected: 'graph-fox-pirate-gale-gamma'
+  },
+  {
+    name: 'username-words-counter',
+    keywords: ['github', 'work'],
+    options: { outputMode: 'passphrase', counter: 4 },
+    username: { style: 'words' },
+    expected: 'happy-raven-3527'
+  },
+  {
+    name: 'username-random',
+    keywords: ['github', 'work'],
+    options: { outputMode: 'passphrase' },
+    username: { style: 'random' },
+    expected: 'qjgkackpatga'
+  },
+  {
+    name: 'username-email-secret',
+    keywords: ['github', 'work'],
+    secret: 'correct horse battery staple',
+    options: { outputMode: 'passphrase' },
+    username: { style: 'email', email: 'Me@Company.COM' },
+    expected: 'Me+v8hjvb@company.com'
+  },
+  {
+    name: 'answer-words-counter',
+    keywords: ['github', 'work'],
+    options: { outputMode: 'passphrase', counter: 5 },
+    answer: { style: 'words', question: 'What was the name of your first pet?' },
+    expected: 'habit super entry cape'
+  },
+  {
+    name: 'answer-pronounceable-tr',
+    keywords: ['şirket', 'e-posta'],
+    options: { outputMode: 'passphrase' },
+    answer: { style: 'pronounceable', question: 'İlk evcil hayvanınızın adı?' },
+    expected: 'karumo mutotu dukibu'
+  },
+  {
+    name: 'recovery-codes',
+    keywords: ['internal', 'admin'],
+    options: { outputMode: 'passphrase' },
+    recoveryCodes: { label: 'vpn-portal', count: 4, length: 8, groupSize: 4 },
+    expected: '0GJP-NFA9 HJ8Y-EMYC ZFBK-7KHD MKTC-KDGW'
+  }
+];
+
+let selfTestPromise = null;
+
+/**
+ * Run a single vector
+ *
+ * @param {Object} vector - Known-answer vector
+ * @returns {Promise<Object|null>} Failure { name, reason }, or null when it passed
+ */
+const runVector = async (vector) => {
+  try {
+    const options = { ...BASE_VECTOR_OPTIONS, ...vector.options };
+    let output;
+    if (vector.username || vector.answer || vector.recoveryCodes) {
+      const extras = {
+        username: vector.username || null,
+        answer: vector.answer || null,
+        recoveryCodes: vector.recoveryCodes || null
+      };
+      const result = await runGenerationWithFingerprint(vector.keywords, options, vector.secret || '', extras);
+      output = vector.username ? result.username : vector.answer ? result.answer : result.recoveryCodes.join(' ');
+    } else {
+      output = await runGeneration(vector.keywords, options, vector.secret || '');
+    }
+    return output === vector.expected ? null : { name: vector.name, reason: 'mismatch' };
+  } catch (error) {
+    logger.error(`[SelfTest] Vector ${vector.name} threw:`, error);
+    return { name: vector.name, reason: 'error' };
+  }
+};
+
+/**
+ * Run all known-answer vectors once per page load. Later calls share the
+ * first run, so re-created generators do not repeat it.
+ *
+ * @returns {Promise<Object>} { passed, total, failures: [{ name, reason }] }
+ */
+export const runSelfTest = () => {
+  if (!selfTestPromise) {
+    selfTestPromise = (async () => {
+      const failures = [];
+
+      for (const vector of KNOWN_ANSWER_VECTORS) {
+        const failure = await runVector(vector);
+        if (failure) {
+          failures.push(failure);
+        }
+      }
+
+      // A version without vectors would be unprotected, which counts as a failure too
+      ALGORITHM_VERSIONS
+        .filter(version => !KNOWN_ANSWER_VECTORS.some(vector =>
+          (vector.options.algorithmVersion ?? BASE_VECTOR_OPTIONS.algorithmVersion) === version))
+        .forEach(version => failures.push({ name: `v${version}`, reason: 'missingVectors' }));
+
+      if (failures.length > 0) {
+        logger.error('[SelfTest] Known-answer test failed:', failures);
+      }
+
+      return { passed: failures.length === 0, total: KNOWN_ANSWER_VECTORS.length, failures };
+    })();
+  }
+  return selfTestPromise;
+};
@@ -0,0 +1,265 @@
+/**
+ * @fileoverview Password Template Masks
+ * Parses site-specific password shapes such as "Aaaa-9999" or
+ * "[A-Z]{3}[0-9]{5}" and fills them position by position from
+ * keyword-derived entropy.
+ *
+ * Syntax:
+ *   A  uppercase letter      a  lowercase letter
+ *   9  digit                 #  symbol
+ *   *  any of the above      [..]  custom set, ranges allowed ([a-f0-9])
+ *   {n}  repeat the previous token n times
+ *   \x  literal x            any other character is copied as-is
+ * @author NuwaX
+ */
+
+import { SECURITY_CONFIG } from '../utils/config.js';
+import { createDeterministicRandom, MAX_ENTROPY_BYTES } from './entropy.js';
+import { CHARACTER_CLASSES, DEFAULT_CHARSET_SETTINGS, resolveClassCharacters } from './charsets.js';
+
+/**
+ * Template size limits
+ */
+export const TEMPLATE_LIMITS = {
+  maxPatternLength: 256,
+  maxOutputLength: SECURITY_CONFIG.maxPasswordLength
+};
+
+/**
+ * Built-in presets for common legacy formats
+ */
+export const TEMPLATE_PRESETS = [
+  { id: 'pin', template: '999999' },
+  { id: 'bank', template: 'Aaaa-9999-aaaa' },
+  { id: 'wifi', template: '[a-km-np-z2-9]{4}-[a-km-np-z2-9]{4}-[a-km-np-z2-9]{4}-[a-km-np-z2-9]{4}' }
+];
+
+/**
+ * Default template for new generator instances
+ */
+export const DEFAULT_TEMPLATE = 'Aaaa-9999';
+
+/**
+ * Bytes of derived entropy per template: two 4-byte draws per position at
+ * maxOutputLength, so rejection sampling never runs dry. HKDF output
+ * prefixes do not depend on the length, so a larger maximum keeps
+ * existing passwords.
+ */
+const TEMPLATE_ENTROPY_BYTES = Math.min(TEMPLATE_LIMITS.maxOutputLength * 8, MAX_ENTROPY_BYTES);
+
+/**
+ * Character classes each shorthand draws from
+ */
+const SHORTHAND_CLASS_KEYS = {
+  A: ['uppercase'],
+  a: ['lowercase'],
+  9: ['numbers'],
+  '#': ['symbols'],
+  '*': ['uppercase', 'lowercase', 'numbers', 'symbols']
+};
+
+/**
+ * Build the shorthand character classes from the runtime character sets, so
+ * edited sets and the ambiguous-character exclusion apply to templates too.
+ * Whether a class is enabled only matters for character passwords; the
+ * template itself names the classes it uses.
+ *
+ * @param {Object} options - Generator options holding the character sets
+ * @returns {Object} Map of shorthand character to allowed characters, or to null when a class it draws from is empty
+ */
+const getShorthandClasses = (options) => {
+  const classChars = Object.fromEntries(
+    CHARACTER_CLASSES.map(charClass => [charClass.key, resolveClassCharacters(options, charClass)])
+  );
+
+  return Object.fromEntries(Object.entries(SHORTHAND_CLASS_KEYS).map(([shorthand, keys]) => [
+    shorthand,
+    keys.some(key => classChars[key].length === 0) ? null : uniqueChars(keys.flatMap(key => classChars[key]))
+  ]));
+};
+
+/**
+ * Split characters into an array without duplicates, keeping first occurrence order
+ * @param {string|string[]} chars - Characters
+ * @returns {string[]} Unique characters
+ */
+const uniqueChars = (chars) => Array.from(new Set(Array.from(chars)));
+
+/**
+ * Parse a bracketed character set starting after the opening bracket
+ *
+ * @param {string[]} chars - Template characters
+ * @param {number} start - Index just after "["
+ * @returns {Object} { chars, end } or { error }
+ */
+const parseCharacterSet = (chars, start) => {
+  const members = [];
+  let i = start;
+
+  while (i < chars.length && chars[i] !== ']') {
+    let char = chars[i];
+    if (char === '\\') {
+      if (i + 1 >= chars.length) {
+        return { error: { code: 'danglingEscape', position: i + 1 } };
+      }
+      char = chars[++i];
+    }
+
+    // A dash between two members describes a range; anywhere else it is literal
+    if (chars[i + 1] === '-' && i + 2 < chars.length && chars[i + 2] !== ']') {
+      let end = chars[i + 2];
+      let next = i + 3;
+      if (end === '\\') {
+        if (i + 3 >= chars.length) {
+          return { error: { code: 'danglingEscape', position: i + 3 } };
+        }
+        end = chars[i + 3];
+        next = i + 4;
+      }
+
+      const from = char.codePointAt(0);
+      const to = end.codePointAt(0);
+      if (from > to || to - from > 0xFF) {
+        return { error: { code: 'invalidRange', position: i + 1 } };
+      }
+      for (let code = from; code <= to; code++) {
+        members.push(String.fromCodePoint(code));
+      }
+      i = next;
+    } else {
+      members.push(char);
+      i++;
+    }
+  }
+
+  if (i >= chars.length) {
+    return { error: { code: 'unclosedSet', position: start } };
+  }
+  if (members.length === 0) {
+    return { error: { code: 'emptySet', position: start } };
+  }
+
+  return { chars: uniqueChars(members), end: i + 1 };
+};
+
+/**
+ * Parse a template into one token per output position.
+ * Errors carry a translation code and a 1-based position for the UI.
+ *
+ * @param {string} template - Template pattern
+ * @param {Object} [options] - Generator options holding the character sets
+ * @returns {Object} { tokens: Array<{chars: string[], literal: boolean}>, error: Object|null }
+ */
+export const parseTemplate = (template, options = DEFAULT_CHARSET_SETTINGS) => {
+  const fail = (code, position = 0) => ({ tokens: [], error: { code, position } });
+
+  if (typeof template !== 'string' || template.length === 0) {
+    return fail('empty');
+  }
+  if (template.length > TEMPLATE_LIMITS.maxPatternLength) {
+    return fail('patternTooLong');
+  }
+
+  const shorthand = getShorthandClasses(options);
+  const chars = Array.from(template);
+  const tokens = [];
+  let previous = null;
+  let i = 0;
+
+  while (i < chars.length) {
+    const char = chars[i];
+
+    if (char === '{') {
+      const close = chars.indexOf('}', i);
+      const body = close === -1 ? '' : chars.slice(i + 1, close).join('');
+      if (!previous) {
+        return fail('nothingToRepeat', i + 1);
+      }
+      if (!/^\d{1,3}$/.test(body) || parseInt(body, 10) < 1) {
+        return fail('invalidQuantifier', i + 1);
+      }
+      // The token itself was already emitted once
+      for (let n = 1; n < parseInt(body, 10); n++) {
+        tokens.push(previous);
+      }
+      if (tokens.length > TEMPLATE_LIMITS.maxOutputLength) {
+        return fail('outputTooLong');
+      }
+      previous = null;
+      i = close + 1;
+      continue;
+    }
+
+    let token;
+    if (char === '[') {
+      const set = parseCharacterSet(chars, i + 1);
+      if (set.error) {
+        return { tokens: [], error: set.error };
+      }
+      token = { chars: set.chars, literal: set.chars.length === 1 };
+      i = set.end;
+    } else if (char === '\\') {
+      if (i + 1 >= chars.length) {
+        return fail('danglingEscape', i + 1);
+      }
+      token = { chars: [chars[i + 1]], literal: true };
+      i += 2;
+    } else if (Object.hasOwn(shorthand, char)) {
+      if (!shorthand[char]) {
+        return fail('emptyClass', i + 1);
+      }
+      token = { chars: shorthand[char], literal: false };
+      i++;
+    } else {
+      token = { chars: [char], literal: true };
+      i++;
+    }
+
+    tokens.push(token);
+    previous = token;
+
+    if (tokens.length > TEMPLATE_LIMITS.maxOutputLength) {
+      return fail('outputTooLong');
+    }
+  }
+
+  if (!tokens.some(token => !token.literal)) {
+    return fail('noRandomPositions');
+  }
+
+  return { tokens, error: null };
+};
+
+/**
+ * Calculate the entropy of a parsed template in bits
+ * @param {Array} tokens - Parsed template tokens
+ * @returns {number} Entropy in bits
+ */
+export const calculateTemplateEntropy = (tokens) => {
+  return tokens.reduce((bits, token) => bits + (token.literal ? 0 : Math.log2(token.chars.length)), 0);
+};
+
+/**
+ * Generate a deterministic password from a template
+ *
+ * @param {string[]} keywords - Keywords in generation order
+ * @param {string} salt - Salt (master salt mixed with the rotation counter)
+ * @param {Object} options - Generator options holding the template and character sets
+ * @returns {Promise<string>} Generated password
+ */
+export const generateFromTemplate = async (keywords, salt, options) => {
+  const { tokens, error } = parseTemplate(options.template, options);
+  if (error) {
+    throw new Error(`Invalid template: ${error.code}`);
+  }
+
+  // The template is part of the label so different shapes never share a stream
+  const random = await createDeterministicRandom(
+    keywords,
+    salt,
+    `nuwault:template:v1:${options.template}`,
+    TEMPLATE_ENTROPY_BYTES
+  );
+
+  return tokens.map(token => token.literal ? token.chars[0] : random.pick(token.chars)).join('');
+};
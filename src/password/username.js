@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Deterministic Username Generation
+ * Derives an account name from the same prepared keywords as the password,
+ * under its own HKDF label, so seeing the username reveals nothing about the
+ * password. Styles: adjective-noun-number, random lowercase letters, or a
+ * plus-addressed alias of a base email address. Word lists are ASCII only,
+ * because many services restrict usernames to it.
+ * @author NuwaX
+ */
+
+import { createDeterministicRandom } from './entropy.js';
+
+/**
+ * Available username styles
+ */
+export const USERNAME_STYLES = {
+  WORDS: 'words',
+  RANDOM: 'random',
+  EMAIL: 'email'
+};
+
+/**
+ * Lengths of the generated parts
+ */
+export const USERNAME_LIMITS = {
+  numberDigits: 4,
+  randomLength: 12,
+  emailTagLength: 6,
+  emailLength: 254
+};
+
+/**
+ * Default username settings (the output is off until enabled)
+ */
+export const DEFAULT_USERNAME_SETTINGS = {
+  enabled: false,
+  style: USERNAME_STYLES.WORDS,
+  email: '',
+  mask: false
+};
+
+const ADJECTIVES = [
+  'amber', 'bold', 'brave', 'brisk', 'calm', 'clever', 'cosmic', 'crisp',
+  'daring', 'eager', 'early', 'fancy', 'fast', 'fierce', 'gentle', 'giant',
+  'glad', 'golden', 'grand', 'happy', 'hidden', 'humble', 'icy', 'jolly',
+  'keen', 'kind', 'lively', 'lucky', 'lunar', 'mellow', 'mighty', 'misty',
+  'noble', 'polar', 'proud', 'quick', 'quiet', 'rapid', 'rare', 'royal',
+  'rusty', 'sandy', 'shiny', 'silent', 'silver', 'sleek', 'smart', 'snowy',
+  'solar', 'spicy', 'steady', 'stormy', 'sunny', 'swift', 'tidy', 'tiny',
+  'urban', 'vivid', 'warm', 'wild', 'wise', 'witty', 'young', 'zesty'
+];
+
+const NOUNS = [
+  'anchor', 'badger', 'beacon', 'bison', 'canyon', 'castle', 'cedar', 'comet',
+  'coral', 'crane', 'delta', 'dolphin', 'eagle', 'ember', 'falcon', 'fern',
+  'forest', 'fox', 'glacier', 'harbor', 'hawk', 'heron', 'island', 'jaguar',
+  'koala', 'lagoon', 'lantern', 'lemur', 'lynx', 'maple', 'meadow', 'meteor',
+  'moose', 'nebula', 'oasis', 'orbit', 'otter', 'owl', 'panda', 'pebble',
+  'pine', 'planet', 'prairie', 'puffin', 'quartz', 'raven', 'reef', 'river',
+  'robin', 'rocket', 'sparrow', 'summit', 'tiger', 'thunder', 'tundra', 'valley',
+  'viking', 'walrus', 'willow', 'wolf', 'yak', 'zebra', 'zenith', 'pioneer'
+];
+
+const LOWERCASE = 'abcdefghijklmnopqrstuvwxyz';
+const TAG_CHARACTERS = 'abcdefghijklmnopqrstuvwxyz0123456789';
+
+/**
+ * Bytes of derived entropy per username; enough for the longest style even
+ * with repeated rejection sampling
+ */
+const USERNAME_ENTROPY_BYTES = 128;
+
+/**
+ * Split a base email address into its parts. Addresses that already carry a
+ * "+" tag are rejected so the alias is never ambiguous.
+ *
+ * @param {string} value - Base address such as "me@company.com"
+ * @returns {Object|null} { local, domain }, or null when the address is invalid
+ */
+export const parseBaseEmail = (value) => {
+  const address = String(value ?? '').trim();
+  if (address.length + USERNAME_LIMITS.emailTagLength + 1 > USERNAME_LIMITS.emailLength) {
+    return null;
+  }
+
+  const match = /^([^\s@+"]+)@([^\s@]+\.[^\s@.]+)$/.exec(address);
+  return match ? { local: match[1], domain: match[2].toLowerCase() } : null;
+};
+
+/**
+ * Pick a fixed number of characters
+ * @param {DeterministicRandom} random - Random stream
+ * @param {string} alphabet - Candidate characters
+ * @param {number} count - Number of characters
+ * @returns {string} Picked characters
+ */
+const pickCharacters = (random, alphabet, count) => {
+  return Array.from({ length: count }, () => random.pick(alphabet)).join('');
+};
+
+/**
+ * Generate a deterministic username
+ *
+ * @param {string[]} keywords - Prepared keywords
+ * @param {string} salt - Master salt
+ * @param {Object} settings - Username settings holding style and, for the email style, email
+ * @returns {Promise<string>} Generated username
+ * @throws {Error} When the style is unknown or the base email address is invalid
+ */
+export const generateUsername = async (keywords, salt, settings) => {
+  const { style } = settings;
+  if (!Object.values(USERNAME_STYLES).includes(style)) {
+    throw new Error(`Unknown username style: ${style}`);
+  }
+
+  const random = await createDeterministicRandom(
+    keywords,
+    salt,
+    `nuwault:username:v1:${style}`,
+    USERNAME_ENTROPY_BYTES
+  );
+
+  if (style === USERNAME_STYLES.WORDS) {
+    const number = String(random.nextInt(10 ** USERNAME_LIMITS.numberDigits)).padStart(USERNAME_LIMITS.numberDigits, '0');
+    return `${random.pick(ADJECTIVES)}-${random.pick(NOUNS)}-${number}`;
+  }
+
+  if (style === USERNAME_STYLES.RANDOM) {
+    return pickCharacters(random, LOWERCASE, USERNAME_LIMITS.randomLength);
+  }
+
+  const email = parseBaseEmail(settings.email);
+  if (!email) {
+    throw new Error('Invalid base email address');
+  }
+  return `${email.local}+${pickCharacters(random, TAG_CHARACTERS, USERNAME_LIMITS.emailTagLength)}@${email.domain}`;
+};
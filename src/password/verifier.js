@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Password Verifier
+ * Short, salted and truncated check value stored with a profile so the
+ * generator can tell whether regenerated output matches what was used last
+ * time. Only 12 bits are kept: a wrong password is still caught 4095 times
+ * out of 4096, while the stored value narrows down nothing about the password
+ * or the keywords in practice.
+ * @author NuwaX
+ */
+
+/**
+ * Number of bits kept from the salted hash
+ */
+export const VERIFIER_BITS = 12;
+
+/**
+ * Random salt length in bytes
+ */
+const VERIFIER_SALT_BYTES = 16;
+
+const encoder = new TextEncoder();
+
+/**
+ * Convert bytes to a lowercase hex string
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Hex string
+ */
+const toHex = (bytes) => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+
+/**
+ * Convert a hex string to bytes
+ * @param {string} hex - Hex string
+ * @returns {Uint8Array} Decoded bytes
+ */
+const fromHex = (hex) => new Uint8Array(hex.match(/../g).map(pair => parseInt(pair, 16)));
+
+/**
+ * Compute the truncated HMAC-SHA-256 of a password under a salt
+ *
+ * @param {string} password - Generated password
+ * @param {string} salt - Hex encoded salt
+ * @returns {Promise<number>} Check value in [0, 2^VERIFIER_BITS)
+ */
+const computeCheckValue = async (password, salt) => {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    fromHex(salt),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const mac = new Uint8Array(await crypto.subtle.sign('HMAC', key, encoder.encode(`nuwault:verifier:v1:${password}`)));
+  return ((mac[0] << 8) | mac[1]) >>> (16 - VERIFIER_BITS);
+};
+
+/**
+ * Create a verifier for a password with a fresh random salt, so the same
+ * password stored with two profiles gives unrelated values
+ *
+ * @param {string} password - Generated password
+ * @returns {Promise<Object>} { version, salt, bits, value }
+ */
+export const createVerifier = async (password) => {
+  const salt = toHex(crypto.getRandomValues(new Uint8Array(VERIFIER_SALT_BYTES)));
+  return {
+    version: 1,
+    salt,
+    bits: VERIFIER_BITS,
+    value: await computeCheckValue(password, salt)
+  };
+};
+
+/**
+ * Validate a stored verifier
+ *
+ * @param {*} verifier - Candidate verifier
+ * @returns {boolean} True when the verifier can be checked
+ */
+export const isValidVerifier = (verifier) => {
+  return Boolean(verifier) &&
+    verifier.version === 1 &&
+    verifier.bits === VERIFIER_BITS &&
+    typeof verifier.salt === 'string' &&
+    /^[0-9a-f]+$/.test(verifier.salt) &&
+    verifier.salt.length === VERIFIER_SALT_BYTES * 2 &&
+    Number.isInteger(verifier.value) &&
+    verifier.value >= 0 &&
+    verifier.value < 2 ** VERIFIER_BITS;
+};
+
+/**
+ * Check a password against a stored verifier
+ *
+ * @param {string} password - Regenerated password
+ * @param {Object} verifier - Stored verifier
+ * @returns {Promise<boolean>} True when the password matches
+ */
+export const checkVerifier = async (password, verifier) => {
+  if (!password || !isValidVerifier(verifier)) {
+    return false;
+  }
+  return (await computeCheckValue(password, verifier.salt)) === verifier.value;
+};
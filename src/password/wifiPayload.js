@@ -0,0 +1,72 @@
+/**
+ * @fileoverview Wi-Fi QR Payload
+ * Builds the "WIFI:" payload phone cameras read to join a network, e.g.
+ * WIFI:T:WPA;S:<ssid>;P:<password>;; with the special characters of each
+ * field backslash-escaped, and checks the password against the WPA rules.
+ * @author NuwaX
+ */
+
+/**
+ * Longest SSID in bytes (IEEE 802.11)
+ */
+export const WIFI_SSID_MAX_BYTES = 32;
+
+/**
+ * WPA passphrase length bounds in characters
+ */
+export const WIFI_PASSWORD_LIMITS = {
+  minLength: 8,
+  maxLength: 63
+};
+
+/**
+ * Escape the characters that delimit payload fields
+ *
+ * @param {string} value - Field value
+ * @returns {string} Escaped value
+ */
+const escapeField = (value) => value.replace(/[\\;,:"]/g, char => `\\${char}`);
+
+/**
+ * Check an SSID
+ *
+ * @param {string} ssid - Network name
+ * @returns {string|null} Error code, or null when the SSID is valid
+ */
+export const validateSsid = (ssid) => {
+  if (!ssid) {
+    return 'missingSsid';
+  }
+  if (new TextEncoder().encode(ssid).length > WIFI_SSID_MAX_BYTES) {
+    return 'ssidTooLong';
+  }
+  return null;
+};
+
+/**
+ * Check whether a password is a valid WPA passphrase: 8-63 printable
+ * ASCII characters. Other passwords still encode, but routers reject them.
+ *
+ * @param {string} password - Password to check
+ * @returns {string|null} Warning code, or null when the password is valid
+ */
+export const checkWifiPassword = (password) => {
+  if (password.length < WIFI_PASSWORD_LIMITS.minLength || password.length > WIFI_PASSWORD_LIMITS.maxLength) {
+    return 'passwordLength';
+  }
+  if (!/^[\x20-\x7E]+$/.test(password)) {
+    return 'passwordCharacters';
+  }
+  return null;
+};
+
+/**
+ * Build the Wi-Fi payload for a WPA/WPA2/WPA3 network
+ *
+ * @param {string} ssid - Network name
+ * @param {string} password - Network password
+ * @returns {string} WIFI: payload
+ */
+export const buildWifiPayload = (ssid, password) => {
+  return `WIFI:T:WPA;S:${escapeField(ssid)};P:${escapeField(password)};;`;
+};
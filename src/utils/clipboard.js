@@ -0,0 +1,423 @@
+/**
+ * @fileoverview Clipboard Subsystem
+ * Every copy in the app goes through this module. Sensitive values are
+ * written with the "concealed" clipboard hints where the browser accepts
+ * them and are cleared again after a configurable time, unless something
+ * else was copied in the meantime. Non-secure contexts (the file: protocol)
+ * have no async clipboard API and fall back to a copy command. Only the
+ * time of the last copy is kept for the UI, never the value.
+ * @author NuwaX
+ */
+
+import { toast } from './toast.js';
+import { logger } from './logger.js';
+
+/**
+ * Selectable auto-clear delays in seconds; 0 turns auto-clear off
+ */
+export const CLIPBOARD_CLEAR_OPTIONS = [0, 15, 30, 60, 120];
+
+/**
+ * Auto-clear delay used until the user picks one
+ */
+export const DEFAULT_CLIPBOARD_CLEAR_SECONDS = 30;
+
+/**
+ * Auto-clear states reported to subscribers
+ */
+export const CLIPBOARD_STATES = {
+  IDLE: 'idle',
+  PENDING: 'pending',
+  WAITING_FOCUS: 'waitingFocus',
+  CLEARED: 'cleared',
+  REPLACED: 'replaced',
+  UNVERIFIED: 'unverified'
+};
+
+/**
+ * Clipboard formats that ask clipboard managers and history features to
+ * skip a value (macOS pasteboard convention and KDE Klipper). They are only
+ * added where ClipboardItem.supports() accepts them or in the copy command
+ * fallback; browsers decide which formats reach the system clipboard.
+ */
+const SENSITIVE_HINTS = {
+  'application/x-nspasteboard-concealed-type': 'secret',
+  'x-kde-passwordManagerHint': 'secret'
+};
+
+/**
+ * How long the copy button stays highlighted, in milliseconds
+ */
+const COPY_FEEDBACK_DURATION = 1000;
+
+const STORAGE_KEY = 'nuwault-clipboard-clear-seconds';
+
+/**
+ * Load the auto-clear delay
+ * @returns {number} Delay in seconds
+ */
+const loadClearSeconds = () => {
+  try {
+    const saved = parseInt(localStorage.getItem(STORAGE_KEY), 10);
+    if (CLIPBOARD_CLEAR_OPTIONS.includes(saved)) {
+      return saved;
+    }
+  } catch (error) {
+    logger.warn('[Clipboard] Failed to load auto-clear preference:', error);
+  }
+  return DEFAULT_CLIPBOARD_CLEAR_SECONDS;
+};
+
+const state = {
+  clearSeconds: loadClearSeconds(),
+  status: CLIPBOARD_STATES.IDLE,
+  expiresAt: 0,
+  lastCopiedAt: 0,
+  pendingValue: null,
+  writingWithCommand: false,
+  timeout: null,
+  listeners: new Set()
+};
+
+/**
+ * Tell subscribers about a state change
+ */
+const notify = () => {
+  const snapshot = getClipboardState();
+  state.listeners.forEach(listener => listener(snapshot));
+};
+
+/**
+ * Check whether the async clipboard API can be used
+ * @returns {boolean} True in secure contexts that expose it
+ */
+const hasAsyncClipboard = () => {
+  return Boolean(window.isSecureContext && navigator.clipboard?.writeText);
+};
+
+/**
+ * Write text with the async clipboard API, adding the sensitive hints the
+ * browser supports
+ * @param {string} text - Text to write
+ * @param {boolean} sensitive - Whether to add the hints
+ * @returns {Promise<void>} Resolves once written
+ */
+const writeAsync = async (text, sensitive) => {
+  const supports = typeof ClipboardItem !== 'undefined' && ClipboardItem.supports;
+  const hintTypes = sensitive && supports
+    ? Object.keys(SENSITIVE_HINTS).filter(type => ClipboardItem.supports(type))
+    : [];
+
+  if (hintTypes.length === 0) {
+    await navigator.clipboard.writeText(text);
+    return;
+  }
+
+  const items = { 'text/plain': new Blob([text], { type: 'text/plain' }) };
+  hintTypes.forEach(type => {
+    items[type] = new Blob([SENSITIVE_HINTS[type]], { type });
+  });
+  await navigator.clipboard.write([new ClipboardItem(items)]);
+};
+
+/**
+ * Copy with the legacy copy command, for contexts without the async API.
+ * The copy event supplies the data, so the hints can be added as well.
+ * @param {string} text - Text to write
+ * @param {boolean} sensitive - Whether to add the hints
+ * @returns {boolean} True when the browser reported success
+ */
+const writeWithCommand = (text, sensitive) => {
+  const previousFocus = document.activeElement;
+  const textarea = document.createElement('textarea');
+  textarea.value = text;
+  textarea.setAttribute('readonly', '');
+  textarea.setAttribute('aria-hidden', 'true');
+  textarea.style.cssText = 'position:fixed;top:0;left:0;width:1px;height:1px;opacity:0;pointer-events:none;';
+
+  const handleCopy = (event) => {
+    event.clipboardData.setData('text/plain', text);
+    if (sensitive) {
+      Object.entries(SENSITIVE_HINTS).forEach(([type, value]) => {
+        try {
+          event.clipboardData.setData(type, value);
+        } catch {
+          // Formats the browser refuses are skipped
+        }
+      });
+    }
+    event.preventDefault();
+  };
+
+  document.body.appendChild(textarea);
+  document.addEventListener('copy', handleCopy);
+  state.writingWithCommand = true;
+  try {
+    textarea.select();
+    return document.execCommand('copy');
+  } catch (error) {
+    logger.warn('[Clipboard] Copy command failed:', error);
+    return false;
+  } finally {
+    state.writingWithCommand = false;
+    document.removeEventListener('copy', handleCopy);
+    textarea.value = '';
+    textarea.remove();
+    previousFocus?.focus?.();
+  }
+};
+
+/**
+ * Check whether the clipboard can be read without a prompt. Firefox and
+ * Safari ask the user (or refuse) on every read, so only an already
+ * granted permission counts; browsers without the permission name throw.
+ * @returns {Promise<boolean>} True when readText() will not prompt
+ */
+const canReadWithoutPrompt = async () => {
+  if (!navigator.clipboard?.readText || !navigator.permissions?.query) {
+    return false;
+  }
+  try {
+    const permission = await navigator.permissions.query({ name: 'clipboard-read' });
+    return permission.state === 'granted';
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Text a copy or cut event takes from the page
+ * @param {EventTarget} target - Event target
+ * @returns {string} Selected text of the field or the document
+ */
+const getSelectedText = (target) => {
+  if (typeof target?.value === 'string' && typeof target.selectionStart === 'number') {
+    return target.value.slice(target.selectionStart, target.selectionEnd);
+  }
+  return document.getSelection()?.toString() ?? '';
+};
+
+/**
+ * A copy or cut of other text in the page replaces the value waiting to be
+ * cleared, so that text must be left alone
+ * @param {ClipboardEvent} event - Copy or cut event
+ */
+const handlePageCopy = (event) => {
+  if (state.writingWithCommand || state.pendingValue === null) return;
+  if (getSelectedText(event.target) === state.pendingValue) return;
+  resetPending(CLIPBOARD_STATES.REPLACED);
+  notify();
+};
+
+/**
+ * Forget the value waiting to be cleared
+ * @param {string} status - State to report afterwards
+ */
+const resetPending = (status) => {
+  clearTimeout(state.timeout);
+  window.removeEventListener('focus', clearIfUnchanged);
+  document.removeEventListener('copy', handlePageCopy);
+  document.removeEventListener('cut', handlePageCopy);
+  state.timeout = null;
+  state.pendingValue = null;
+  state.expiresAt = 0;
+  state.status = status;
+};
+
+/**
+ * Clear the clipboard unless something else was copied since. Where reading
+ * is already permitted the clipboard is compared with the copied value;
+ * elsewhere it is cleared as long as the app made the last copy it knows
+ * of, which cannot include copies in other applications. Writing needs the
+ * page focused, so a tab in the background waits for focus. Without the
+ * async API there is no way to clear from a timer and the value is left.
+ */
+const clearIfUnchanged = async () => {
+  const value = state.pendingValue;
+  if (value === null) return;
+
+  const canWrite = hasAsyncClipboard();
+  if (canWrite && !document.hasFocus()) {
+    state.status = CLIPBOARD_STATES.WAITING_FOCUS;
+    window.addEventListener('focus', clearIfUnchanged, { once: true });
+    notify();
+    return;
+  }
+
+  let status = CLIPBOARD_STATES.UNVERIFIED;
+  if (canWrite) {
+    try {
+      if (await canReadWithoutPrompt() && await navigator.clipboard.readText() !== value) {
+        status = CLIPBOARD_STATES.REPLACED;
+      } else {
+        await navigator.clipboard.writeText('');
+        status = CLIPBOARD_STATES.CLEARED;
+      }
+    } catch (error) {
+      logger.warn('[Clipboard] Could not clear the clipboard:', error);
+    }
+  }
+
+  // A newer copy may have started while the clipboard was read
+  if (state.pendingValue !== value) return;
+  resetPending(status);
+  notify();
+};
+
+/**
+ * Start the auto-clear countdown for a copied value
+ * @param {string} value - Copied value
+ */
+const scheduleClear = (value) => {
+  resetPending(CLIPBOARD_STATES.PENDING);
+  state.pendingValue = value;
+  state.expiresAt = state.lastCopiedAt + state.clearSeconds * 1000;
+  state.timeout = setTimeout(clearIfUnchanged, state.clearSeconds * 1000);
+  document.addEventListener('copy', handlePageCopy);
+  document.addEventListener('cut', handlePageCopy);
+};
+
+/**
+ * Current clipboard state for the UI
+ * @returns {Object} { clearSeconds, status, expiresAt, lastCopiedAt }
+ */
+export const getClipboardState = () => ({
+  clearSeconds: state.clearSeconds,
+  status: state.status,
+  expiresAt: state.expiresAt,
+  lastCopiedAt: state.lastCopiedAt
+});
+
+/**
+ * Subscribe to clipboard state changes
+ * @param {Function} listener - Called with the state from getClipboardState()
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeClipboard = (listener) => {
+  state.listeners.add(listener);
+  return () => state.listeners.delete(listener);
+};
+
+/**
+ * Change the auto-clear delay. A running countdown keeps its copy time and
+ * is rescheduled, or stopped when auto-clear is turned off.
+ * @param {number} seconds - One of CLIPBOARD_CLEAR_OPTIONS
+ */
+export const setClipboardClearSeconds = (seconds) => {
+  if (!CLIPBOARD_CLEAR_OPTIONS.includes(seconds)) return;
+
+  state.clearSeconds = seconds;
+  try {
+    localStorage.setItem(STORAGE_KEY, String(seconds));
+  } catch (error) {
+    logger.warn('[Clipboard] Failed to save auto-clear preference:', error);
+  }
+
+  if (state.pendingValue !== null) {
+    if (seconds === 0) {
+      resetPending(CLIPBOARD_STATES.IDLE);
+    } else {
+      const remaining = Math.max(0, state.lastCopiedAt + seconds * 1000 - Date.now());
+      clearTimeout(state.timeout);
+      state.expiresAt = Date.now() + remaining;
+      state.timeout = setTimeout(clearIfUnchanged, remaining);
+    }
+  }
+  notify();
+};
+
+/**
+ * Clear the clipboard now, on request. The user asked for it, so the
+ * clipboard is emptied without checking what it holds.
+ * @returns {Promise<boolean>} True when the clipboard was cleared
+ */
+export const clearClipboardNow = async () => {
+  let cleared = false;
+  if (hasAsyncClipboard()) {
+    try {
+      await navigator.clipboard.writeText('');
+      cleared = true;
+    } catch (error) {
+      logger.warn('[Clipboard] Failed to clear the clipboard:', error);
+    }
+  } else {
+    // The copy command ignores empty text, so a single space overwrites the value instead
+    cleared = writeWithCommand(' ', false);
+  }
+
+  if (cleared) {
+    resetPending(CLIPBOARD_STATES.CLEARED);
+    notify();
+  }
+  return cleared;
+};
+
+/**
+ * Copy text to the clipboard
+ * @param {string} text - Text to copy
+ * @param {Object} [options] - Copy options
+ * @param {boolean} [options.sensitive=true] - Add the concealed hints and schedule auto-clear
+ * @returns {Promise<boolean>} True when the text was copied
+ */
+export const copyText = async (text, { sensitive = true } = {}) => {
+  let copied = false;
+  if (hasAsyncClipboard()) {
+    try {
+      await writeAsync(text, sensitive);
+      copied = true;
+    } catch (error) {
+      logger.warn('[Clipboard] Async clipboard write failed, trying the copy command:', error);
+    }
+  }
+  if (!copied) {
+    copied = writeWithCommand(text, sensitive);
+  }
+  if (!copied) {
+    return false;
+  }
+
+  state.lastCopiedAt = Date.now();
+  if (sensitive && state.clearSeconds > 0) {
+    scheduleClear(text);
+  } else {
+    // Whatever was waiting to be cleared is no longer on the clipboard
+    resetPending(CLIPBOARD_STATES.IDLE);
+  }
+  notify();
+  return true;
+};
+
+/**
+ * Copy a value and report the outcome with a toast and a short green flash
+ * of the copy button
+ * @param {string} value - Value to copy
+ * @param {HTMLElement|null} button - Copy button to highlight on success
+ * @param {Object} messages - Translated toast messages
+ * @param {string} messages.success - Shown after copying
+ * @param {string} messages.failure - Shown when copying failed
+ * @param {string} messages.empty - Shown when there is nothing to copy
+ * @param {Object} [options] - Options passed to copyText
+ * @returns {Promise<boolean>} True when the value was copied
+ */
+export const copyWithFeedback = async (value, button, messages, options = {}) => {
+  if (!value || value.trim().length === 0) {
+    toast.warning(messages.empty);
+    return false;
+  }
+
+  if (!await copyText(value, options)) {
+    toast.error(messages.failure);
+    return false;
+  }
+
+  if (button) {
+    const originalStyle = button.style.backgroundColor;
+    button.style.backgroundColor = '#10b981';
+    setTimeout(() => {
+      button.style.backgroundColor = originalStyle;
+    }, COPY_FEEDBACK_DURATION);
+  }
+
+  toast.success(messages.success);
+  return true;
+};
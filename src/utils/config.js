@@ -23,6 +23,9 @@ export const SECURITY_CONFIG = {
   defaultPasswordLength: parseInt(import.meta.env.VITE_DEFAULT_PASSWORD_LENGTH) || 16,
   hashAlgorithm: import.meta.env.VITE_HASH_ALGORITHM || 'SHA-512',
   hashIterations: parseInt(import.meta.env.VITE_HASH_ITERATIONS) || 1000,
+  kdfAlgorithm: import.meta.env.VITE_KDF_ALGORITHM || 'none',
+  argon2Iterations: parseInt(import.meta.env.VITE_ARGON2_ITERATIONS) || 3,
+  argon2Memory: parseInt(import.meta.env.VITE_ARGON2_MEMORY) || 64,
   appKey: import.meta.env.VITE_APP_KEY || 'nuwault-default-salt-key'
 };
 
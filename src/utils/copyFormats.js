@@ -0,0 +1,156 @@
+/**
+ * @fileoverview Copy-As Formats
+ * Escapes a value so it can be pasted as a complete literal into a shell
+ * command, a JSON document, a URL, an XML attribute or a .env file. Every
+ * format works on code points, so symbols, custom charsets and template
+ * literals round-trip unchanged. Characters a format cannot represent at
+ * all (e.g. NUL in a shell argument) are reported instead of dropped.
+ * @author NuwaX
+ */
+
+/**
+ * Available copy formats
+ */
+export const COPY_FORMATS = {
+  SHELL: 'shell',
+  JSON: 'json',
+  URL: 'url',
+  XML: 'xml',
+  ENV: 'env'
+};
+
+/**
+ * Variable name used for .env lines until the user picks one
+ */
+export const DEFAULT_ENV_KEY = 'PASSWORD';
+
+/**
+ * Longest accepted variable name
+ */
+export const ENV_KEY_MAX_LENGTH = 64;
+
+/**
+ * Characters each format cannot carry
+ */
+const UNSUPPORTED_CHARACTERS = {
+  [COPY_FORMATS.SHELL]: /\0/,
+  [COPY_FORMATS.URL]: /[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/,
+  // Outside the XML 1.0 Char production, even as character references
+  [COPY_FORMATS.XML]: /[\0-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]|[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/,
+  [COPY_FORMATS.ENV]: /\0/
+};
+
+/**
+ * XML escapes; tabs and line breaks are written as references because
+ * attribute value normalization would turn them into spaces
+ */
+const XML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  '\'': '&apos;',
+  '\t': '&#9;',
+  '\n': '&#10;',
+  '\r': '&#13;'
+};
+
+/**
+ * Escapes inside a double-quoted .env value; line breaks are written as
+ * \n and \r so the entry stays on one line
+ */
+const ENV_ESCAPES = {
+  '\\': '\\\\',
+  '"': '\\"',
+  '$': '\\$',
+  '`': '\\`',
+  '\n': '\\n',
+  '\r': '\\r'
+};
+
+/**
+ * Check a .env variable name
+ *
+ * @param {string} key - Variable name
+ * @returns {boolean} True for shell-style names such as DB_PASSWORD
+ */
+export const isValidEnvKey = (key) => {
+  return typeof key === 'string' &&
+         key.length <= ENV_KEY_MAX_LENGTH &&
+         /^[A-Za-z_][A-Za-z0-9_]*$/.test(key);
+};
+
+/**
+ * POSIX shell single-quoted word; a quote inside ends the word, adds an
+ * escaped quote and starts a new one
+ *
+ * @param {string} value - Value to quote
+ * @returns {string} Quoted word
+ */
+const toShell = (value) => `'${value.replace(/'/g, '\'\\\'\'')}'`;
+
+/**
+ * Percent-encoded URL component, including the sub-delimiters
+ * encodeURIComponent leaves alone
+ *
+ * @param {string} value - Value to encode
+ * @returns {string} Encoded component
+ */
+const toUrl = (value) => {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+};
+
+/**
+ * Double-quoted XML attribute value
+ *
+ * @param {string} value - Value to escape
+ * @returns {string} Quoted attribute value
+ */
+const toXml = (value) => `"${value.replace(/[&<>"'\t\n\r]/g, char => XML_ESCAPES[char])}"`;
+
+/**
+ * .env line with a double-quoted value. Quotes, backslashes, "$" and
+ * backticks are escaped as in POSIX shell double quotes, so "$" never
+ * expands and a line without line breaks can also be sourced by a shell.
+ *
+ * @param {string} value - Value to escape
+ * @param {string} key - Variable name
+ * @returns {string} KEY="value" line
+ */
+const toEnv = (value, key) => `${key}="${value.replace(/[\\"$`\n\r]/g, char => ENV_ESCAPES[char])}"`;
+
+/**
+ * Format a value for pasting
+ *
+ * @param {string} value - Value to format
+ * @param {string} format - One of COPY_FORMATS
+ * @param {Object} [options] - Format options
+ * @param {string} [options.envKey] - Variable name for the .env format
+ * @returns {Object} { text: string|null, error: string|null }
+ */
+export const formatForCopy = (value, format, options = {}) => {
+  if (!Object.values(COPY_FORMATS).includes(format)) {
+    return { text: null, error: 'unknownFormat' };
+  }
+  if (UNSUPPORTED_CHARACTERS[format]?.test(value)) {
+    return { text: null, error: 'unsupportedCharacter' };
+  }
+
+  switch (format) {
+    case COPY_FORMATS.SHELL:
+      return { text: toShell(value), error: null };
+    case COPY_FORMATS.JSON:
+      return { text: JSON.stringify(value), error: null };
+    case COPY_FORMATS.URL:
+      return { text: toUrl(value), error: null };
+    case COPY_FORMATS.XML:
+      return { text: toXml(value), error: null };
+    default: {
+      const key = options.envKey ?? DEFAULT_ENV_KEY;
+      if (!isValidEnvKey(key)) {
+        return { text: null, error: 'invalidEnvKey' };
+      }
+      return { text: toEnv(value, key), error: null };
+    }
+  }
+};
@@ -0,0 +1,24 @@
+/**
+ * @fileoverview Download Helper
+ * Saves generated text as a local file without any network request
+ * @author NuwaX
+ */
+
+/**
+ * Offer text as a file download
+ * @param {string} filename - Suggested file name
+ * @param {string} text - File contents
+ * @param {string} mimeType - MIME type of the contents
+ */
+export const downloadTextFile = (filename, text, mimeType = 'text/plain') => {
+  const url = URL.createObjectURL(new Blob([text], { type: `${mimeType};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.rel = 'noopener';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoke on the next tick so the download has started
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
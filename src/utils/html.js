@@ -0,0 +1,25 @@
+/**
+ * @fileoverview HTML Helpers
+ * Small helpers for safely interpolating user supplied text into HTML templates
+ * @author NuwaX
+ */
+
+/**
+ * Characters that must be replaced before inserting text into markup
+ */
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Escape text for use inside HTML element content or quoted attributes
+ * @param {*} value - Value to escape (converted to string)
+ * @returns {string} Escaped string
+ */
+export const escapeHtml = (value) => {
+  return String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+};
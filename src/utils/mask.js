@@ -0,0 +1,16 @@
+/**
+ * @fileoverview Output Masking
+ * Hides generated values on screen while keeping their length visible
+ * @author NuwaX
+ */
+
+/**
+ * Replace every character with an asterisk
+ * @param {string} value - Value to mask
+ * @returns {string} Masked value of the same length
+ */
+export const maskSecret = (value) => {
+  if (!value) return '';
+
+  return '*'.repeat(value.length);
+};
@@ -0,0 +1,47 @@
+/**
+ * @fileoverview Print Helper
+ * Prints generated text from a hidden frame, so only the text is printed
+ * and nothing leaves the device
+ * @author NuwaX
+ */
+
+import { escapeHtml } from './html.js';
+
+/**
+ * Print a titled list of lines in a monospace font
+ * @param {string} title - Heading and document title
+ * @param {string[]} lines - Lines to print
+ */
+export const printLines = (title, lines) => {
+  const frame = document.createElement('iframe');
+  frame.setAttribute('aria-hidden', 'true');
+  frame.tabIndex = -1;
+  frame.style.cssText = 'position:fixed;width:0;height:0;border:0;visibility:hidden;';
+  document.body.appendChild(frame);
+
+  const doc = frame.contentDocument;
+  doc.open();
+  doc.write(`<!DOCTYPE html>
+    <html>
+      <head>
+        <meta charset="utf-8">
+        <title>${escapeHtml(title)}</title>
+        <style>
+          body { font-family: ui-monospace, monospace; margin: 2cm; color: #000; }
+          h1 { font-size: 14pt; }
+          pre { font-size: 13pt; line-height: 1.8; }
+        </style>
+      </head>
+      <body>
+        <h1>${escapeHtml(title)}</h1>
+        <pre>${lines.map(escapeHtml).join('\n')}</pre>
+      </body>
+    </html>`);
+  doc.close();
+
+  const printWindow = frame.contentWindow;
+  // Some browsers return from print() before the dialog closes, so the frame is removed afterwards
+  printWindow.addEventListener('afterprint', () => frame.remove());
+  printWindow.focus();
+  printWindow.print();
+};
@@ -0,0 +1,208 @@
+/**
+ * @fileoverview Generation Profile Store
+ * IndexedDB-backed persistence for per-site generation profiles. A profile only
+ * holds non-secret settings (length, character classes, symbol set, counter),
+ * a name, free-form notes and optionally a 12-bit salted verifier of the last
+ * used password - keywords and generated passwords are never written to storage.
+ * @author NuwaX
+ */
+
+import { logger } from './logger.js';
+import { pickGenerationSettings } from '../password/generationSettings.js';
+import { isValidVerifier } from '../password/verifier.js';
+
+/**
+ * IndexedDB configuration
+ */
+const PROFILE_DB_CONFIG = {
+  DB_NAME: 'nuwault',
+  DB_VERSION: 1,
+  STORE_NAME: 'profiles'
+};
+
+/**
+ * Maximum accepted lengths for user supplied profile fields
+ */
+export const PROFILE_LIMITS = {
+  nameLength: 64,
+  notesLength: 500
+};
+
+/**
+ * Create a unique profile identifier
+ * @returns {string} Random identifier
+ */
+const createProfileId = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `profile-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+};
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - Pending IndexedDB request
+ * @returns {Promise<*>} Request result
+ */
+const promisifyRequest = (request) => {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * ProfileStore class for CRUD access to generation profiles
+ */
+export class ProfileStore {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  /**
+   * Check whether IndexedDB is available in the current context
+   * @returns {boolean} True if IndexedDB can be used
+   */
+  isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Open (and upgrade if needed) the profile database
+   * @returns {Promise<IDBDatabase>} Open database handle
+   */
+  open() {
+    if (this.dbPromise) {
+      return this.dbPromise;
+    }
+
+    if (!this.isSupported()) {
+      return Promise.reject(new Error('IndexedDB is not available'));
+    }
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(PROFILE_DB_CONFIG.DB_NAME, PROFILE_DB_CONFIG.DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(PROFILE_DB_CONFIG.STORE_NAME)) {
+          const store = db.createObjectStore(PROFILE_DB_CONFIG.STORE_NAME, { keyPath: 'id' });
+          store.createIndex('name', 'name', { unique: false });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => logger.warn('[ProfileStore] Database upgrade blocked by another tab');
+    }).catch(error => {
+      this.dbPromise = null;
+      throw error;
+    });
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a callback against the profile object store inside a transaction
+   * @param {IDBTransactionMode} mode - Transaction mode
+   * @param {Function} callback - Receives the object store, returns an IDBRequest
+   * @returns {Promise<*>} Request result
+   */
+  async withStore(mode, callback) {
+    const db = await this.open();
+    const transaction = db.transaction(PROFILE_DB_CONFIG.STORE_NAME, mode);
+    const store = transaction.objectStore(PROFILE_DB_CONFIG.STORE_NAME);
+    return promisifyRequest(callback(store));
+  }
+
+  /**
+   * List all profiles sorted by name
+   * @returns {Promise<Object[]>} Stored profiles
+   */
+  async list() {
+    const profiles = await this.withStore('readonly', store => store.getAll());
+    return profiles.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+  }
+
+  /**
+   * Get a single profile
+   * @param {string} id - Profile identifier
+   * @returns {Promise<Object|undefined>} Stored profile
+   */
+  get(id) {
+    return this.withStore('readonly', store => store.get(id));
+  }
+
+  /**
+   * Create a new profile from the current generator options
+   * @param {string} name - Display name
+   * @param {Object} options - Generator options to snapshot
+   * @param {string} notes - Optional notes
+   * @param {Object|null} verifier - Optional verifier of the current password
+   * @returns {Promise<Object>} Created profile
+   */
+  async create(name, options, notes = '', verifier = null) {
+    const now = Date.now();
+    const profile = {
+      id: createProfileId(),
+      name: name.trim().slice(0, PROFILE_LIMITS.nameLength),
+      notes: notes.trim().slice(0, PROFILE_LIMITS.notesLength),
+      settings: pickGenerationSettings(options),
+      verifier: isValidVerifier(verifier) ? verifier : null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.withStore('readwrite', store => store.add(profile));
+    logger.info('[ProfileStore] Created profile:', profile.name);
+    return profile;
+  }
+
+  /**
+   * Update fields of an existing profile
+   * @param {string} id - Profile identifier
+   * @param {Object} changes - Fields to update (name, notes, settings, verifier)
+   * @returns {Promise<Object>} Updated profile
+   */
+  async update(id, changes) {
+    const existing = await this.get(id);
+    if (!existing) {
+      throw new Error(`Profile not found: ${id}`);
+    }
+
+    const profile = { ...existing, updatedAt: Date.now() };
+    if (typeof changes.name === 'string') {
+      profile.name = changes.name.trim().slice(0, PROFILE_LIMITS.nameLength);
+    }
+    if (typeof changes.notes === 'string') {
+      profile.notes = changes.notes.trim().slice(0, PROFILE_LIMITS.notesLength);
+    }
+    if (changes.settings) {
+      profile.settings = pickGenerationSettings(changes.settings);
+    }
+    if (changes.verifier !== undefined) {
+      profile.verifier = isValidVerifier(changes.verifier) ? changes.verifier : null;
+    }
+
+    await this.withStore('readwrite', store => store.put(profile));
+    logger.info('[ProfileStore] Updated profile:', profile.name);
+    return profile;
+  }
+
+  /**
+   * Delete a profile
+   * @param {string} id - Profile identifier
+   * @returns {Promise<void>}
+   */
+  async remove(id) {
+    await this.withStore('readwrite', store => store.delete(id));
+    logger.info('[ProfileStore] Deleted profile:', id);
+  }
+}
+
+/**
+ * Singleton profile store instance for global use
+ */
+export const profileStore = new ProfileStore();
+
+export default profileStore;
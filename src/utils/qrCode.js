@@ -0,0 +1,577 @@
+/**
+ * @fileoverview QR Code Encoder
+ * Small offline QR Code (ISO/IEC 18004) encoder for byte mode data, so
+ * settings and passwords can be shown as a QR code without loading a
+ * library or calling a service. Supports versions 1-40 and all four error
+ * correction levels, and picks the mask with the lowest penalty score.
+ * @author NuwaX
+ */
+
+/**
+ * Error correction levels
+ */
+export const QR_ERROR_CORRECTION = {
+  L: 'L',
+  M: 'M',
+  Q: 'Q',
+  H: 'H'
+};
+
+/**
+ * Format information bits for each level
+ */
+const FORMAT_BITS = { L: 1, M: 0, Q: 3, H: 2 };
+
+/**
+ * Error correction codewords per block, indexed by version (index 0 unused)
+ */
+const ECC_CODEWORDS_PER_BLOCK = {
+  L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  Q: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  H: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+};
+
+/**
+ * Number of error correction blocks, indexed by version (index 0 unused)
+ */
+const ECC_BLOCK_COUNT = {
+  L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  Q: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  H: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+};
+
+const MIN_VERSION = 1;
+const MAX_VERSION = 40;
+
+/**
+ * Data mask conditions; a module is flipped when its condition is true
+ */
+const MASK_PATTERNS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+/**
+ * Count the modules available for data and error correction in a version
+ * @param {number} version - QR version
+ * @returns {number} Number of modules
+ */
+const getRawDataModules = (version) => {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const alignmentCount = Math.floor(version / 7) + 2;
+    result -= (25 * alignmentCount - 10) * alignmentCount - 55;
+    if (version >= 7) {
+      result -= 36;
+    }
+  }
+  return result;
+};
+
+/**
+ * Count the data codewords of a version and level
+ * @param {number} version - QR version
+ * @param {string} level - Error correction level
+ * @returns {number} Number of data codewords
+ */
+const getDataCodewords = (version, level) => {
+  return Math.floor(getRawDataModules(version) / 8) -
+    ECC_CODEWORDS_PER_BLOCK[level][version] * ECC_BLOCK_COUNT[level][version];
+};
+
+/**
+ * Multiply two elements of GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+ * @param {number} x - First factor
+ * @param {number} y - Second factor
+ * @returns {number} Product
+ */
+const gfMultiply = (x, y) => {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11D);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+};
+
+/**
+ * Build the Reed-Solomon generator polynomial of a degree
+ * @param {number} degree - Number of error correction codewords
+ * @returns {number[]} Coefficients, highest power first, leading 1 omitted
+ */
+const getReedSolomonDivisor = (degree) => {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) {
+        result[j] ^= result[j + 1];
+      }
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+};
+
+/**
+ * Compute the Reed-Solomon error correction codewords for a block
+ * @param {number[]} data - Data codewords
+ * @param {number[]} divisor - Generator polynomial
+ * @returns {number[]} Error correction codewords
+ */
+const getReedSolomonRemainder = (data, divisor) => {
+  const result = new Array(divisor.length).fill(0);
+  data.forEach(byte => {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= gfMultiply(coefficient, factor);
+    });
+  });
+  return result;
+};
+
+/**
+ * Encode bytes as byte mode data codewords for a version
+ * @param {Uint8Array} bytes - Payload
+ * @param {number} version - QR version
+ * @param {string} level - Error correction level
+ * @returns {number[]|null} Data codewords, or null when the payload does not fit
+ */
+const encodeDataCodewords = (bytes, version, level) => {
+  const bits = [];
+  const appendBits = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) {
+      bits.push((value >>> i) & 1);
+    }
+  };
+
+  const countBits = version <= 9 ? 8 : 16;
+  if (bytes.length >= 2 ** countBits) {
+    return null;
+  }
+
+  appendBits(0b0100, 4);
+  appendBits(bytes.length, countBits);
+  bytes.forEach(byte => appendBits(byte, 8));
+
+  const capacity = getDataCodewords(version, level) * 8;
+  if (bits.length > capacity) {
+    return null;
+  }
+
+  appendBits(0, Math.min(4, capacity - bits.length));
+  appendBits(0, (8 - bits.length % 8) % 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  for (let pad = 0xEC; codewords.length < capacity / 8; pad ^= 0xEC ^ 0x11) {
+    codewords.push(pad);
+  }
+  return codewords;
+};
+
+/**
+ * Split data into blocks, append error correction and interleave
+ * @param {number[]} data - Data codewords
+ * @param {number} version - QR version
+ * @param {string} level - Error correction level
+ * @returns {number[]} Final codeword sequence
+ */
+const addErrorCorrection = (data, version, level) => {
+  const blockCount = ECC_BLOCK_COUNT[level][version];
+  const eccLength = ECC_CODEWORDS_PER_BLOCK[level][version];
+  const rawCodewords = Math.floor(getRawDataModules(version) / 8);
+  const shortBlockCount = blockCount - rawCodewords % blockCount;
+  const shortBlockLength = Math.floor(rawCodewords / blockCount);
+  const divisor = getReedSolomonDivisor(eccLength);
+
+  const blocks = [];
+  for (let i = 0, offset = 0; i < blockCount; i++) {
+    const block = data.slice(offset, offset + shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1));
+    offset += block.length;
+    const ecc = getReedSolomonRemainder(block, divisor);
+    if (i < shortBlockCount) {
+      // Placeholder so every block has the same length while interleaving
+      block.push(0);
+    }
+    blocks.push(block.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLength - eccLength || j >= shortBlockCount) {
+        result.push(block[i]);
+      }
+    });
+  }
+  return result;
+};
+
+/**
+ * Get the alignment pattern center coordinates of a version
+ * @param {number} version - QR version
+ * @param {number} size - Symbol size in modules
+ * @returns {number[]} Center coordinates, ascending
+ */
+const getAlignmentPositions = (version, size) => {
+  if (version === 1) {
+    return [];
+  }
+  const count = Math.floor(version / 7) + 2;
+  const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+  const result = [6];
+  for (let position = size - 7; result.length < count; position -= step) {
+    result.splice(1, 0, position);
+  }
+  return result;
+};
+
+/**
+ * Module grid with a parallel map of function (non-data) modules
+ */
+class QrMatrix {
+  /**
+   * @param {number} version - QR version
+   */
+  constructor(version) {
+    this.version = version;
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+  }
+
+  /**
+   * Set a function module
+   * @param {number} x - Column
+   * @param {number} y - Row
+   * @param {boolean} dark - Module color
+   */
+  setFunction(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.isFunction[y][x] = true;
+  }
+
+  /**
+   * Draw finder, timing and alignment patterns plus version information
+   */
+  drawFunctionPatterns() {
+    const { size } = this;
+
+    for (let i = 0; i < size; i++) {
+      this.setFunction(6, i, i % 2 === 0);
+      this.setFunction(i, 6, i % 2 === 0);
+    }
+
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          if (x >= 0 && x < size && y >= 0 && y < size) {
+            const distance = Math.max(Math.abs(dx), Math.abs(dy));
+            this.setFunction(x, y, distance !== 2 && distance !== 4);
+          }
+        }
+      }
+    });
+
+    const positions = getAlignmentPositions(this.version, size);
+    const last = positions.length - 1;
+    positions.forEach((cy, i) => {
+      positions.forEach((cx, j) => {
+        // Skip the three positions taken by finder patterns
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) {
+          return;
+        }
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            this.setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+          }
+        }
+      });
+    });
+
+    // Reserve the format areas; the real bits are drawn once the mask is known
+    this.drawFormatBits(QR_ERROR_CORRECTION.M, 0);
+    this.drawVersionBits();
+  }
+
+  /**
+   * Draw both copies of the format information
+   * @param {string} level - Error correction level
+   * @param {number} mask - Mask pattern index
+   */
+  drawFormatBits(level, mask) {
+    const data = (FORMAT_BITS[level] << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const bit = (i) => ((bits >>> i) & 1) !== 0;
+    const { size } = this;
+
+    for (let i = 0; i <= 5; i++) {
+      this.setFunction(8, i, bit(i));
+    }
+    this.setFunction(8, 7, bit(6));
+    this.setFunction(8, 8, bit(7));
+    this.setFunction(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) {
+      this.setFunction(14 - i, 8, bit(i));
+    }
+
+    for (let i = 0; i < 8; i++) {
+      this.setFunction(size - 1 - i, 8, bit(i));
+    }
+    for (let i = 8; i < 15; i++) {
+      this.setFunction(8, size - 15 + i, bit(i));
+    }
+    this.setFunction(8, size - 8, true);
+  }
+
+  /**
+   * Draw both copies of the version information (versions 7 and up)
+   */
+  drawVersionBits() {
+    if (this.version < 7) {
+      return;
+    }
+
+    let remainder = this.version;
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+    }
+    const bits = (this.version << 12) | remainder;
+
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) !== 0;
+      const a = this.size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      this.setFunction(a, b, dark);
+      this.setFunction(b, a, dark);
+    }
+  }
+
+  /**
+   * Place the codewords in the zigzag order
+   * @param {number[]} codewords - Final codeword sequence
+   */
+  drawCodewords(codewords) {
+    const { size } = this;
+    let bitIndex = 0;
+
+    for (let right = size - 1; right >= 1; right -= 2) {
+      // The vertical timing pattern column is skipped
+      if (right === 6) {
+        right = 5;
+      }
+      for (let vertical = 0; vertical < size; vertical++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vertical : vertical;
+          if (!this.isFunction[y][x] && bitIndex < codewords.length * 8) {
+            this.modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) !== 0;
+            bitIndex++;
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Flip the data modules selected by a mask; applying it twice undoes it
+   * @param {number} mask - Mask pattern index
+   */
+  applyMask(mask) {
+    const condition = MASK_PATTERNS[mask];
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.isFunction[y][x] && condition(x, y)) {
+          this.modules[y][x] = !this.modules[y][x];
+        }
+      }
+    }
+  }
+
+  /**
+   * Score the symbol with the four standard penalty rules
+   * @returns {number} Penalty, lower is better
+   */
+  getPenaltyScore() {
+    const { size, modules } = this;
+    let penalty = 0;
+
+    const scoreLine = (getModule) => {
+      let runColor = null;
+      let runLength = 0;
+      const line = [];
+      for (let i = 0; i < size; i++) {
+        const dark = getModule(i);
+        line.push(dark);
+        if (dark === runColor) {
+          runLength++;
+          if (runLength === 5) {
+            penalty += 3;
+          } else if (runLength > 5) {
+            penalty++;
+          }
+        } else {
+          runColor = dark;
+          runLength = 1;
+        }
+      }
+
+      // Finder-like 1:1:3:1:1 pattern with four light modules on either side
+      const isLight = (i) => i < 0 || i >= size || !line[i];
+      for (let i = 0; i + 7 <= size; i++) {
+        const isPattern = line[i] && !line[i + 1] && line[i + 2] && line[i + 3] &&
+                          line[i + 4] && !line[i + 5] && line[i + 6];
+        if (!isPattern) continue;
+        const lightBefore = [1, 2, 3, 4].every(k => isLight(i - k));
+        const lightAfter = [7, 8, 9, 10].every(k => isLight(i + k));
+        if (lightBefore || lightAfter) {
+          penalty += 40;
+        }
+      }
+    };
+
+    for (let y = 0; y < size; y++) {
+      scoreLine((x) => modules[y][x]);
+    }
+    for (let x = 0; x < size; x++) {
+      scoreLine((y) => modules[y][x]);
+    }
+
+    for (let y = 0; y < size - 1; y++) {
+      for (let x = 0; x < size - 1; x++) {
+        const color = modules[y][x];
+        if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+          penalty += 3;
+        }
+      }
+    }
+
+    const dark = modules.reduce((count, row) => count + row.filter(Boolean).length, 0);
+    const total = size * size;
+    penalty += Math.floor(Math.abs(dark * 20 - total * 10) / total) * 10;
+
+    return penalty;
+  }
+}
+
+/**
+ * Encode text as a QR code in byte mode (UTF-8), using the smallest version
+ * that fits
+ *
+ * @param {string} text - Text to encode
+ * @param {Object} [options] - Encoding options
+ * @param {string} [options.errorCorrection] - One of QR_ERROR_CORRECTION
+ * @returns {Object|null} { version, size, modules: boolean[][] } (true is dark), or null when the text is too long
+ */
+export const encodeQr = (text, { errorCorrection = QR_ERROR_CORRECTION.M } = {}) => {
+  const level = FORMAT_BITS[errorCorrection] !== undefined ? errorCorrection : QR_ERROR_CORRECTION.M;
+  const bytes = new TextEncoder().encode(String(text ?? ''));
+
+  for (let version = MIN_VERSION; version <= MAX_VERSION; version++) {
+    const data = encodeDataCodewords(bytes, version, level);
+    if (!data) continue;
+
+    const matrix = new QrMatrix(version);
+    matrix.drawFunctionPatterns();
+    matrix.drawCodewords(addErrorCorrection(data, version, level));
+
+    let bestMask = 0;
+    let bestPenalty = Infinity;
+    MASK_PATTERNS.forEach((_, mask) => {
+      matrix.applyMask(mask);
+      matrix.drawFormatBits(level, mask);
+      const penalty = matrix.getPenaltyScore();
+      if (penalty < bestPenalty) {
+        bestMask = mask;
+        bestPenalty = penalty;
+      }
+      matrix.applyMask(mask);
+    });
+
+    matrix.applyMask(bestMask);
+    matrix.drawFormatBits(level, bestMask);
+
+    return { version, size: matrix.size, modules: matrix.modules };
+  }
+
+  return null;
+};
+
+/**
+ * Render an encoded QR code as an SVG string
+ *
+ * @param {Object} qr - Result of encodeQr
+ * @param {Object} [options] - Rendering options
+ * @param {number} [options.moduleSize] - Pixels per module
+ * @param {number} [options.margin] - Quiet zone in modules
+ * @returns {string} SVG markup
+ */
+export const renderQrSvg = (qr, { moduleSize = 4, margin = 4 } = {}) => {
+  const dimension = qr.size + margin * 2;
+  const path = [];
+  qr.modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) {
+        path.push(`M${x + margin},${y + margin}h1v1h-1z`);
+      }
+    });
+  });
+
+  return `
+    <svg width="${dimension * moduleSize}" height="${dimension * moduleSize}" viewBox="0 0 ${dimension} ${dimension}"
+         shape-rendering="crispEdges" role="img">
+      <rect width="${dimension}" height="${dimension}" fill="#ffffff"/>
+      <path d="${path.join('')}" fill="#000000"/>
+    </svg>
+  `;
+};
+
+/**
+ * Draw an encoded QR code on a canvas, resizing the canvas to fit. Nothing
+ * is kept besides the pixels, so clearing the canvas removes the code.
+ *
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {Object} qr - Result of encodeQr
+ * @param {Object} [options] - Rendering options
+ * @param {number} [options.moduleSize] - Pixels per module
+ * @param {number} [options.margin] - Quiet zone in modules
+ */
+export const drawQrCanvas = (canvas, qr, { moduleSize = 4, margin = 4 } = {}) => {
+  const dimension = (qr.size + margin * 2) * moduleSize;
+  canvas.width = dimension;
+  canvas.height = dimension;
+
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, dimension, dimension);
+  context.fillStyle = '#000000';
+  qr.modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) {
+        context.fillRect((x + margin) * moduleSize, (y + margin) * moduleSize, moduleSize, moduleSize);
+      }
+    });
+  });
+};
@@ -17,6 +17,15 @@ export default defineConfig({
   css: {
     postcss: {}
   },
+  // Generation worker is inlined as a blob so it also works from file://
+  worker: {
+    format: 'iife',
+    rollupOptions: {
+      output: {
+        inlineDynamicImports: true
+      }
+    }
+  },
   build: {
     outDir: 'dist',
     assetsDir: 'assets',